@@ -1,5 +1,40 @@
 // app.js - Final tuned client: removed experimental toggles, fixed channel handling (stereo / dual-mono / mono), high-quality resampling
 
+// IMA-ADPCM tables (4-bit codec used when WebCodecs Opus is unavailable)
+const IMA_INDEX_TABLE = [-1, -1, -1, -1, 2, 4, 6, 8, -1, -1, -1, -1, 2, 4, 6, 8];
+const IMA_STEP_TABLE = [
+  7, 8, 9, 10, 11, 12, 13, 14, 16, 17, 19, 21, 23, 25, 28, 31, 34, 37, 41, 45,
+  50, 55, 60, 66, 73, 80, 88, 97, 107, 118, 130, 143, 157, 173, 190, 209, 230, 253, 279, 307,
+  337, 371, 408, 449, 494, 544, 598, 658, 724, 796, 876, 963, 1060, 1166, 1282, 1411, 1552, 1707, 1878, 2066,
+  2272, 2499, 2749, 3024, 3327, 3660, 4026, 4428, 4871, 5358, 5894, 6484, 7132, 7845, 8630, 9493, 10442, 11487, 12635, 13899,
+  15289, 16818, 18500, 20350, 22385, 24623, 27086, 29794, 32767
+];
+// Opus bitrate per quality tier (matches the labels on the Stream tab)
+const OPUS_BITRATES = { low: 64000, medium: 128000, high: 256000, ultra: 320000 };
+// Codecs the server can decode (RECORDABLE_CODECS in recording.js); recording, the room mix and listener
+// quality tiers only work for streams sent in one of these
+const SERVER_DECODABLE_CODECS = ['f32', 'pcm16', 'adpcm'];
+const TALKBACK_LATENCY = 0.08; // seconds of cushion ahead of incoming talkback audio
+const ARTWORK_SIZE = 256; // cover images are scaled to fit this square before upload
+const ARTWORK_MAX_BYTES = 128 * 1024; // the server's maxArtworkBytes
+const MEDIA_SESSION_ARTWORK = [
+  { src: 'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.1/icons/broadcast.svg', sizes: '96x96', type: 'image/svg+xml' }
+];
+// Parametric EQ: every band is one BiquadFilterNode setting; saved and imported presets use the same shape
+const EQ_BAND_TYPES = ['peaking', 'lowshelf', 'highshelf', 'lowpass', 'highpass', 'notch', 'bandpass'];
+const EQ_MAX_BANDS = 16;
+const fiveBandEq = (gains) => [60, 250, 1000, 4000, 12000].map((frequency, i) => ({
+  type: i === 0 ? 'lowshelf' : i === 4 ? 'highshelf' : 'peaking', frequency, Q: 1, gain: gains[i]
+}));
+const EQ_PRESETS = {
+  flat: { name: 'Flat', bands: fiveBandEq([0, 0, 0, 0, 0]) },
+  bass: { name: 'Bass Boost', bands: fiveBandEq([6, 3, 0, -1, 0]) },
+  treble: { name: 'Treble Lift', bands: fiveBandEq([0, -1, 0, 3, 6]) },
+  vshape: { name: 'V-Shape', bands: fiveBandEq([4, 0, -2, 0, 4]) },
+  voice: { name: 'Voice', bands: fiveBandEq([-2, 2, 4, 3, -1]) },
+  warm: { name: 'Warm', bands: fiveBandEq([2, 1, 0, -1, -2]) }
+};
+
 class AudioTransferApp {
   constructor() {
     // socket + stream
@@ -13,25 +48,97 @@ class AudioTransferApp {
     this.processorNode = null;
     this.silentGainNode = null;
     this._sendSeq = 0;
+    this._sendSampleIndex = 0; // frames captured since the stream started
+    this._captureAnchor = null; // server time (ms) of sample 0, see captureTiming()
+    this.audioEncoder = null; // { codec, encode(samples, sampleRate, channels), close() }
+    this.streamQuality = null;
+    this.fecGroupSize = 0; // send an XOR parity packet after every N audio packets (0 = off)
+    this.adaptive = null; // adaptive bitrate state while streaming, see startAdaptiveBitrate()
+    this.receiverStatsTimer = null; // listener side: periodic receiverStats reports
+    this.listenTier = 'full'; // quality tier requested from the server relay: full / high / medium / low
+    this._fecGroup = null; // { members, parity } being accumulated, see addToParityGroup()
+    // pre-send processing on the streamer, see buildSendChain()
+    this.sendChain = {
+      inputGainDb: 0,
+      highpass: false,
+      highpassHz: 80,
+      gate: false,
+      gateThresholdDb: -50,
+      gateAttackMs: 5,
+      gateReleaseMs: 200,
+      suppression: false,
+      suppressionDb: 18, // most a bin is pulled down
+      noiseProfile: null // per-bin noise magnitude from learnNoiseProfile(), else the floor is tracked
+    };
+    this.sendBus = null; // output of the chain; the encoder, WebRTC and the input meter connect here
+    // mute / push-to-talk and silence suppression on the streamer, see shouldTransmit()
+    this.talk = {
+      muted: false,
+      pushToTalk: false,
+      vad: false, // send only while the input is above vadThresholdDb
+      vadThresholdDb: -50,
+      vadHangoverMs: 300, // keep sending this long after the level drops, so word endings aren't clipped
+      comfortNoise: true // silence markers carry the background level; listeners fill the gap with matching noise
+    };
+    this.pttHeld = false;
+    this.vadState = null; // { clockMs, lastVoiceMs, noiseFloorDb } while streaming
+    this._talkOpenSent = null; // last open/closed state reported with streamMuted
+    // talkback (intercom): a listener's microphone back to the streamer or the whole session, see startTalkback()
+    this.talkback = {
+      allow: false, // streamer: let listeners talk back
+      target: 'streamer', // listener: 'streamer' or 'all'
+      volume: 1 // incoming talkback, played straight to the speakers
+    };
+    this.talkbackMic = null; // listener: { stream, sourceNode, workletNode, sinkNode, encoder, seq } once opened
+    this.talkbackActive = null; // sourceId we are talking back to right now
+    this.talkbackBus = null; // incoming talkback voices sum here
+    this.talkbackVoices = new Map(); // fromId -> { name, to, nextTime } while someone talks to us
+    // 'file' source: a queue of local files, see the PLAYLIST section
+    this.playlist = {
+      items: [], // { id, file, url, title, artist, album, duration }
+      currentId: null,
+      playing: false,
+      shuffle: false,
+      repeat: true, // start over after the last track (a single file loops, as it always did)
+      crossfadeSec: 0,
+      history: [], // ids in the order they were played, for "previous"
+      shuffleRound: new Set() // ids already played in this shuffle round
+    };
+    this.playlistOutput = null; // { context, destination, decks: [{ audio, gain, itemId, fadeStarted }], active, fadeTimer }
+    this._playlistNextId = 1;
+    // Metadata published alongside the stream; empty title / artist fall back to the playlist's current track
+    this.nowPlaying = { title: '', artist: '', status: '', artwork: null }; // artwork: { type, url } with a data: URL
+    this._artworkSent = false; // the server already caches the current artwork, see sendNowPlaying()
+    this._nowPlayingTimer = null;
 
     // playback
     this.audioContext = null;
     this.playbackGain = null;
-    this.audioQueue = [];
-    this.isProcessingQueue = false;
-    this.nextPlayTime = 0;
+    this.mixBus = null; // sum of all source channels, feeds the EQ chain
+    this.sources = new Map(); // sourceId -> per-source jitter buffer, gain/pan nodes and mixer state (see createSourceChannel)
     this.fixedLatency = 0.12; // seconds - low and stable
-    this.activeSources = new Set();
     this.fadeTime = 0.0008; // 0.8ms conditional fade-in (reduces modulation artifacts)
     this.underruns = 0; // count scheduling catch-ups
-    this.lastTailSamples = null; // store last few samples of previous buffer for continuity check
+    // Drift compensation ('drift' playback mode): nudge each source's playbackRate instead of jumping latency
+    this.driftCorrection = false;
+    this.maxDriftPpm = 500; // 0.05% rate change (< 1 cent of pitch) is inaudible
+    this.driftWindowSec = 2; // arrival-lateness minimum is taken per window...
+    this.driftWindows = 30; // ...and the drift slope fitted over this many windows
+    this.driftResponseSec = 60; // time to work off a latency error
+    // Packet loss concealment: a hole in the seq numbering is held open until just before it is due,
+    // so late / reordered packets still land in place; only then is it filled with concealment audio
+    this.plcGuardSec = 0.015; // give up waiting for a missing packet this long before it has to play
+    this.plcMaxGapPackets = 50; // longer holes restart the source timeline instead of being bridged
+    this.plcRestartGap = 200; // a seq this far behind means the streamer restarted, not a late packet
+    this.plcFadeSec = 0.06; // concealment fades to silence over this long
+    this.plcStats = { lost: 0, concealedMs: 0, reordered: 0, late: 0, recovered: 0 };
     // Monotonic playback scheduler: track cumulative samples scheduled (improves robustness vs floating time drift)
     this.playCursorSamples = 0; // advances by buffer length; converted to time via sampleRate
     this._anchorTime = 0; // wall-clock time corresponding to playCursorSamples == 0
     // Feature toggles for rapid A/B testing of artifact sources
     this.features = {
       adaptiveLatency: false, // DISABLED: timing changes cause crackling
-      seqGapSilenceInsert: true, // allow tiny concealment
+      lossConcealment: true, // rebuild missing packets from the recent waveform (see concealLoss)
       conditionalFade: true, // ONLY keep basic fade-in
       overlapAdd: true, // enable guarded crossfade
       dcOffsetCorrection: false, // DISABLED: can cause artifacts
@@ -43,30 +150,119 @@ class AudioTransferApp {
     this.minCrossfadeMs = 0.8; // very short safe crossfade window
     this.maxCrossfadeMs = 2.5; // cap to avoid mushiness
     this.crossfadeMs = 0.002; // 2ms overlap-add window
-    this.coalesce = { data: [], samples: 0, channels: null, sampleRate: null, lastTs: 0, maxMs: 40 };
+    this.coalesceMaxMs = 40;
     this.baseLatency = this.fixedLatency; // remember mode baseline for adaptive adjustments
     this.latencyAdjustTimer = null; // interval handle for adaptive latency
     this.deviceRefreshTimer = null; // interval handle for periodic rediscovery
-    this.lastSeqMap = {}; // track last sequence per source for gap detection
+    this.audioDecoders = new Map(); // sourceId -> { codec, decode(streamData), close() }
+
+    // Listener DSP pipeline: each stage can be switched off; natural bypass turns all of them off at once
+    this.dspStages = {
+      sanitize: true, // zero NaN / out-of-range samples
+      transients: true, // clamp and blend sharp jumps
+      crossfade: false, // blend each buffer's start with the previous tail
+      eq: true,
+      compressor: false, // "Loudness Boost"
+      normalize: false // loudness normalization toward loudnessTarget
+    };
+    this.naturalBypass = false;
+    this.loudnessTarget = -16; // LUFS for the 'normalize' stage: -23 (EBU R128), -16 or -14
+    this.loudnessNode = null; // AudioWorkletNode: makeup gain + true-peak limiter, reports K-weighted block power
+    this.loudness = null; // measurement state, see resetLoudness()
 
     // playback controls
     this.volumeControl = null;
-    this.eqNodes = {};
+    this.eqNodes = []; // master EQ, one BiquadFilterNode per eqBands entry
+    this.eqBands = EQ_PRESETS.flat.bands.map(band => ({ ...band }));
+    this.eqPreset = 'flat'; // EQ_PRESETS key or 'user:<name>'; null once the bands were edited by hand
+    this.userEqPresets = {}; // name -> bands, saved / imported by the user
+    this.sourceEqPresets = {}; // source name -> preset id for that source's own EQ, ahead of the master EQ
     this.compressorNode = null;
     this.limiterNode = null;
     this.playbackMode = 'low';
-    this.eqPreset = 'flat';
 
     // state
     this.isStreaming = false;
-    this.isListening = false;
-    this.listeningToSource = null;
-    this.packetCount = 0;
+    this.packetCount = 0; // packets received across all sources
+    this.pendingInvites = {}; // sourceId -> invite token from an invite link, kept for rejoining (see setInvite)
+    this.listeners = new Map(); // listenerId -> { listenerName, listenerIp, joinedAt } while streaming
+    this.isServerRecording = false;
+
+    // local clip recording (listener side)
+    this.recordTapNode = null; // AudioWorklet/ScriptProcessor tapping the post-EQ signal
+    this.recordTapSink = null;
+    this.recordTapInput = null; // node the tap is currently connected to
+    this.preGainNode = null; // last node before playbackGain (post EQ/compressor)
+    this.clipRecording = null; // { chunks, frames, sampleRate } while Record is active
+    this.rollingBuffer = null; // { chunks, frames, sampleRate } while "keep last 60 s" is on
+    this.rollingSeconds = 60;
+    this.clipSource = 'processed';
+
+    // level meters: key ('stream' | 'play') -> analysers on the capture / post-EQ signal, see attachMeter()
+    this.meters = { stream: null, play: null };
+    this.spectrumModes = { stream: 'off', play: 'off' }; // 'off' | 'spectrum' | 'spectrogram'
+    this.meterFrame = null;
+
+    // multi-room sync: NTP-style ping/pong aligns every client to server time
+    this.clockOffset = null; // server time - local time (ms), null until the first pong
+    this.clockRtt = null;
+    this.clockSamples = []; // recent { offset, rtt } measurements
+    this.clockSyncTimer = null;
+    this.syncEnabled = false;
+    this.syncTargetDelay = 300; // ms from capture to playout, shared by all listeners (the server sends it)
+    this.syncOffsetMs = 0; // per-device fine offset for speaker distance
+    this.syncTolerance = 0.01; // s: re-align a source once its play cursor is this far off the shared clock
+    this.syncLateDrops = 0;
+
+    // WebRTC peer-to-peer transport (the socket only carries signaling)
+    this.p2pEnabled = false;
+    this.rtcConfig = { iceServers: [] }; // LAN only: host candidates, no STUN/TURN
+    this.p2pConnectTimeoutMs = 8000;
+    this.peerConnections = new Map(); // streamer side: listenerId -> RTCPeerConnection
+    this.rtcStreamDestination = null; // streamer side: capture graph output sent to peers
+    this.rtcSignalChain = Promise.resolve(); // apply signals in arrival order
 
     document.addEventListener('DOMContentLoaded', () => this.init());
   }
 
   init() {
+    this.readInviteFromURL();
+    try {
+      this.p2pEnabled = localStorage.getItem('audioTransfer.p2p') === '1';
+      this.syncEnabled = localStorage.getItem('audioTransfer.multiRoomSync') === '1';
+      this.syncOffsetMs = parseInt(localStorage.getItem('audioTransfer.syncOffsetMs') || '0', 10) || 0;
+      this.listenTier = localStorage.getItem('audioTransfer.listenTier') || 'full';
+      const dsp = JSON.parse(localStorage.getItem('audioTransfer.dsp') || 'null');
+      if (dsp) {
+        this.naturalBypass = !!dsp.naturalBypass;
+        for (const stage of Object.keys(this.dspStages)) {
+          if (typeof dsp.stages?.[stage] === 'boolean') this.dspStages[stage] = dsp.stages[stage];
+        }
+      }
+      this.loudnessTarget = parseFloat(localStorage.getItem('audioTransfer.loudnessTarget')) || this.loudnessTarget;
+      Object.assign(this.sendChain, JSON.parse(localStorage.getItem('audioTransfer.sendChain') || '{}'));
+      Object.assign(this.talk, JSON.parse(localStorage.getItem('audioTransfer.talk') || '{}'), { muted: false });
+      Object.assign(this.talkback, JSON.parse(localStorage.getItem('audioTransfer.talkback') || '{}'));
+      Object.assign(this.nowPlaying, JSON.parse(localStorage.getItem('audioTransfer.nowPlaying') || '{}'));
+      const playlist = JSON.parse(localStorage.getItem('audioTransfer.playlist') || 'null');
+      if (playlist) {
+        this.playlist.shuffle = !!playlist.shuffle;
+        this.playlist.repeat = playlist.repeat !== false;
+        this.playlist.crossfadeSec = Math.max(0, Math.min(12, Number(playlist.crossfadeSec) || 0));
+      }
+      const eq = JSON.parse(localStorage.getItem('audioTransfer.eq') || 'null');
+      const eqBands = this.sanitizeEqBands(eq?.bands);
+      if (eqBands) {
+        this.eqBands = eqBands;
+        this.eqPreset = typeof eq.preset === 'string' ? eq.preset : null;
+      }
+      const userPresets = JSON.parse(localStorage.getItem('audioTransfer.eqPresets') || '{}');
+      for (const [name, bands] of Object.entries(userPresets || {})) {
+        const clean = this.sanitizeEqBands(bands);
+        if (clean) this.userEqPresets[name] = clean;
+      }
+      this.sourceEqPresets = JSON.parse(localStorage.getItem('audioTransfer.sourceEq') || '{}') || {};
+    } catch (_) { }
     this.initSocket();
     this.setupEventListeners();
     this.detectLocalIP();
@@ -107,10 +303,15 @@ class AudioTransferApp {
     this.socket.on('connect', () => {
       console.log('Connected to server');
       const s = document.getElementById('serverStatus');
-      if (s && !this.isStreaming && !this.isListening) { s.textContent = 'ONLINE'; s.className = 'badge bg-success'; }
+      if (s && !this.isStreaming && !this.sources.size) { s.textContent = 'ONLINE'; s.className = 'badge bg-success'; }
+      // (re)announce our chosen name on every connect so the server never shows Device-xxxxxx
+      this.getDeviceName().then(name => this.socket.emit('setDeviceName', name));
       this.socket.emit('discoverDevices');
+      this.startClockSync();
     });
 
+    this.socket.on('clockPong', (pong) => this.handleClockPong(pong));
+
     this.socket.on('disconnect', (reason) => {
       console.log('Disconnected from server:', reason);
       const s = document.getElementById('serverStatus');
@@ -129,90 +330,240 @@ class AudioTransferApp {
       this.socket.emit('discoverDevices');
     });
 
+    // Adaptive bitrate: the streamer changed quality/channels/sample rate mid-stream. Packets describe
+    // themselves, so playback follows on its own; this only keeps the mixer label current.
+    this.socket.on('streamConfigChanged', (info) => {
+      const source = this.sources.get(info.sourceId);
+      if (!source) return;
+      source.streamConfig = { ...source.streamConfig, ...info };
+      this.renderSourceMixer();
+    });
+
+    // The streamer muted or released push-to-talk; audio keeps arriving as silence markers
+    this.socket.on('streamMuted', (info) => {
+      const source = this.sources.get(info.sourceId);
+      if (!source) return;
+      source.remoteMuted = !!info.muted;
+      source.remotePushToTalk = !!info.pushToTalk;
+      this.renderSourceMixer();
+    });
+
+    // The streamer's metadata (title, artist, status, artwork); null when it has none
+    this.socket.on('nowPlaying', (info) => {
+      const source = this.sources.get(info.sourceId);
+      if (source) this.setSourceNowPlaying(source, info.track);
+    });
+
+    // Talkback from a listener (to us as the streamer, or to everyone on a stream we listen to)
+    this.socket.on('talkbackState', (info) => this.handleTalkbackState(info));
+    this.socket.on('talkbackStream', (packet) => {
+      this.playTalkback(packet).catch(e => console.warn('talkbackStream', e));
+    });
+    this.socket.on('talkbackRejected', (info) => {
+      if (this.talkbackActive === info.sourceId) this.stopTalkback(false);
+      this.showToast(info.error || 'Talkback not available', 'warning');
+    });
+
+    // Streamer side: receive stats from our listeners drive the adaptive bitrate
+    this.socket.on('listenerStats', (stats) => this.handleListenerStats(stats));
+
     this.socket.on('streamStopped', (info) => {
       this.showToast(`${info.clientName || 'Device'} stopped streaming`, 'info');
       this.socket.emit('discoverDevices');
-      if (this.listeningToSource === info.clientId) this.stopListening();
+      if (this.sources.has(info.clientId)) this.stopListening(info.clientId);
     });
 
     // audioStream: { sourceId, sampleRate, channels, timestamp, data: ArrayBuffer/TypedArray }
     this.socket.on('audioStream', (streamData) => {
       try {
+        const source = streamData && this.sources.get(streamData.sourceId);
+        if (!source) return;
+        if (source.transport === 'p2p') return; // in-flight relay packets after switching to the peer connection
         this.packetCount++;
+        source.packetCount++;
         const pc = document.getElementById('packetCount');
         if (pc) pc.textContent = this.packetCount;
-        // Sequence gap detection to avoid bursty distortions (radio noise)
-        if (streamData && typeof streamData.seq === 'number') {
-          const last = this.lastSeqMap[streamData.sourceId];
-          if (last != null) {
-            const gap = streamData.seq - last;
-            if (gap > 200) {
-              // Only reset on massive gaps (major network disruption/reconnection)
-              this.nextPlayTime = 0;
-            } else if (gap > 25 && this.features.seqGapSilenceInsert) {
-              // Moderate gap: insert ~10ms silence only for significant drops
-              const ch = streamData.channels || 1;
-              const sr = streamData.sampleRate || 48000;
-              const silenceFrames = Math.round(sr * 0.01); // 10ms
-              const silence = new Float32Array(silenceFrames * ch); // zeros
-              this.audioQueue.push({ data: silence, channels: ch, sampleRate: sr, timestamp: Date.now() - 5 });
-            }
-          }
-          this.lastSeqMap[streamData.sourceId] = streamData.seq;
+        // Holes in the numbering are handled at playout (processAudioQueue); here we only note reordering
+        if (typeof streamData.seq === 'number') {
+          if (source.fec.recent.has(streamData.seq)) return; // already rebuilt from parity (or a duplicate)
+          if (source.highestSeq != null && streamData.seq < source.highestSeq) this.plcStats.reordered++;
+          else source.highestSeq = streamData.seq;
+          this.rememberFecPacket(source, streamData);
         }
-        if (this.isListening && this.listeningToSource === streamData.sourceId) {
-          if (this.features.coalescePackets) {
-            const ch = streamData.channels || 1;
-            const sr = streamData.sampleRate || 48000;
-            if (this.coalesce.channels == null) this.coalesce.channels = ch;
-            if (this.coalesce.sampleRate == null) this.coalesce.sampleRate = sr;
-            // Flush immediately if channel or sampleRate changes mid-session
-            if ((this.coalesce.channels !== ch || this.coalesce.sampleRate !== sr) && this.coalesce.data.length) {
-              const totalElems = this.coalesce.data.reduce((a, b) => a + b.length, 0);
-              const merged = new Float32Array(totalElems); let o = 0; for (const seg of this.coalesce.data) { merged.set(seg, o); o += seg.length; }
-              this.playAudioData({ sourceId: streamData.sourceId, sampleRate: this.coalesce.sampleRate, channels: this.coalesce.channels, timestamp: this.coalesce.lastTs, data: merged });
-              this.coalesce.data = []; this.coalesce.samples = 0;
-              this.coalesce.channels = ch; this.coalesce.sampleRate = sr;
-            }
-            const dataArr = new Float32Array(streamData.data instanceof ArrayBuffer ? streamData.data : (ArrayBuffer.isView(streamData.data) ? streamData.data.buffer.slice(streamData.data.byteOffset, streamData.data.byteOffset + streamData.data.byteLength) : streamData.data));
-            this.coalesce.data.push(dataArr);
-            this.coalesce.samples += dataArr.length / ch;
-            this.coalesce.lastTs = streamData.timestamp || Date.now();
-            const targetFrames = Math.round(sr * (this.coalesce.maxMs / 1000));
-            // Flush if over time, enough frames, or partial chunk idles > maxMs * 1.5
-            if (this.coalesce.samples * 1000 / sr >= this.coalesce.maxMs || this.coalesce.data.length >= 2 || (Date.now() - this.coalesce.lastTs) > (this.coalesce.maxMs * 1.5)) {
-              // merge
-              const totalElems = this.coalesce.data.reduce((a, b) => a + b.length, 0);
-              const merged = new Float32Array(totalElems);
-              let offset = 0; for (const seg of this.coalesce.data) { merged.set(seg, offset); offset += seg.length; }
-              const mergedPayload = {
-                sourceId: streamData.sourceId,
-                sampleRate: sr,
-                channels: ch,
-                timestamp: this.coalesce.lastTs,
-                data: merged
-              };
-              this.coalesce.data = []; this.coalesce.samples = 0;
-              this.playAudioData(mergedPayload);
-            }
-          } else {
-            this.playAudioData(streamData);
+        if (this.driftCorrection) this.trackDrift(source, streamData);
+        if (this.features.coalescePackets && (streamData.codec || 'f32') === 'f32') {
+          const coalesce = source.coalesce;
+          const ch = streamData.channels || 1;
+          const sr = streamData.sampleRate || 48000;
+          if (coalesce.channels == null) coalesce.channels = ch;
+          if (coalesce.sampleRate == null) coalesce.sampleRate = sr;
+          // Flush immediately if channel or sampleRate changes mid-session
+          if ((coalesce.channels !== ch || coalesce.sampleRate !== sr) && coalesce.data.length) {
+            const totalElems = coalesce.data.reduce((a, b) => a + b.length, 0);
+            const merged = new Float32Array(totalElems); let o = 0; for (const seg of coalesce.data) { merged.set(seg, o); o += seg.length; }
+            this.playAudioData({ sourceId: streamData.sourceId, sampleRate: coalesce.sampleRate, channels: coalesce.channels, timestamp: coalesce.lastTs, data: merged });
+            coalesce.data = []; coalesce.samples = 0;
+            coalesce.channels = ch; coalesce.sampleRate = sr;
+          }
+          const dataArr = new Float32Array(streamData.data instanceof ArrayBuffer ? streamData.data : (ArrayBuffer.isView(streamData.data) ? streamData.data.buffer.slice(streamData.data.byteOffset, streamData.data.byteOffset + streamData.data.byteLength) : streamData.data));
+          coalesce.data.push(dataArr);
+          coalesce.samples += dataArr.length / ch;
+          coalesce.lastTs = streamData.timestamp || Date.now();
+          // Flush if over time, enough frames, or partial chunk idles > maxMs * 1.5
+          if (coalesce.samples * 1000 / sr >= this.coalesceMaxMs || coalesce.data.length >= 2 || (Date.now() - coalesce.lastTs) > (this.coalesceMaxMs * 1.5)) {
+            // merge
+            const totalElems = coalesce.data.reduce((a, b) => a + b.length, 0);
+            const merged = new Float32Array(totalElems);
+            let offset = 0; for (const seg of coalesce.data) { merged.set(seg, offset); offset += seg.length; }
+            const mergedPayload = {
+              sourceId: streamData.sourceId,
+              sampleRate: sr,
+              channels: ch,
+              timestamp: coalesce.lastTs,
+              data: merged
+            };
+            coalesce.data = []; coalesce.samples = 0;
+            this.playAudioData(mergedPayload);
           }
+        } else {
+          this.playAudioData(streamData);
         }
       } catch (e) {
         console.warn('audioStream handler', e);
       }
     });
 
+    // audioParity: { sourceId, codec, members: [{ seq, length, sampleIndex, frameSamples, timestamp, channels, sampleRate }], data }
+    this.socket.on('audioParity', (parity) => {
+      const source = parity && this.sources.get(parity.sourceId);
+      if (!source || source.transport === 'p2p') return;
+      source.fec.parities.push(parity);
+      this.recoverFromParity(source);
+    });
+
+    this.socket.on('joinRejected', (info) => {
+      const reasons = {
+        pin_required: 'This stream requires a PIN',
+        invalid_pin: 'Wrong PIN',
+        too_many_attempts: 'Too many wrong PINs. Wait a while before trying again.',
+        invite_required: 'This stream is invite-only. Ask the streamer for an invite link.',
+        banned: 'You are banned from this stream'
+      };
+      if (this.sources.has(info.sourceId)) this.stopListening(info.sourceId, true);
+      if (info.reason === 'invite_required') this.setInvite(info.sourceId, null); // used up elsewhere, or the stream restarted
+      this.showToast(reasons[info.reason] || 'Not allowed to join this stream', 'error');
+    });
+
+    // Streamer side: who is listening to us
+    this.socket.on('listenerList', (list) => {
+      this.listeners = new Map((list || []).map(l => [l.listenerId, l]));
+      this.renderListenerPanel();
+    });
+
+    this.socket.on('listenerJoined', (info) => {
+      if (!this.isStreaming) return;
+      this.listeners.set(info.listenerId, info);
+      this.renderListenerPanel();
+      this.showToast(`${info.listenerName || 'A device'} started listening`, 'info');
+    });
+
+    this.socket.on('listenerLeft', (info) => {
+      this.closePeer(info.listenerId);
+      this.adaptive?.reports.delete(info.listenerId);
+      if (!this.listeners.delete(info.listenerId)) return;
+      this.renderListenerPanel();
+    });
+
+    this.socket.on('clientConnected', (info) => {
+      this.showToast(`${info.name || 'A device'} connected to your stream`, 'info');
+    });
+
+    this.socket.on('listenerCounts', (counts) => {
+      const el = document.getElementById('connectedCount');
+      if (el) el.textContent = (counts && counts[this.socket.id]) || 0;
+    });
+
+    this.socket.on('listenerActionFailed', (info) => this.showToast(info?.error || 'Listener action failed', 'warning'));
+
+    // Listener side: the streamer removed us
+    this.socket.on('kicked', (info) => {
+      if (!this.sources.has(info.sourceId)) return;
+      this.stopListening(info.sourceId, true);
+      this.showToast(info.banned ? 'You were banned from this stream' : 'You were removed from this stream', 'warning');
+    });
+
+    this.socket.on('recordingState', (info) => {
+      if (info.sourceId !== this.socket.id) return;
+      this.updateRecordingUI(info.recording);
+      if (info.recording) this.showToast(`Recording to ${info.file}`, 'success');
+    });
+    // Only the streamer gets the file's download key (protected streams)
+    this.socket.on('recordingSaved', (info) => this.showRecordingLink(info));
+    this.socket.on('recordingError', (info) => this.showToast(`Recording failed: ${info?.error || 'unknown error'}`, 'error'));
+
+    this.socket.on('inviteCreated', (info) => this.showInviteLink(info));
+    this.socket.on('inviteError', (info) => this.showToast(info?.error || 'Could not create invite', 'error'));
+
     this.socket.on('joinedAsListener', (info) => {
-      this.isListening = true;
-      this.listeningToSource = info.sourceId;
-      this.updateListeningUI(info.sourceName || 'Unknown');
+      const source = this.sources.get(info.sourceId);
+      if (!source) return; // left again before the server confirmed
+      source.name = info.sourceName || 'Unknown';
+      source.streamConfig = info.config || null;
+      source.remoteMuted = !!info.muted;
+      source.talkback = !!info.talkback;
+      this.renderTalkbackPanel();
+      this.setSourceNowPlaying(source, info.nowPlaying);
+      this.applySourceEq(source); // per-source EQ is remembered by name
+      this.updateListeningUI();
+      if (this.p2pEnabled) this.startPeerConnection(source);
+    });
+
+    this.socket.on('rtcSignal', (signal) => {
+      this.rtcSignalChain = this.rtcSignalChain
+        .then(() => this.handleRtcSignal(signal))
+        .catch(e => console.warn('rtcSignal', e));
+    });
+
+    this.socket.on('tierRejected', (info) => {
+      this.showToast(info.error || 'Quality tier not available', 'warning');
+    });
+
+    this.socket.on('rtcError', (info) => {
+      const source = this.sources.get(info.sourceId);
+      if (source) this.closePeerConnection(source);
+      else this.closePeer(info.peerId);
+    });
+
+    this.socket.on('deviceNameUpdated', (info) => {
+      const wanted = this.getStoredDeviceName();
+      if (wanted && info.name !== wanted) {
+        this.showToast(`Name "${wanted}" is already in use, shown as "${info.name}"`, 'warning');
+      }
+    });
+
+    this.socket.on('deviceNameRejected', (info) => {
+      this.showToast(info?.error || 'Invalid device name', 'error');
+    });
+
+    // manualConnect links this server to another one; its streamers then appear in deviceList
+    this.socket.on('connectionResult', (result) => {
+      if (result && result.success) {
+        this.showToast(`Linked to server ${result.device?.name || ''}`, 'success');
+        this.discoverDevices();
+      } else {
+        this.showToast(`Connection failed: ${result?.error || 'unknown error'}`, 'error');
+      }
+    });
+
+    this.socket.on('unlinkResult', (result) => {
+      if (result && result.success) this.showToast(`Unlinked server ${result.id}`, 'success');
+      else this.showToast(`Unlink failed: ${result?.error || 'unknown error'}`, 'error');
     });
 
     // keep rateLimit handling but unobtrusive
     this.socket.on('rateLimitWarning', () => {
-      this.showToast('Server requested rate reduction', 'warning');
+      if (this.adaptive) this.noteNetworkPressure();
+      else this.showToast('Server requested rate reduction', 'warning');
     });
   }
 
@@ -221,8 +572,32 @@ class AudioTransferApp {
     document.getElementById('stopStreamBtn')?.addEventListener('click', () => this.stopStreaming());
     document.getElementById('refreshDevices')?.addEventListener('click', () => this.discoverDevices());
     document.getElementById('manualConnect')?.addEventListener('click', () => this.manualConnect());
+    document.getElementById('manualUnlink')?.addEventListener('click', () => this.manualConnect(true));
+    document.getElementById('createInviteBtn')?.addEventListener('click', () => { if (this.socket) this.socket.emit('createInvite'); });
+    document.getElementById('serverRecordBtn')?.addEventListener('click', () => this.toggleServerRecording());
     document.getElementById('deviceSearch')?.addEventListener('input', (e) => this.filterDevices(e.target.value));
 
+    // Device name: prefill from localStorage and push edits to the server
+    const nameInput = document.getElementById('deviceName');
+    if (nameInput) {
+      this.getDeviceName().then(name => { nameInput.value = name; });
+      nameInput.addEventListener('change', (e) => this.setDeviceName(e.target.value));
+      nameInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') e.target.blur(); });
+    }
+
+    // Pre-send processing and talk controls (Stream tab)
+    this.setupSendChainControls();
+    this.setupTalkControls();
+    this.setupTalkbackControls();
+    this.setupPlaylistControls();
+    this.setupNowPlayingControls();
+
+    // Level meters and spectrum views (Stream and Play tabs)
+    for (const key of Object.keys(this.meters)) {
+      document.getElementById(`${key}SpectrumMode`)?.addEventListener('change', (e) => this.setSpectrumMode(key, e.target.value));
+      document.getElementById(`${key}Meter`)?.querySelector('.meter-clip')?.addEventListener('click', () => this.resetClipIndicator(key));
+    }
+
     // Playback controls
     this.setupPlaybackControls();
   }
@@ -269,7 +644,7 @@ class AudioTransferApp {
           audio: {
             sampleRate: settings.sampleRate,
             channelCount: settings.channelCount,
-            echoCancellation: highTier ? false : true,
+            echoCancellation: highTier && !this.talkback.allow ? false : true, // talkback plays from our speakers
             noiseSuppression: highTier ? false : true,
             autoGainControl: false // keep off for consistent dynamics
           }
@@ -302,41 +677,9 @@ class AudioTransferApp {
       }
     }
     if (source === 'file') {
-      // Create file input and get audio file
-      const input = document.createElement('input');
-      input.type = 'file';
-      input.accept = 'audio/*';
-      input.style.display = 'none';
-      document.body.appendChild(input);
-
-      return new Promise((resolve, reject) => {
-        input.onchange = async (e) => {
-          try {
-            const file = e.target.files[0];
-            if (!file) { reject(new Error('No file selected')); return; }
-
-            const audio = new Audio();
-            audio.src = URL.createObjectURL(file);
-            await audio.play();
-
-            // Create MediaStream from audio element
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            const audioSource = audioContext.createMediaElementSource(audio);
-            const dest = audioContext.createMediaStreamDestination();
-            audioSource.connect(dest);
-
-            // Loop the audio file
-            audio.loop = true;
-
-            resolve(dest.stream);
-          } catch (err) {
-            reject(err);
-          } finally {
-            document.body.removeChild(input);
-          }
-        };
-        input.click();
-      });
+      if (!this.playlist.items.length) await this.pickPlaylistFiles();
+      if (!this.playlist.items.length) throw new Error('No file selected');
+      return this.startPlaylistOutput();
     }
     throw new Error('Unknown source');
   }
@@ -374,30 +717,42 @@ class AudioTransferApp {
       // Capture context: use default sampleRate (browser chosen) but capture sampleRate metadata will be sent
       this.captureContext = new (window.AudioContext || window.webkitAudioContext)();
       this.captureSourceNode = this.captureContext.createMediaStreamSource(this.mediaStream);
+      const trackChannels = this.mediaStream.getAudioTracks()[0]?.getSettings?.().channelCount;
+      const captureChannels = Math.min(2, trackChannels || this.captureSourceNode.channelCount || 1);
+      await this.buildSendChain(captureChannels);
+
+      // what peer-to-peer listeners receive
+      this.rtcStreamDestination = this.captureContext.createMediaStreamDestination();
+      this.sendBus.connect(this.rtcStreamDestination);
 
       // muted gain to keep graph alive, avoid feedback
       this.silentGainNode = this.captureContext.createGain();
       this.silentGainNode.gain.value = 0;
       this.silentGainNode.connect(this.captureContext.destination);
 
+      const codecPreference = document.getElementById('streamCodec')?.value || 'auto';
+      const codec = await this.negotiateCodec(codecPreference, this.captureContext.sampleRate, this.captureSourceNode.channelCount || 1, quality);
+      this.audioEncoder = this.createAudioEncoder(codec, quality);
+      this.syncServerRecordButton(codec);
+      this.fecGroupSize = parseInt(document.getElementById('streamFec')?.value, 10) || 0;
+      this._fecGroup = null;
+      // per-session capture state, reset before any capture node can deliver a packet
+      this._sendSampleIndex = 0;
+      this._captureAnchor = null;
+      this.vadState = { clockMs: 0, lastVoiceMs: -Infinity, noiseFloorDb: null };
+      this._talkOpenSent = null;
+
       // prefer AudioWorklet
       try {
         const url = this.createCaptureWorkletScript();
         await this.captureContext.audioWorklet.addModule(url);
         this.workletNode = new AudioWorkletNode(this.captureContext, 'capture-processor');
         this.workletNode.port.onmessage = (ev) => {
-          if (!this.socket) return;
+          if (!this.isStreaming) return; // not announced to the server yet
           const d = ev.data;
-          const payload = {
-            seq: ++this._sendSeq,
-            sampleRate: d.sampleRate || this.captureContext.sampleRate,
-            channels: d.channels || 1,
-            timestamp: Date.now(),
-            data: d.audioBuffer
-          };
-          this.socket.emit('audioData', payload);
+          this.sendAudioPacket(new Float32Array(d.audioBuffer), d.sampleRate || this.captureContext.sampleRate, d.channels || 1);
         };
-        this.captureSourceNode.connect(this.workletNode);
+        this.sendBus.connect(this.workletNode);
         this.workletNode.connect(this.silentGainNode);
       } catch (err) {
         // fallback ScriptProcessor: produce interleaved Float32 packets (~20ms)
@@ -438,31 +793,39 @@ class AudioTransferApp {
               }
             }
             pendingFrames -= framesPerPacket;
-            if (this.socket) {
-              const payload = {
-                seq: ++this._sendSeq,
-                sampleRate: this.captureContext.sampleRate,
-                channels: chCount,
-                timestamp: Date.now(),
-                data: out.buffer
-              };
-              this.socket.emit('audioData', payload);
-            }
+            this.sendAudioPacket(out, this.captureContext.sampleRate, chCount);
           }
         };
 
-        this.captureSourceNode.connect(this.processorNode);
+        this.sendBus.connect(this.processorNode);
         this.processorNode.connect(this.silentGainNode);
       }
 
-      const name = await this.getDeviceName();
-      this.socket.emit('startStreaming', { source, quality, deviceName: name });
+      this.attachMeter('stream', this.sendBus, captureChannels);
+      document.getElementById('streamMeterPanel')?.classList.remove('d-none');
+      document.getElementById('talkPanel')?.classList.remove('d-none');
 
+      const name = await this.getDeviceName();
+      const pin = document.getElementById('streamPin')?.value?.trim() || '';
+      const inviteOnly = !!document.getElementById('inviteOnly')?.checked;
+      this.socket.emit('startStreaming', { source, quality, codec, deviceName: name, pin, inviteOnly, talkback: this.talkback.allow });
+
+      this.streamQuality = quality;
+      this.adaptive = null;
+      if (document.getElementById('adaptiveBitrate')?.checked) {
+        this.startAdaptiveBitrate(codec, quality, this.captureSourceNode.channelCount || 1, this.captureContext.sampleRate);
+      }
       this.isStreaming = true;
+      this.updateTalkState();
+      this._artworkSent = false;
+      this.publishNowPlaying();
       if (startBtn) startBtn.classList.add('d-none');
       if (stopBtn) stopBtn.classList.remove('d-none');
       if (liveIndicator) liveIndicator.classList.remove('d-none');
       if (serverStatus) { serverStatus.textContent = 'LIVE'; serverStatus.className = 'badge bg-success'; }
+      this.listeners.clear();
+      this.renderListenerPanel();
+      this.socket.emit('getListeners');
 
       this.showToast('Streaming started', 'success');
     } catch (e) {
@@ -476,15 +839,25 @@ class AudioTransferApp {
   async stopStreaming() {
     try {
       if (this.mediaStream) { this.mediaStream.getTracks().forEach(t => t.stop()); this.mediaStream = null; }
+      this.stopPlaylistOutput();
+      this.detachMeter('stream');
+      document.getElementById('streamMeterPanel')?.classList.add('d-none');
+      document.getElementById('talkPanel')?.classList.add('d-none');
+      this.teardownSendChain();
       if (this.captureSourceNode) { try { this.captureSourceNode.disconnect(); } catch (_) { } this.captureSourceNode = null; }
       if (this.workletNode) { try { this.workletNode.disconnect(); } catch (_) { } this.workletNode = null; }
       if (this.processorNode) { try { this.processorNode.disconnect(); } catch (_) { } this.processorNode = null; }
       if (this.silentGainNode) { try { this.silentGainNode.disconnect(); } catch (_) { } this.silentGainNode = null; }
+      for (const listenerId of Array.from(this.peerConnections.keys())) this.closePeer(listenerId);
+      this.rtcStreamDestination = null;
+      this.stopAdaptiveBitrate();
       if (this.captureContext && this.captureContext.state !== 'closed') { try { await this.captureContext.close(); } catch (_) { } }
       this.captureContext = null;
+      if (this.audioEncoder) { try { this.audioEncoder.close(); } catch (_) { } this.audioEncoder = null; }
 
       if (this.socket) this.socket.emit('stopStreaming');
       this.isStreaming = false;
+      clearTimeout(this._nowPlayingTimer);
 
       const startBtn = document.getElementById('startStreamBtn');
       const stopBtn = document.getElementById('stopStreamBtn');
@@ -494,9 +867,13 @@ class AudioTransferApp {
       if (stopBtn) stopBtn.classList.add('d-none');
       if (startBtn) startBtn.classList.remove('d-none');
       if (liveIndicator) liveIndicator.classList.add('d-none');
+      document.getElementById('inviteLinkRow')?.classList.add('d-none');
+      this.updateRecordingUI(false);
+      this.listeners.clear();
+      this.renderListenerPanel();
       if (startBtn) { startBtn.disabled = false; startBtn.innerHTML = '<i class="bi bi-play-fill me-2"></i>Start Streaming'; }
 
-      if (!this.isListening && serverStatus) { serverStatus.textContent = 'OFFLINE'; serverStatus.className = 'badge bg-secondary'; }
+      if (!this.sources.size && serverStatus) { serverStatus.textContent = 'OFFLINE'; serverStatus.className = 'badge bg-secondary'; }
       else if (serverStatus) { serverStatus.textContent = 'LISTENING'; serverStatus.className = 'badge bg-info'; }
 
       this.showToast('Stopped streaming', 'info');
@@ -555,325 +932,3027 @@ class AudioTransferApp {
     return URL.createObjectURL(new Blob([code], { type: 'application/javascript' }));
   }
 
-  // ---------------- LISTENER / PLAYBACK ----------------
-  async startListening(sourceId) {
-    try {
-      if (!this.audioContext) this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  sendAudioPacket(samples, sampleRate, channels) {
+    if (!this.socket || !this.audioEncoder) return;
+    const transmit = this.shouldTransmit(samples, sampleRate, channels);
+    const timing = this.captureTiming(samples.length / channels, sampleRate);
+    const step = this.adaptive && this.adaptive.ladder[this.adaptive.level];
+    if (step && (step.channels < channels || step.downsample > 1)) {
+      ({ samples, sampleRate, channels } = this.reduceForSending(samples, sampleRate, channels, step));
+      timing.sampleIndex = Math.round(timing.sampleIndex / step.downsample);
+    }
+    if (transmit) this.audioEncoder.encode(samples, sampleRate, channels, timing);
+    else this.sendSilenceMarker(timing, sampleRate, channels, samples.length / channels);
+  }
 
-      // Handle audio context suspension (common on mobile)
-      if (this.audioContext.state === 'suspended') {
-        await this.audioContext.resume();
-        console.log('Audio context resumed');
-      }
+  // Stamp each packet with its sample index and the server time of its first sample.
+  // The time is anchored to the sample counter (delivery jitter only ever adds delay, so the anchor is a
+  // running minimum that creeps up 1 ms/s to follow clock drift); every listener sees the same smooth timeline.
+  captureTiming(frames, sampleRate) {
+    if (this._captureRate !== sampleRate) {
+      this._captureRate = sampleRate;
+      this._sendSampleIndex = 0;
+      this._captureAnchor = null;
+    }
+    const sampleIndex = this._sendSampleIndex;
+    this._sendSampleIndex += frames;
+    const packetMs = frames / sampleRate * 1000;
+    const anchor = this.serverNow() - packetMs - sampleIndex / sampleRate * 1000;
+    this._captureAnchor = this._captureAnchor == null ? anchor : Math.min(this._captureAnchor + packetMs / 1000, anchor);
+    return { sampleIndex, timestamp: this._captureAnchor + sampleIndex / sampleRate * 1000 };
+  }
 
-      // unlock audio with a tiny silent tick (cheap)
-      try {
-        const g = this.audioContext.createGain(); g.gain.value = 0.0001;
-        const osc = this.audioContext.createOscillator();
-        osc.connect(g).connect(this.audioContext.destination);
-        osc.start(); osc.stop(this.audioContext.currentTime + 0.01);
-      } catch (_) { }
+  emitAudioPacket(data, meta) {
+    if (!this.socket) return;
+    const packet = {
+      seq: ++this._sendSeq,
+      sampleRate: meta.sampleRate,
+      channels: meta.channels,
+      frameSamples: meta.frameSamples,
+      sampleIndex: meta.sampleIndex,
+      timestamp: meta.timestamp != null ? Math.round(meta.timestamp * 1000) / 1000 : Date.now(),
+      codec: meta.codec,
+      data
+    };
+    if (meta.codec === 'silence') {
+      packet.silence = true;
+      packet.noiseLevel = meta.noiseLevel;
+    }
+    this.socket.emit('audioData', packet);
+    // a lost marker is concealed like any other packet; parity is spent on real audio only
+    if (this.fecGroupSize && !packet.silence) this.addToParityGroup(packet);
+  }
 
-      // Tell browser we're playing media - prevents disconnection on screen off
-      this.setupMediaSession(sourceId);
+  // ---------------- PLAYLIST ----------------
+  // The 'file' source plays a queue of local files. Two <audio> decks in their own AudioContext sum into a
+  // MediaStreamDestination, which startStreaming() captures like a microphone; with two decks one track can fade
+  // out while the next fades in. Files can be queued before the stream starts and changed while it runs. The
+  // current track's tags (or its file name) go to listeners as nowPlaying.
+
+  pickPlaylistFiles() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'audio/*';
+    input.multiple = true;
+    input.style.display = 'none';
+    document.body.appendChild(input);
+    return new Promise((resolve) => {
+      const done = async () => {
+        input.remove();
+        await this.addPlaylistFiles(Array.from(input.files || []));
+        resolve();
+      };
+      input.onchange = done;
+      input.oncancel = done;
+      input.click();
+    });
+  }
 
-      this.setupAudioPlayback();
-      this.listeningToSource = sourceId;
-      this.isListening = true;
-      this.packetCount = 0;
+  async addPlaylistFiles(files) {
+    const audioFiles = files.filter(f => f.type ? f.type.startsWith('audio/') : /\.(mp3|ogg|oga|opus|flac|wav|m4a|aac|webm)$/i.test(f.name));
+    for (const file of audioFiles) {
+      const item = { id: this._playlistNextId++, file, url: URL.createObjectURL(file), duration: null, ...this.titleFromFilename(file.name) };
+      this.playlist.items.push(item);
+      this.readTrackTags(file).then(tags => {
+        Object.assign(item, tags);
+        this.renderPlaylist();
+        if (item.id === this.playlist.currentId) this.publishNowPlaying();
+      }).catch(e => console.warn('readTrackTags', e));
+    }
+    if (files.length && !audioFiles.length) this.showToast('No audio files among the selected files', 'warning');
+    this.renderPlaylist();
+  }
 
-      if (this.socket) {
-        if (!this.socket.connected) {
-          this.showToast('Not connected to server. Reconnecting...', 'warning');
-          this.socket.connect();
-          // Wait a bit for connection
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-        this.socket.emit('joinAsListener', sourceId);
-      } else {
-        throw new Error('Socket connection not available');
-      }
+  // "Artist - Title.mp3" -> { artist, title }; anything else becomes the title
+  titleFromFilename(name) {
+    const base = name.replace(/\.[^.]+$/, '').replace(/_/g, ' ').trim();
+    const parts = base.split(' - ');
+    return parts.length === 2 ? { artist: parts[0].trim(), title: parts[1].trim(), album: '' } : { artist: '', title: base, album: '' };
+  }
 
-      this.showToast('Joining as listener...', 'info');
+  async startPlaylistOutput() {
+    this.stopPlaylistOutput();
+    const context = new (window.AudioContext || window.webkitAudioContext)();
+    const destination = context.createMediaStreamDestination();
+    const decks = [0, 1].map(() => {
+      const deck = { audio: new Audio(), gain: context.createGain(), itemId: null, fadeStarted: false };
+      context.createMediaElementSource(deck.audio).connect(deck.gain).connect(destination);
+      deck.audio.addEventListener('timeupdate', () => this.handleDeckProgress(deck));
+      deck.audio.addEventListener('ended', () => this.handleDeckEnded(deck));
+      deck.audio.addEventListener('loadedmetadata', () => {
+        const item = this.playlist.items.find(i => i.id === deck.itemId);
+        if (item && Number.isFinite(deck.audio.duration)) { item.duration = deck.audio.duration; this.renderPlaylist(); }
+      });
+      return deck;
+    });
+    this.playlistOutput = { context, destination, decks, active: 0, fadeTimer: null };
+    const first = this.playlist.items.find(i => i.id === this.playlist.currentId) || this.playlist.items[0];
+    await this.playTrack(first.id);
+    return destination.stream;
+  }
 
-      // mark button without full device list refresh
-      this.markDeviceButtonListening(sourceId, true);
-      this.updatePlaybackStatus();
-    } catch (error) {
-      console.error('Start listening error:', error);
-      this.showToast(`Failed to start listening: ${error.message}`, 'error');
-      this.isListening = false;
-      this.listeningToSource = null;
-      this.updatePlaybackStatus();
+  stopPlaylistOutput() {
+    const output = this.playlistOutput;
+    if (!output) return;
+    this.playlistOutput = null;
+    clearTimeout(output.fadeTimer);
+    for (const deck of output.decks) {
+      deck.audio.pause();
+      deck.audio.removeAttribute('src');
+      deck.audio.load();
     }
+    output.context.close().catch(() => { });
+    this.playlist.playing = false;
+    this.renderPlaylist();
   }
 
-  stopListening() {
-    if (!this.isListening && !this.listeningToSource) return;
-    const prev = this.listeningToSource;
-    this.isListening = false;
-    this.listeningToSource = null;
-    if (this.socket) this.socket.emit('leaveAsListener');
+  // Starts a track on the active deck, or with crossfade on the other deck while the current one fades out.
+  // Without a running output (not streaming yet) the track is only cued.
+  async playTrack(id, { crossfade = false } = {}) {
+    const item = this.playlist.items.find(i => i.id === id);
+    if (!item) return;
+    const output = this.playlistOutput;
+    if (!output) {
+      this.playlist.currentId = id;
+      this.renderPlaylist();
+      return;
+    }
 
-    this.audioQueue = [];
-    this.isProcessingQueue = false;
-    this.nextPlayTime = 0;
-    for (const s of Array.from(this.activeSources)) { try { s.stop(0); s.disconnect(); } catch (_) { } }
-    this.activeSources.clear();
+    const now = output.context.currentTime;
+    const fade = crossfade ? this.playlist.crossfadeSec : 0;
+    const previous = output.decks[output.active];
+    clearTimeout(output.fadeTimer);
+    if (fade) output.active = 1 - output.active;
+    const deck = output.decks[output.active];
+    for (const other of output.decks) {
+      if (other === deck || (fade && other === previous)) continue;
+      other.audio.pause();
+      other.gain.gain.cancelScheduledValues(now);
+      other.gain.gain.setValueAtTime(0, now);
+    }
 
-    // Hide the listening status UI
-    const listenStatus = document.getElementById('listenStatus');
-    if (listenStatus) {
-      listenStatus.remove();
+    deck.itemId = id;
+    deck.fadeStarted = false;
+    deck.audio.src = item.url;
+    deck.gain.gain.cancelScheduledValues(now);
+    deck.gain.gain.setValueAtTime(fade ? 0 : 1, now);
+    if (fade) {
+      deck.gain.gain.linearRampToValueAtTime(1, now + fade);
+      const outgoing = previous.gain.gain;
+      outgoing.cancelScheduledValues(now);
+      outgoing.setValueAtTime(outgoing.value, now);
+      outgoing.linearRampToValueAtTime(0, now + fade);
+      output.fadeTimer = setTimeout(() => previous.audio.pause(), fade * 1000 + 100);
     }
 
-    // Clear media session and stop hidden audio
-    if ('mediaSession' in navigator) {
-      navigator.mediaSession.playbackState = 'none';
-      navigator.mediaSession.metadata = null;
+    const playlist = this.playlist;
+    playlist.currentId = id;
+    if (playlist.history[playlist.history.length - 1] !== id) playlist.history.push(id);
+    if (playlist.history.length > 200) playlist.history.shift();
+    playlist.shuffleRound.add(id);
+    try {
+      await deck.audio.play();
+      playlist.playing = true;
+    } catch (e) {
+      console.warn('playlist play', e);
+      playlist.playing = false;
+      this.showToast(`Cannot play ${item.title}`, 'error');
     }
-    const audioEl = document.getElementById('mediaSessionAudio');
-    if (audioEl) {
-      audioEl.pause();
-      audioEl.src = '';
+    this.publishNowPlaying();
+    this.renderPlaylist();
+  }
+
+  // Next track in queue order, or a random one not yet played in this round with shuffle on; null at the end
+  nextTrackId() {
+    const { items, currentId, shuffle, repeat, shuffleRound } = this.playlist;
+    if (!items.length) return null;
+    if (shuffle) {
+      let candidates = items.filter(i => !shuffleRound.has(i.id));
+      if (!candidates.length) {
+        if (!repeat) return null;
+        shuffleRound.clear();
+        candidates = items.length > 1 ? items.filter(i => i.id !== currentId) : items;
+      }
+      return candidates[Math.floor(Math.random() * candidates.length)].id;
     }
+    const index = items.findIndex(i => i.id === currentId);
+    if (index + 1 < items.length) return items[index + 1].id;
+    return repeat ? items[0].id : null;
+  }
 
-    if (prev) this.markDeviceButtonListening(prev, false);
+  nextTrack() {
+    const id = this.nextTrackId();
+    if (id != null) this.playTrack(id);
+  }
 
-    const serverStatus = document.getElementById('serverStatus');
-    if (serverStatus) {
-      serverStatus.textContent = this.isStreaming ? 'LIVE' : 'ONLINE';
-      serverStatus.className = this.isStreaming ? 'badge bg-success' : 'badge bg-secondary';
+  // Restarts the current track after its first 3 seconds, otherwise goes back to the previously played one
+  previousTrack() {
+    const deck = this.playlistOutput?.decks[this.playlistOutput.active];
+    if (deck && deck.audio.currentTime > 3) {
+      this.seekPlaylist(0);
+      return;
     }
-    this.showToast('Stopped listening', 'info');
-    this.updatePlaybackStatus();
+    const { items, history, currentId } = this.playlist;
+    if (history[history.length - 1] === currentId) history.pop();
+    let id = null;
+    while (history.length && id == null) {
+      const candidate = history.pop();
+      if (items.some(i => i.id === candidate)) id = candidate;
+    }
+    if (id == null) {
+      const index = items.findIndex(i => i.id === currentId);
+      id = items[index > 0 ? index - 1 : items.length - 1]?.id;
+    }
+    if (id != null) this.playTrack(id);
   }
 
-  setupPlaybackControls() {
-    // Volume control
-    const volumeSlider = document.getElementById('playbackVolume');
-    if (volumeSlider) {
-      volumeSlider.addEventListener('input', (e) => {
-        const volume = parseFloat(e.target.value) / 100;
-        if (this.playbackGain) {
-          this.playbackGain.gain.setValueAtTime(volume, this.audioContext.currentTime);
-        }
-      });
+  togglePlaylistPause() {
+    const output = this.playlistOutput;
+    if (!output) return;
+    const deck = output.decks[output.active];
+    if (deck.audio.paused) {
+      deck.audio.play().then(() => { this.playlist.playing = true; this.renderPlaylist(); }).catch(e => console.warn('playlist play', e));
+    } else {
+      for (const d of output.decks) d.audio.pause();
+      this.playlist.playing = false;
+      this.renderPlaylist();
     }
+  }
 
-    // EQ controls
-    document.querySelectorAll('.eq-band').forEach(slider => {
-      slider.addEventListener('input', (e) => {
-        const band = e.target.dataset.band;
-        const gain = parseFloat(e.target.value);
-        if (this.eqNodes[band]) {
-          this.eqNodes[band].gain.setValueAtTime(gain, this.audioContext?.currentTime || 0);
-        }
-      });
-    });
+  seekPlaylist(seconds) {
+    const deck = this.playlistOutput?.decks[this.playlistOutput.active];
+    if (!deck || !Number.isFinite(seconds)) return;
+    deck.audio.currentTime = Math.max(0, seconds);
+    deck.fadeStarted = false;
+  }
 
-    // EQ presets
-    const eqPresetSelect = document.getElementById('eqPreset');
-    if (eqPresetSelect) {
-      eqPresetSelect.addEventListener('change', (e) => {
-        this.applyEQPreset(e.target.value);
-      });
+  // Starts the crossfade into the next track once the active deck is within crossfadeSec of its end
+  handleDeckProgress(deck) {
+    const output = this.playlistOutput;
+    if (!output || deck !== output.decks[output.active]) return;
+    this.renderPlaylistProgress();
+    const { duration, currentTime, paused } = deck.audio;
+    const fade = this.playlist.crossfadeSec;
+    if (!fade || paused || deck.fadeStarted || !Number.isFinite(duration) || duration - currentTime > fade) return;
+    const next = this.nextTrackId();
+    if (next == null) return;
+    deck.fadeStarted = true;
+    this.playTrack(next, { crossfade: true });
+  }
+
+  handleDeckEnded(deck) {
+    const output = this.playlistOutput;
+    if (!output || deck !== output.decks[output.active]) return; // already faded over to the other deck
+    const next = this.nextTrackId();
+    if (next != null) {
+      this.playTrack(next);
+    } else {
+      this.playlist.playing = false;
+      this.renderPlaylist();
     }
+  }
 
-    // Playback mode
-    document.querySelectorAll('input[name="playbackMode"]').forEach(radio => {
-      radio.addEventListener('change', (e) => {
-        if (e.target.checked) {
-          this.playbackMode = e.target.id.replace('mode', '').toLowerCase();
-          this.updatePlaybackMode();
-        }
-      });
-    });
+  moveTrack(id, beforeId) {
+    const items = this.playlist.items;
+    const from = items.findIndex(i => i.id === id);
+    if (from < 0 || id === beforeId) return;
+    const [item] = items.splice(from, 1);
+    const to = items.findIndex(i => i.id === beforeId);
+    items.splice(to < 0 ? items.length : to, 0, item);
+    this.renderPlaylist();
+  }
 
-    // Other controls
-    document.getElementById('resetSync')?.addEventListener('click', () => this.resetSync());
+  removeTrack(id) {
+    const items = this.playlist.items;
+    const index = items.findIndex(i => i.id === id);
+    if (index < 0) return;
+    if (id === this.playlist.currentId && this.playlistOutput) {
+      const next = items.length > 1 ? this.nextTrackId() : null;
+      if (next != null && next !== id) {
+        this.playTrack(next);
+      } else {
+        for (const deck of this.playlistOutput.decks) deck.audio.pause();
+        this.playlist.playing = false;
+      }
+    }
+    const [item] = items.splice(index, 1);
+    URL.revokeObjectURL(item.url);
+    this.playlist.shuffleRound.delete(id);
+    if (this.playlist.currentId === id) this.playlist.currentId = items[Math.min(index, items.length - 1)]?.id ?? null;
+    this.renderPlaylist();
+  }
 
-    // Loudness boost
-    document.getElementById('loudnessBoost')?.addEventListener('change', (e) => {
-      this.toggleLoudnessBoost(e.target.checked);
-    });
+  setPlaylistOptions(changes) {
+    Object.assign(this.playlist, changes);
+    if (changes.shuffle) this.playlist.shuffleRound = new Set([this.playlist.currentId]);
+    const { shuffle, repeat, crossfadeSec } = this.playlist;
+    try { localStorage.setItem('audioTransfer.playlist', JSON.stringify({ shuffle, repeat, crossfadeSec })); } catch (_) { }
+    this.renderPlaylist();
   }
 
-  applyEQPreset(preset) {
-    const presets = {
-      flat: { 60: 0, 250: 0, 1000: 0, 4000: 0, 12000: 0 },
-      bass: { 60: 6, 250: 3, 1000: 0, 4000: -1, 12000: 0 },
-      treble: { 60: 0, 250: -1, 1000: 0, 4000: 3, 12000: 6 },
-      vshape: { 60: 4, 250: 0, 1000: -2, 4000: 0, 12000: 4 },
-      voice: { 60: -2, 250: 2, 1000: 4, 4000: 3, 12000: -1 },
-      warm: { 60: 2, 250: 1, 1000: 0, 4000: -1, 12000: -2 }
-    };
+  // Title / artist / album from ID3v2 (MP3) or Vorbis comments (FLAC, Ogg Vorbis, Ogg Opus); {} when there are none
+  async readTrackTags(file) {
+    const bytes = new Uint8Array(await file.slice(0, 256 * 1024).arrayBuffer());
+    const ascii = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+    if (ascii(0, 3) === 'ID3') return this.parseId3Tags(bytes);
+    if (ascii(0, 4) === 'fLaC') return this.parseFlacTags(bytes);
+    if (ascii(0, 4) === 'OggS') {
+      // the comment header is the second packet of the stream
+      for (const marker of ['\x03vorbis', 'OpusTags']) {
+        const at = this.findBytes(bytes, marker, 64 * 1024);
+        if (at >= 0) return this.parseVorbisComments(bytes, at + marker.length);
+      }
+    }
+    return {};
+  }
 
-    const settings = presets[preset] || presets.flat;
-    Object.entries(settings).forEach(([band, gain]) => {
-      const slider = document.querySelector(`[data-band="${band}"]`);
-      if (slider) {
-        slider.value = gain;
-        if (this.eqNodes[band]) {
-          this.eqNodes[band].gain.setValueAtTime(gain, this.audioContext?.currentTime || 0);
-        }
+  findBytes(bytes, marker, limit) {
+    const end = Math.min(bytes.length - marker.length, limit);
+    outer: for (let i = 0; i <= end; i++) {
+      for (let k = 0; k < marker.length; k++) {
+        if (bytes[i + k] !== marker.charCodeAt(k)) continue outer;
       }
-    });
+      return i;
+    }
+    return -1;
   }
 
-  updatePlaybackMode() {
-    const modes = {
-      lowlat: { latency: 0.08 },
-      ultralow: { latency: 0.04 },
-      highstab: { latency: 0.20 }
-    };
+  // ID3v2.2 / 2.3 / 2.4 text frames; 2.4 sizes are syncsafe, 2.2 uses 3-character ids and 3-byte sizes
+  parseId3Tags(bytes) {
+    const version = bytes[3];
+    const syncsafe = (o) => ((bytes[o] & 0x7f) << 21) | ((bytes[o + 1] & 0x7f) << 14) | ((bytes[o + 2] & 0x7f) << 7) | (bytes[o + 3] & 0x7f);
+    const uint32 = (o) => ((bytes[o] << 24) | (bytes[o + 1] << 16) | (bytes[o + 2] << 8) | bytes[o + 3]) >>> 0;
+    const frames = version === 2 ? { TT2: 'title', TP1: 'artist', TAL: 'album' } : { TIT2: 'title', TPE1: 'artist', TALB: 'album' };
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+    const end = Math.min(bytes.length, 10 + syncsafe(6));
+    let offset = 10;
+    if (version > 2 && bytes[5] & 0x40) offset += version === 4 ? syncsafe(10) : uint32(10) + 4; // extended header
+    const tags = {};
+    while (offset + headerLength <= end) {
+      const id = String.fromCharCode(...bytes.subarray(offset, offset + idLength));
+      if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+      const size = version === 2 ? (bytes[offset + 3] << 16) | (bytes[offset + 4] << 8) | bytes[offset + 5] :
+        version === 4 ? syncsafe(offset + 4) : uint32(offset + 4);
+      const body = offset + headerLength;
+      if (frames[id] && size > 1 && body + size <= bytes.length) {
+        const text = this.decodeId3Text(bytes.subarray(body, body + size));
+        if (text) tags[frames[id]] = text;
+      }
+      offset = body + size;
+    }
+    return tags;
+  }
 
-    const mode = modes[this.playbackMode] || modes.lowlat;
-    this.fixedLatency = mode.latency;
-    this.updatePlaybackStatus();
+  // First byte picks the encoding: Latin-1, UTF-16 with BOM, UTF-16BE, UTF-8. 2.4 separates multiple values with NUL.
+  decodeId3Text(frame) {
+    let encoding = ['windows-1252', 'utf-16le', 'utf-16be', 'utf-8'][frame[0]] || 'windows-1252';
+    if (frame[0] === 1 && frame[1] === 0xfe && frame[2] === 0xff) encoding = 'utf-16be';
+    const text = new TextDecoder(encoding).decode(frame.subarray(1));
+    return (text.split('\0').find(Boolean) || '').replace(/^\ufeff/, '').trim();
   }
 
-  resetSync() {
-    this.nextPlayTime = 0;
-    this.audioQueue = [];
-    for (const source of this.activeSources) {
-      try { source.stop(0); } catch (_) { }
+  parseFlacTags(bytes) {
+    let offset = 4;
+    while (offset + 4 <= bytes.length) {
+      const header = bytes[offset];
+      if ((header & 0x7f) === 4) return this.parseVorbisComments(bytes, offset + 4);
+      if (header & 0x80) break; // last metadata block
+      offset += 4 + ((bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]);
     }
-    this.activeSources.clear();
-    this.showToast('Audio sync reset', 'info');
-    this.updatePlaybackStatus();
+    return {};
   }
 
+  // Vorbis comment block: vendor string, then "KEY=value" UTF-8 comments, all with little-endian lengths
+  parseVorbisComments(bytes, offset) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const fields = { TITLE: 'title', ARTIST: 'artist', ALBUM: 'album' };
+    const decoder = new TextDecoder();
+    const tags = {};
+    try {
+      offset += 4 + view.getUint32(offset, true);
+      const count = view.getUint32(offset, true);
+      offset += 4;
+      for (let i = 0; i < count; i++) {
+        const length = view.getUint32(offset, true);
+        offset += 4;
+        if (offset + length > bytes.length) break;
+        const comment = decoder.decode(bytes.subarray(offset, offset + length));
+        offset += length;
+        const eq = comment.indexOf('=');
+        const key = eq > 0 && fields[comment.slice(0, eq).toUpperCase()];
+        const value = comment.slice(eq + 1).trim();
+        if (key && value && !tags[key]) tags[key] = value;
+      }
+    } catch (_) { } // header cut off by the read window: keep what was read
+    return tags;
+  }
 
+  formatTrackTime(seconds) {
+    if (!Number.isFinite(seconds)) return '--:--';
+    const s = Math.floor(seconds);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+  }
 
-  toggleLoudnessBoost(enabled) {
-    if (!this.audioContext) return;
-
-    if (enabled && !this.compressorNode) {
-      this.compressorNode = this.audioContext.createDynamicsCompressor();
-      this.compressorNode.threshold.setValueAtTime(-18, this.audioContext.currentTime);
-      this.compressorNode.knee.setValueAtTime(6, this.audioContext.currentTime);
-      this.compressorNode.ratio.setValueAtTime(3, this.audioContext.currentTime);
-      this.compressorNode.attack.setValueAtTime(0.003, this.audioContext.currentTime);
-      this.compressorNode.release.setValueAtTime(0.1, this.audioContext.currentTime);
+  setupPlaylistControls() {
+    const panel = document.getElementById('playlistPanel');
+    if (!panel) return;
+    const syncPanel = () => {
+      const source = (document.querySelector('input[name="audioSource"]:checked') || {}).value;
+      panel.classList.toggle('d-none', source !== 'file');
+    };
+    document.querySelectorAll('input[name="audioSource"]').forEach(el => el.addEventListener('change', syncPanel));
+    syncPanel();
+
+    document.getElementById('playlistAdd')?.addEventListener('click', () => this.pickPlaylistFiles());
+    document.getElementById('playlistPrev')?.addEventListener('click', () => this.previousTrack());
+    document.getElementById('playlistPlayPause')?.addEventListener('click', () => this.togglePlaylistPause());
+    document.getElementById('playlistNext')?.addEventListener('click', () => this.nextTrack());
+    document.getElementById('playlistShuffle')?.addEventListener('click', () => this.setPlaylistOptions({ shuffle: !this.playlist.shuffle }));
+    document.getElementById('playlistRepeat')?.addEventListener('click', () => this.setPlaylistOptions({ repeat: !this.playlist.repeat }));
+    document.getElementById('playlistCrossfade')?.addEventListener('change', (e) => this.setPlaylistOptions({ crossfadeSec: parseFloat(e.target.value) || 0 }));
+
+    const seek = document.getElementById('playlistSeek');
+    if (seek) {
+      seek.addEventListener('input', () => {
+        this._playlistSeeking = true;
+        const time = document.getElementById('playlistTime');
+        if (time) time.textContent = this.formatTrackTime(parseFloat(seek.value));
+      });
+      seek.addEventListener('change', () => {
+        this._playlistSeeking = false;
+        this.seekPlaylist(parseFloat(seek.value));
+      });
     }
 
-    // Reconnect audio chain when toggling
-    this.setupAudioPlayback();
-    this.updatePlaybackStatus();
+    // Files dropped anywhere on the panel are queued; rows dropped on a row are moved in front of it
+    panel.addEventListener('dragover', (e) => e.preventDefault());
+    panel.addEventListener('drop', (e) => {
+      e.preventDefault();
+      if (e.dataTransfer?.files?.length) this.addPlaylistFiles(Array.from(e.dataTransfer.files));
+    });
+    this.renderPlaylist();
   }
 
-  updatePlaybackStatus() {
-    const el = document.getElementById('playbackStatus');
-    if (!el) return;
-    const listening = this.isListening ? `listening to ${this.listeningToSource || 'source'}` : 'idle';
-    const queueMs = this.audioQueue.reduce((acc, item) => {
-      const ch = item.channels || 1;
-      return acc + (item.data.length / (item.sampleRate * ch)) * 1000;
-    }, 0).toFixed(0);
-    const modeMap = { lowlat: 'Low', ultralow: 'Ultra', highstab: 'Stable' };
-    const modeLabel = modeMap[this.playbackMode] || 'Low';
-    const uPart = this.features.adaptiveLatency ? ` • U:${this.underruns}` : '';
-    let latPart = `Lat ${Math.round(this.fixedLatency * 1000)}ms`;
-    if (this.features.adaptiveLatency) {
-      const delta = this.fixedLatency - this.baseLatency;
-      if (delta > 0.005) {
-        latPart += ` (+${Math.round(delta * 1000)}ms)`;
-      }
+  renderPlaylist() {
+    const list = document.getElementById('playlistItems');
+    if (!list) return;
+    const { items, currentId, playing, shuffle, repeat, crossfadeSec } = this.playlist;
+    list.innerHTML = '';
+    items.forEach((item, index) => {
+      const row = document.createElement('li');
+      row.className = `list-group-item d-flex align-items-center gap-2 bg-dark text-light border-secondary playlist-item${item.id === currentId ? ' active' : ''}`;
+      row.draggable = true;
+      row.innerHTML = `
+        <i class="bi bi-grip-vertical text-muted" title="Drag to reorder"></i>
+        <span class="small text-muted" style="width:1.5rem">${index + 1}</span>
+        <div class="me-auto text-truncate" role="button" title="Play"><span data-role="title"></span> <small class="text-muted" data-role="artist"></small></div>
+        <small class="text-muted">${this.formatTrackTime(item.duration)}</small>
+        <button type="button" class="btn btn-sm btn-outline-danger" title="Remove"><i class="bi bi-x"></i></button>`;
+      row.querySelector('[data-role="title"]').textContent = item.title;
+      row.querySelector('[data-role="artist"]').textContent = item.artist;
+      row.querySelector('[role="button"]').addEventListener('click', () => this.playTrack(item.id));
+      row.querySelector('button').addEventListener('click', () => this.removeTrack(item.id));
+      row.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/x-playlist-item', String(item.id));
+        e.dataTransfer.effectAllowed = 'move';
+        row.classList.add('dragging');
+      });
+      row.addEventListener('dragend', () => row.classList.remove('dragging'));
+      row.addEventListener('dragover', (e) => { e.preventDefault(); row.classList.add('drag-over'); });
+      row.addEventListener('dragleave', () => row.classList.remove('drag-over'));
+      row.addEventListener('drop', (e) => {
+        row.classList.remove('drag-over');
+        const id = parseInt(e.dataTransfer.getData('text/x-playlist-item'), 10);
+        if (!id) return; // files: handled by the panel
+        e.preventDefault();
+        e.stopPropagation();
+        this.moveTrack(id, item.id);
+      });
+      list.appendChild(row);
+    });
+    document.getElementById('playlistEmpty')?.classList.toggle('d-none', items.length > 0);
+
+    const streaming = !!this.playlistOutput;
+    for (const id of ['playlistPrev', 'playlistPlayPause', 'playlistNext', 'playlistSeek']) {
+      const el = document.getElementById(id);
+      if (el) el.disabled = !streaming;
     }
-    el.textContent = `${modeLabel} • ${latPart} • Queue ${queueMs}ms${uPart} • ${listening}`;
+    const playPause = document.getElementById('playlistPlayPause');
+    if (playPause) playPause.innerHTML = `<i class="bi ${playing ? 'bi-pause-fill' : 'bi-play-fill'}"></i>`;
+    document.getElementById('playlistShuffle')?.classList.toggle('active', shuffle);
+    document.getElementById('playlistRepeat')?.classList.toggle('active', repeat);
+    const crossfade = document.getElementById('playlistCrossfade');
+    if (crossfade) crossfade.value = String(crossfadeSec);
+    const current = items.find(i => i.id === currentId);
+    const now = document.getElementById('playlistNow');
+    if (now) now.textContent = current ? [current.title, current.artist].filter(Boolean).join(' — ') : '';
+    this.renderPlaylistProgress();
+  }
+
+  renderPlaylistProgress() {
+    const deck = this.playlistOutput?.decks[this.playlistOutput.active];
+    const seek = document.getElementById('playlistSeek');
+    const time = document.getElementById('playlistTime');
+    if (this._playlistSeeking) return;
+    const duration = deck && Number.isFinite(deck.audio.duration) ? deck.audio.duration : 0;
+    const position = deck ? deck.audio.currentTime : 0;
+    if (seek) { seek.max = duration || 1; seek.value = position; }
+    if (time) time.textContent = `${this.formatTrackTime(position)} / ${this.formatTrackTime(duration || NaN)}`;
+  }
+
+  // ---------------- NOW PLAYING ----------------
+  // Metadata side channel: title, artist, status and a cover image the streamer can edit while live. The server
+  // caches the latest value per stream and hands it to late joiners with joinedAsListener.
+
+  // Coalesces bursts (typing, track changes) into one update; the server also sends at most one per 250 ms,
+  // merging anything newer (an earlier image included) into the update it sends when that window ends
+  publishNowPlaying() {
+    if (!this.socket || !this.isStreaming) return;
+    clearTimeout(this._nowPlayingTimer);
+    this._nowPlayingTimer = setTimeout(() => this.sendNowPlaying(), 300);
+  }
+
+  sendNowPlaying() {
+    if (!this.socket || !this.isStreaming) return;
+    const meta = this.nowPlaying;
+    const item = this.playlistOutput ? this.playlist.items.find(i => i.id === this.playlist.currentId) : null;
+    const payload = {
+      title: meta.title || item?.title || '',
+      artist: meta.artist || item?.artist || '',
+      album: item?.album || '',
+      status: meta.status
+    };
+    // the image is only sent when it changed; the server keeps the last one otherwise
+    if (!this._artworkSent) {
+      payload.artwork = meta.artwork ? { type: meta.artwork.type, data: this.dataUrlToBuffer(meta.artwork.url) } : null;
+      this._artworkSent = true;
+    }
+    this.socket.emit('nowPlaying', payload);
+  }
+
+  setNowPlaying(changes) {
+    if ('artwork' in changes) this._artworkSent = false;
+    Object.assign(this.nowPlaying, changes);
+    try {
+      localStorage.setItem('audioTransfer.nowPlaying', JSON.stringify(this.nowPlaying));
+    } catch (_) {
+      this.showToast('Cover image not saved for next time (storage full)', 'warning');
+    }
+    this.publishNowPlaying();
+    this.syncNowPlayingControls();
+  }
+
+  // Scales the image to fit ARTWORK_SIZE and re-encodes it as JPEG, lowering the quality until it fits the upload limit
+  async loadArtwork(file) {
+    if (!file || !file.type.startsWith('image/')) {
+      this.showToast('Choose an image file', 'warning');
+      return;
+    }
+    try {
+      const bitmap = await createImageBitmap(file);
+      const scale = Math.min(1, ARTWORK_SIZE / Math.max(bitmap.width, bitmap.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+      canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      bitmap.close?.();
+      let url = null;
+      for (const quality of [0.85, 0.7, 0.5, 0.3]) {
+        url = canvas.toDataURL('image/jpeg', quality);
+        if (this.dataUrlToBuffer(url).byteLength <= ARTWORK_MAX_BYTES) break;
+        url = null;
+      }
+      if (!url) throw new Error('image too large');
+      this.setNowPlaying({ artwork: { type: 'image/jpeg', url } });
+    } catch (e) {
+      console.warn('loadArtwork', e);
+      this.showToast('Could not use that image', 'error');
+    }
+  }
+
+  dataUrlToBuffer(url) {
+    const binary = atob(url.slice(url.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
+  }
+
+  setupNowPlayingControls() {
+    for (const field of ['title', 'artist', 'status']) {
+      const input = document.getElementById(`nowPlaying${field[0].toUpperCase()}${field.slice(1)}`);
+      if (!input) continue;
+      input.addEventListener('change', () => this.setNowPlaying({ [field]: input.value.trim().substring(0, 200) }));
+      input.addEventListener('keydown', (e) => { if (e.key === 'Enter') input.blur(); });
+    }
+    const file = document.getElementById('nowPlayingArtFile');
+    if (file) {
+      file.addEventListener('change', () => {
+        this.loadArtwork(file.files[0]);
+        file.value = '';
+      });
+    }
+    document.getElementById('nowPlayingArtClear')?.addEventListener('click', () => this.setNowPlaying({ artwork: null }));
+    this.syncNowPlayingControls();
+  }
+
+  syncNowPlayingControls() {
+    const { title, artist, status, artwork } = this.nowPlaying;
+    const values = { nowPlayingTitle: title, nowPlayingArtist: artist, nowPlayingStatus: status };
+    for (const [id, value] of Object.entries(values)) {
+      const input = document.getElementById(id);
+      if (input && document.activeElement !== input) input.value = value || '';
+    }
+    const preview = document.getElementById('nowPlayingArtPreview');
+    if (preview) {
+      preview.classList.toggle('d-none', !artwork);
+      if (artwork) preview.src = artwork.url;
+      else preview.removeAttribute('src');
+    }
+    document.getElementById('nowPlayingArtPlaceholder')?.classList.toggle('d-none', !!artwork);
+    document.getElementById('nowPlayingArtClear')?.classList.toggle('d-none', !artwork);
+  }
+
+  // Listener side: keep the metadata and a blob: URL for its artwork on the source
+  setSourceNowPlaying(source, track) {
+    if (source.artworkUrl) URL.revokeObjectURL(source.artworkUrl);
+    source.nowPlaying = track || null;
+    const artwork = track?.artwork;
+    source.artworkUrl = artwork?.data ? URL.createObjectURL(new Blob([artwork.data], { type: artwork.type })) : null;
+    this.renderSourceMixer();
+    this.renderNowPlaying();
+    this.updateMediaSessionMetadata();
+  }
+
+  // The source whose metadata the Play tab card and the OS media controls show
+  nowPlayingSource() {
+    const sources = Array.from(this.sources.values());
+    return sources.find(s => s.nowPlaying) || sources[0] || null;
+  }
+
+  renderNowPlaying() {
+    const card = document.getElementById('nowPlayingCard');
+    if (!card) return;
+    const source = this.nowPlayingSource();
+    const track = source?.nowPlaying;
+    card.classList.toggle('d-none', !track);
+    if (!track) return;
+    const art = document.getElementById('nowPlayingArt');
+    if (art) {
+      art.classList.toggle('d-none', !source.artworkUrl);
+      if (source.artworkUrl) art.src = source.artworkUrl;
+    }
+    document.getElementById('nowPlayingArtFallback')?.classList.toggle('d-none', !!source.artworkUrl);
+    const set = (id, text) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      el.textContent = text || '';
+      el.classList.toggle('d-none', !text);
+    };
+    set('nowPlayingTrackTitle', track.title);
+    set('nowPlayingTrackArtist', [track.artist, track.album].filter(Boolean).join(' • '));
+    set('nowPlayingTrackStatus', track.status);
+    set('nowPlayingTrackSource', `from ${source.name}`);
+  }
+
+  // ---------------- SEND PROCESSING ----------------
+  // Pre-send chain on the streamer: captureSourceNode -> input gain -> [high-pass] -> [cleanup worklet] -> sendBus.
+  // Everything that consumes the capture (encoder, WebRTC, input meter) hangs off sendBus, so stages can be
+  // rewired while streaming. The cleanup worklet holds the noise suppressor and the gate; with both off it
+  // passes audio through untouched.
+  async buildSendChain(channels) {
+    const ctx = this.captureContext;
+    this.sendBus = ctx.createGain();
+    this.sendInputGain = ctx.createGain();
+    this.sendHighpass = ctx.createBiquadFilter();
+    this.sendHighpass.type = 'highpass';
+    this.sendHighpass.Q.value = Math.SQRT1_2;
+    try {
+      await ctx.audioWorklet.addModule(this.createSendCleanupWorkletScript());
+      this.sendCleanupNode = new AudioWorkletNode(ctx, 'send-cleanup', {
+        channelCount: channels, channelCountMode: 'explicit', outputChannelCount: [channels]
+      });
+      this.sendCleanupNode.port.onmessage = (ev) => this.handleNoiseProfile(ev.data);
+    } catch (err) {
+      console.warn('Noise gate / suppression unavailable', err);
+      this.sendCleanupNode = null;
+    }
+    this.applySendChain();
+  }
+
+  // Push sendChain settings into the nodes and rewire the stages that are switched on
+  applySendChain() {
+    if (!this.sendBus) return;
+    const config = this.sendChain;
+    const now = this.captureContext.currentTime;
+    this.sendInputGain.gain.setTargetAtTime(Math.pow(10, config.inputGainDb / 20), now, 0.02);
+    this.sendHighpass.frequency.setTargetAtTime(config.highpassHz, now, 0.02);
+    this.sendCleanupNode?.port.postMessage({ type: 'config', config });
+
+    const chain = [this.captureSourceNode, this.sendInputGain];
+    if (config.highpass) chain.push(this.sendHighpass);
+    if (this.sendCleanupNode) chain.push(this.sendCleanupNode);
+    chain.push(this.sendBus);
+    const previous = this.sendChainNodes || [];
+    for (let i = 0; i + 1 < previous.length; i++) {
+      try { previous[i].disconnect(previous[i + 1]); } catch (_) { }
+    }
+    for (let i = 0; i + 1 < chain.length; i++) chain[i].connect(chain[i + 1]);
+    this.sendChainNodes = chain;
+  }
+
+  teardownSendChain() {
+    for (const node of this.sendChainNodes || []) { try { node.disconnect(); } catch (_) { } }
+    this.sendChainNodes = null;
+    this.sendBus = null;
+    this.sendInputGain = null;
+    this.sendHighpass = null;
+    this.sendCleanupNode = null;
+  }
+
+  setSendChain(changes) {
+    Object.assign(this.sendChain, changes);
+    try { localStorage.setItem('audioTransfer.sendChain', JSON.stringify(this.sendChain)); } catch (_) { }
+    this.applySendChain();
+    this.syncSendChainControls();
+  }
+
+  // Averages the spectrum over the next 2 seconds; the user should stay quiet while it runs
+  learnNoiseProfile() {
+    if (!this.sendCleanupNode) {
+      this.showToast(this.isStreaming ? 'Noise suppression is not supported in this browser' : 'Start streaming first, then learn the noise profile', 'warning');
+      return;
+    }
+    this.sendCleanupNode.port.postMessage({ type: 'learn', seconds: 2 });
+    this.showToast('Learning noise profile: stay quiet for 2 seconds', 'info');
+  }
+
+  handleNoiseProfile(message) {
+    if (message?.type !== 'profile') return;
+    this.setSendChain({ noiseProfile: message.profile, suppression: true });
+    this.showToast('Noise profile learned', 'success');
+  }
+
+  setupSendChainControls() {
+    const bind = (id, event, read) => {
+      document.getElementById(id)?.addEventListener(event, (e) => this.setSendChain(read(e.target)));
+    };
+    bind('sendInputGain', 'input', el => ({ inputGainDb: parseFloat(el.value) }));
+    bind('sendHighpass', 'change', el => ({ highpass: el.checked }));
+    bind('sendHighpassHz', 'change', el => ({ highpassHz: Math.max(20, Math.min(300, parseFloat(el.value) || 80)) }));
+    bind('sendGate', 'change', el => ({ gate: el.checked }));
+    bind('sendGateThreshold', 'input', el => ({ gateThresholdDb: parseFloat(el.value) }));
+    bind('sendGateAttack', 'change', el => ({ gateAttackMs: Math.max(0.5, Math.min(50, parseFloat(el.value) || 5)) }));
+    bind('sendGateRelease', 'change', el => ({ gateReleaseMs: Math.max(20, Math.min(2000, parseFloat(el.value) || 200)) }));
+    bind('sendSuppression', 'change', el => ({ suppression: el.checked }));
+    bind('sendSuppressionDb', 'input', el => ({ suppressionDb: parseFloat(el.value) }));
+    document.getElementById('learnNoiseProfile')?.addEventListener('click', () => this.learnNoiseProfile());
+    document.getElementById('clearNoiseProfile')?.addEventListener('click', () => this.setSendChain({ noiseProfile: null }));
+    this.syncSendChainControls();
+  }
+
+  syncSendChainControls() {
+    const config = this.sendChain;
+    const set = (id, prop, value) => { const el = document.getElementById(id); if (el) el[prop] = value; };
+    set('sendInputGain', 'value', config.inputGainDb);
+    set('sendInputGainValue', 'textContent', `${config.inputGainDb > 0 ? '+' : ''}${config.inputGainDb} dB`);
+    set('sendHighpass', 'checked', config.highpass);
+    set('sendHighpassHz', 'value', config.highpassHz);
+    set('sendGate', 'checked', config.gate);
+    set('sendGateThreshold', 'value', config.gateThresholdDb);
+    set('sendGateThresholdValue', 'textContent', `${config.gateThresholdDb} dB`);
+    set('sendGateAttack', 'value', config.gateAttackMs);
+    set('sendGateRelease', 'value', config.gateReleaseMs);
+    set('sendSuppression', 'checked', config.suppression);
+    set('sendSuppressionDb', 'value', config.suppressionDb);
+    set('sendSuppressionDbValue', 'textContent', `${config.suppressionDb} dB`);
+    set('noiseProfileStatus', 'textContent', config.noiseProfile ? 'Using the learned noise profile' : 'Tracking the noise floor automatically');
+    set('clearNoiseProfile', 'disabled', !config.noiseProfile);
+  }
+
+  createSendCleanupWorkletScript() {
+    const code = `
+      const N = 512; // STFT size; 50% overlap with sqrt-Hann analysis and synthesis windows
+      const HOP = N / 2;
+      const OVER_SUBTRACTION = 3; // subtract 3x the noise power; trades a little speech for much less residual hiss
+      const WINDOW = Float32Array.from({ length: N }, (_, n) => Math.sqrt(0.5 - 0.5 * Math.cos(2 * Math.PI * n / N)));
+      const COS = Float32Array.from({ length: N / 2 }, (_, k) => Math.cos(2 * Math.PI * k / N));
+      const SIN = Float32Array.from({ length: N / 2 }, (_, k) => Math.sin(2 * Math.PI * k / N));
+      const REV = Uint16Array.from({ length: N }, (_, i) => {
+        let r = 0;
+        for (let b = 1, j = i; b < N; b <<= 1, j >>= 1) r = (r << 1) | (j & 1);
+        return r;
+      });
+
+      // In-place radix-2 FFT; inverse is unscaled
+      function fft(re, im, inverse) {
+        for (let i = 0; i < N; i++) {
+          const j = REV[i];
+          if (j > i) {
+            let t = re[i]; re[i] = re[j]; re[j] = t;
+            t = im[i]; im[i] = im[j]; im[j] = t;
+          }
+        }
+        for (let size = 2; size <= N; size <<= 1) {
+          const half = size >> 1;
+          const step = N / size;
+          for (let start = 0; start < N; start += size) {
+            for (let k = 0; k < half; k++) {
+              const c = COS[k * step];
+              const s = inverse ? SIN[k * step] : -SIN[k * step];
+              const a = start + k;
+              const b = a + half;
+              const tr = re[b] * c - im[b] * s;
+              const ti = re[b] * s + im[b] * c;
+              re[b] = re[a] - tr; im[b] = im[a] - ti;
+              re[a] += tr; im[a] += ti;
+            }
+          }
+        }
+      }
+
+      class SendCleanup extends AudioWorkletProcessor {
+        constructor() {
+          super();
+          this.config = { gate: false, suppression: false };
+          this.channels = [];
+          this.noise = null; // per-bin noise magnitude in use
+          // noise estimate when nothing was learned: minimum of the smoothed power, rising slowly (minimum statistics)
+          this.smoothed = new Float32Array(N / 2 + 1);
+          this.tracked = new Float32Array(N / 2 + 1);
+          this.learning = null; // { frames, calls, target, power }
+          this.re = new Float32Array(N);
+          this.im = new Float32Array(N);
+          this.gateGain = 0;
+          this.gateEnv = 0;
+          this.gateHold = 0;
+          this.port.onmessage = (ev) => {
+            const msg = ev.data;
+            if (msg.type === 'config') {
+              if (msg.config.suppression !== this.config.suppression) this.channels = []; // restart the overlap-add
+              this.config = msg.config;
+              this.noise = msg.config.noiseProfile ? Float32Array.from(msg.config.noiseProfile) : null;
+            } else if (msg.type === 'learn') {
+              const frames = Math.round(msg.seconds * sampleRate / HOP);
+              this.learning = { frames: 0, calls: 0, target: frames, power: new Float64Array(N / 2 + 1) };
+            }
+          };
+        }
+
+        channel(c) {
+          if (!this.channels[c]) {
+            this.channels[c] = {
+              input: new Float32Array(N), inPos: N - HOP, // a frame every HOP samples, so out never runs dry
+              ola: new Float32Array(N), out: new Float32Array(HOP), outPos: 0,
+              gains: new Float32Array(N / 2 + 1).fill(1)
+            };
+          }
+          return this.channels[c];
+        }
+
+        // One STFT frame: power subtraction, floored at the configured reduction
+        processFrame(ch, c) {
+          const { re, im } = this;
+          for (let n = 0; n < N; n++) { re[n] = ch.input[n] * WINDOW[n]; im[n] = 0; }
+          ch.input.copyWithin(0, HOP);
+          ch.inPos = N - HOP;
+          fft(re, im, false);
+          const suppress = this.config.suppression;
+          const floor = Math.pow(10, -this.config.suppressionDb / 20);
+          for (let k = 0; k <= N / 2; k++) {
+            const power = re[k] * re[k] + im[k] * im[k];
+            if (c === 0) {
+              const smoothed = this.smoothed[k] = 0.8 * this.smoothed[k] + 0.2 * power;
+              const t = this.tracked[k];
+              this.tracked[k] = t === 0 || smoothed < t ? smoothed : t * 1.002;
+            }
+            if (this.learning) this.learning.power[k] += power;
+            if (!suppress) continue;
+            // the minimum sits well below the mean noise power, hence the x2 bias correction
+            const noisePower = this.noise ? this.noise[k] * this.noise[k] : 2 * this.tracked[k];
+            const target = Math.max(floor, Math.sqrt(Math.max(0, 1 - OVER_SUBTRACTION * noisePower / (power + 1e-12))));
+            // open fast, close slowly: keeps "musical noise" from twinkling between frames
+            const g = target > ch.gains[k] ? target : 0.6 * ch.gains[k] + 0.4 * target;
+            ch.gains[k] = g;
+            re[k] *= g; im[k] *= g;
+            if (k > 0 && k < N / 2) { re[N - k] *= g; im[N - k] *= g; }
+          }
+          if (this.learning) {
+            this.learning.calls++;
+            if (c === 0) this.learning.frames++;
+          }
+          if (!suppress) return;
+          fft(re, im, true);
+          for (let n = 0; n < N; n++) ch.ola[n] += re[n] / N * WINDOW[n];
+          ch.out.set(ch.ola.subarray(0, HOP));
+          ch.ola.copyWithin(0, HOP);
+          ch.ola.fill(0, N - HOP);
+          ch.outPos = 0;
+        }
+
+        process(inputs, outputs) {
+          const input = inputs[0];
+          const output = outputs[0];
+          if (!input || !input.length) return true;
+          const frames = output[0].length;
+          const stft = this.config.suppression || this.learning;
+          for (let c = 0; c < output.length; c++) {
+            const src = input[c] || input[0];
+            const dst = output[c];
+            if (!stft) { dst.set(src); continue; }
+            const ch = this.channel(c);
+            for (let i = 0; i < frames; i++) {
+              ch.input[ch.inPos++] = src[i];
+              dst[i] = this.config.suppression ? ch.out[ch.outPos++] : src[i];
+              if (ch.inPos === N) this.processFrame(ch, c);
+            }
+          }
+          if (this.learning && this.learning.frames >= this.learning.target) {
+            const { power, calls } = this.learning;
+            this.learning = null;
+            this.port.postMessage({ type: 'profile', profile: Array.from(power, p => Math.sqrt(p / calls)) });
+          }
+          if (this.config.gate) this.applyGate(output, frames);
+          return true;
+        }
+
+        // Gate on the peak envelope of all channels: opens above the threshold, closes 6 dB below it after 50 ms
+        applyGate(output, frames) {
+          const { gateThresholdDb, gateAttackMs, gateReleaseMs } = this.config;
+          const open = Math.pow(10, gateThresholdDb / 20);
+          const close = open / 2;
+          const attack = 1 - Math.exp(-1 / (gateAttackMs / 1000 * sampleRate));
+          const release = 1 - Math.exp(-1 / (gateReleaseMs / 1000 * sampleRate));
+          const envDecay = Math.exp(-1 / (0.01 * sampleRate));
+          const hold = Math.round(0.05 * sampleRate);
+          for (let i = 0; i < frames; i++) {
+            let peak = 0;
+            for (let c = 0; c < output.length; c++) peak = Math.max(peak, Math.abs(output[c][i]));
+            this.gateEnv = Math.max(peak, this.gateEnv * envDecay);
+            if (this.gateEnv >= open) this.gateHold = hold;
+            else if (this.gateEnv < close && this.gateHold > 0) this.gateHold--;
+            const target = this.gateHold > 0 ? 1 : 0;
+            this.gateGain += (target - this.gateGain) * (target > this.gateGain ? attack : release);
+            for (let c = 0; c < output.length; c++) output[c][i] *= this.gateGain;
+          }
+        }
+      }
+      registerProcessor('send-cleanup', SendCleanup);
+    `;
+    return URL.createObjectURL(new Blob([code], { type: 'application/javascript' }));
+  }
+
+  // ---------------- TALK CONTROLS ----------------
+  // Mute, push-to-talk and voice activity detection keep the stream session running: while closed, each 20 ms
+  // packet is replaced by an empty silence marker with the same seq / sampleIndex, so listeners stay in sync
+  // and the server's recordings and room mix keep time. WebRTC listeners get the track disabled instead.
+
+  talkOpen() {
+    return !this.talk.muted && (!this.talk.pushToTalk || this.pttHeld);
+  }
+
+  // Called once per captured packet, before encoding; also keeps the noise floor used for comfort noise
+  shouldTransmit(samples, sampleRate, channels) {
+    const vad = this.vadState;
+    if (!vad) return this.talkOpen();
+    const packetMs = samples.length / channels / sampleRate * 1000;
+    vad.clockMs += packetMs;
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    const levelDb = 10 * Math.log10(sum / Math.max(1, samples.length) + 1e-12);
+    // noise floor follows drops at once and rises 3 dB/s, so it doesn't latch onto speech
+    vad.noiseFloorDb = vad.noiseFloorDb == null ? levelDb : Math.min(levelDb, vad.noiseFloorDb + 3 * packetMs / 1000);
+    if (levelDb > this.talk.vadThresholdDb) vad.lastVoiceMs = vad.clockMs;
+
+    if (!this.talkOpen()) return false;
+    return !this.talk.vad || vad.clockMs - vad.lastVoiceMs <= this.talk.vadHangoverMs;
+  }
+
+  sendSilenceMarker(timing, sampleRate, channels, frames) {
+    const noiseLevel = this.talk.comfortNoise && this.vadState?.noiseFloorDb != null ?
+      Math.round(Math.max(-100, Math.min(-40, this.vadState.noiseFloorDb))) : null;
+    const send = () => this.emitAudioPacket(new ArrayBuffer(0), {
+      ...timing, sampleRate, channels, frameSamples: frames, codec: 'silence', noiseLevel
+    });
+    if (this.audioEncoder.afterPending) this.audioEncoder.afterPending(send);
+    else send();
+  }
+
+  setTalk(changes) {
+    Object.assign(this.talk, changes);
+    const { muted, ...settings } = this.talk;
+    try { localStorage.setItem('audioTransfer.talk', JSON.stringify(settings)); } catch (_) { }
+    this.updateTalkState();
+  }
+
+  setPushToTalkHeld(held) {
+    if (this.pttHeld === held) return;
+    this.pttHeld = held;
+    this.updateTalkState();
+  }
+
+  // Applies mute / push-to-talk to the WebRTC track and tells listeners (streamMuted) when it changed
+  updateTalkState() {
+    const open = this.talkOpen();
+    for (const track of this.rtcStreamDestination?.stream.getAudioTracks() || []) track.enabled = open;
+    if (this.isStreaming && this.socket && this._talkOpenSent !== open) {
+      this._talkOpenSent = open;
+      this.socket.emit('streamMuted', { muted: !open, pushToTalk: this.talk.pushToTalk });
+    }
+    this.syncTalkControls();
+  }
+
+  setupTalkControls() {
+    document.getElementById('talkMuteBtn')?.addEventListener('click', () => this.setTalk({ muted: !this.talk.muted }));
+    document.getElementById('talkPushToTalk')?.addEventListener('change', (e) => this.setTalk({ pushToTalk: e.target.checked }));
+    document.getElementById('talkVad')?.addEventListener('change', (e) => this.setTalk({ vad: e.target.checked }));
+    document.getElementById('talkVadThreshold')?.addEventListener('input', (e) => this.setTalk({ vadThresholdDb: parseFloat(e.target.value) }));
+    document.getElementById('talkComfortNoise')?.addEventListener('change', (e) => this.setTalk({ comfortNoise: e.target.checked }));
+
+    const pttBtn = document.getElementById('talkPttBtn');
+    if (pttBtn) {
+      pttBtn.addEventListener('pointerdown', (e) => { pttBtn.setPointerCapture?.(e.pointerId); this.setPushToTalkHeld(true); });
+      for (const type of ['pointerup', 'pointercancel', 'lostpointercapture']) {
+        pttBtn.addEventListener(type, () => this.setPushToTalkHeld(false));
+      }
+    }
+
+    // Hold Space to talk, M toggles mute; ignored while typing in a form field
+    const typing = (e) => e.target instanceof Element && !!e.target.closest('input, textarea, select, [contenteditable="true"]');
+    document.addEventListener('keydown', (e) => {
+      if (!this.isStreaming || typing(e) || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.code === 'Space' && this.talk.pushToTalk) {
+        e.preventDefault();
+        if (!e.repeat) this.setPushToTalkHeld(true);
+      } else if (e.code === 'KeyM' && !e.repeat) {
+        this.setTalk({ muted: !this.talk.muted });
+      }
+    });
+    document.addEventListener('keyup', (e) => {
+      if (e.code === 'Space') this.setPushToTalkHeld(false);
+    });
+    // a key released while the window was in the background never sends keyup
+    window.addEventListener('blur', () => this.setPushToTalkHeld(false));
+    this.syncTalkControls();
+  }
+
+  syncTalkControls() {
+    const talk = this.talk;
+    const set = (id, prop, value) => { const el = document.getElementById(id); if (el) el[prop] = value; };
+    set('talkPushToTalk', 'checked', talk.pushToTalk);
+    set('talkVad', 'checked', talk.vad);
+    set('talkVadThreshold', 'value', talk.vadThresholdDb);
+    set('talkVadThresholdValue', 'textContent', `${talk.vadThresholdDb} dB`);
+    set('talkComfortNoise', 'checked', talk.comfortNoise);
+
+    const muteBtn = document.getElementById('talkMuteBtn');
+    if (muteBtn) {
+      muteBtn.className = `btn ${talk.muted ? 'btn-danger' : 'btn-outline-light'}`;
+      muteBtn.innerHTML = talk.muted ?
+        '<i class="bi bi-mic-mute-fill me-1"></i>Unmute' :
+        '<i class="bi bi-mic-fill me-1"></i>Mute';
+    }
+    const pttBtn = document.getElementById('talkPttBtn');
+    if (pttBtn) {
+      pttBtn.classList.toggle('d-none', !talk.pushToTalk);
+      pttBtn.classList.toggle('btn-success', this.pttHeld);
+      pttBtn.classList.toggle('btn-outline-success', !this.pttHeld);
+    }
+    const state = document.getElementById('talkState');
+    if (state) {
+      const open = this.talkOpen();
+      state.textContent = talk.muted ? 'Muted' : open ? (talk.vad ? 'On air (voice activated)' : 'On air') : 'Push-to-talk: hold to talk';
+      state.className = `badge ${open ? 'bg-success' : 'bg-secondary'}`;
+    }
+  }
+
+  // ---------------- TALKBACK ----------------
+  // Intercom for on-stage monitoring: a listener holds the talk button and its microphone (with the browser's
+  // echo cancellation, so the stream coming out of its speakers isn't sent back) goes to the streamer, or to the
+  // streamer and every other listener of that stream. The server routes talkbackState / talkbackData only for
+  // streams started with talkback allowed. Incoming voices get a small jitter cushion and play straight to the
+  // speakers through talkbackBus, next to the regular playback chain rather than through its EQ and loudness stages.
+
+  setTalkback(changes) {
+    Object.assign(this.talkback, changes);
+    try { localStorage.setItem('audioTransfer.talkback', JSON.stringify(this.talkback)); } catch (_) { }
+    if (this.talkbackBus) this.talkbackBus.gain.setTargetAtTime(this.talkback.volume, this.audioContext.currentTime, 0.02);
+    this.syncTalkbackControls();
+  }
+
+  // Opens the microphone on first use and keeps it open while a talkback-enabled stream is playing,
+  // so pressing the button doesn't clip the first words
+  async openTalkbackMic() {
+    if (this.talkbackMic) return this.talkbackMic;
+    if (!navigator.mediaDevices?.getUserMedia) throw new Error('Microphone capture is not supported in this browser');
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+    });
+    const ctx = this.audioContext;
+    try {
+      if (this._talkbackWorkletContext !== ctx) {
+        await ctx.audioWorklet.addModule(this.createCaptureWorkletScript());
+        this._talkbackWorkletContext = ctx;
+      }
+      const codec = await this.negotiateCodec('auto', ctx.sampleRate, 1, 'low');
+      const mic = {
+        stream,
+        sourceNode: ctx.createMediaStreamSource(stream),
+        workletNode: new AudioWorkletNode(ctx, 'capture-processor', { channelCount: 1, channelCountMode: 'explicit' }),
+        sinkNode: ctx.createGain(), // silent pull for the worklet
+        encoder: null,
+        seq: 0
+      };
+      mic.encoder = this.createAudioEncoder(codec, 'low', (data, meta) => this.emitTalkbackPacket(data, meta));
+      mic.sinkNode.gain.value = 0;
+      mic.workletNode.port.onmessage = (ev) => {
+        if (!this.talkbackActive || this.talkbackMic !== mic) return;
+        const d = ev.data;
+        mic.encoder.encode(new Float32Array(d.audioBuffer), d.sampleRate || ctx.sampleRate, d.channels || 1, {});
+      };
+      mic.sourceNode.connect(mic.workletNode).connect(mic.sinkNode).connect(ctx.destination);
+      this.talkbackMic = mic;
+      return mic;
+    } catch (e) {
+      stream.getTracks().forEach(t => t.stop());
+      throw e;
+    }
+  }
+
+  closeTalkbackMic() {
+    const mic = this.talkbackMic;
+    if (!mic) return;
+    this.talkbackMic = null;
+    mic.stream.getTracks().forEach(t => t.stop());
+    for (const node of [mic.sourceNode, mic.workletNode, mic.sinkNode]) { try { node.disconnect(); } catch (_) { } }
+    try { mic.encoder.close(); } catch (_) { }
+  }
+
+  emitTalkbackPacket(data, meta) {
+    if (!this.socket || !this.talkbackMic) return;
+    this.socket.emit('talkbackData', {
+      seq: ++this.talkbackMic.seq,
+      sampleRate: meta.sampleRate,
+      channels: meta.channels,
+      frameSamples: meta.frameSamples,
+      codec: meta.codec,
+      data
+    });
+  }
+
+  async startTalkback() {
+    const sourceId = document.getElementById('talkbackSource')?.value;
+    const source = this.sources.get(sourceId);
+    if (!source?.talkback || !this.socket || this.talkbackActive) return;
+    try {
+      this.talkbackActive = sourceId;
+      this.syncTalkbackControls();
+      await this.openTalkbackMic();
+      if (this.talkbackActive !== sourceId) return; // released while the microphone was opening
+      this.socket.emit('talkbackState', { sourceId, to: this.talkback.target, active: true });
+    } catch (e) {
+      this.talkbackActive = null;
+      this.syncTalkbackControls();
+      this.showToast('Talkback failed: ' + (e.message || e), 'error');
+    }
+  }
+
+  stopTalkback(notify = true) {
+    if (!this.talkbackActive) return;
+    this.talkbackActive = null;
+    if (notify && this.socket) this.socket.emit('talkbackState', { active: false });
+    this.syncTalkbackControls();
+  }
+
+  handleTalkbackState(info) {
+    if (!info || !info.fromId) return;
+    if (info.active) {
+      const voice = this.talkbackVoices.get(info.fromId);
+      this.talkbackVoices.set(info.fromId, { name: info.fromName || 'Listener', to: info.to, nextTime: voice?.nextTime || 0 });
+    } else {
+      this.talkbackVoices.delete(info.fromId);
+      const decoder = this.audioDecoders.get(`talkback:${info.fromId}`);
+      if (decoder) { decoder.close(); this.audioDecoders.delete(`talkback:${info.fromId}`); }
+    }
+    this.renderTalkbackIncoming();
+  }
+
+  ensureTalkbackOutput() {
+    if (!this.audioContext) this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    if (this.audioContext.state === 'suspended') this.audioContext.resume().catch(() => { });
+    if (!this.talkbackBus) {
+      this.talkbackBus = this.audioContext.createGain();
+      this.talkbackBus.gain.value = this.talkback.volume;
+      this.talkbackBus.connect(this.audioContext.destination);
+    }
+    return this.audioContext;
+  }
+
+  // talkbackStream: { sourceId, fromId, fromName, to, codec, seq, frameSamples, channels, sampleRate, data }
+  async playTalkback(packet) {
+    if (!packet || !this.talkbackVoices.has(packet.fromId)) return;
+    const decoded = await this.decodeAudioPayload({ ...packet, sourceId: `talkback:${packet.fromId}` });
+    const voice = this.talkbackVoices.get(packet.fromId);
+    if (!decoded || !voice) return;
+    const frames = decoded.data.length / decoded.channels;
+    if (!frames) return;
+
+    const ctx = this.ensureTalkbackOutput();
+    const buffer = ctx.createBuffer(decoded.channels, frames, decoded.sampleRate);
+    for (let c = 0; c < decoded.channels; c++) {
+      const channel = buffer.getChannelData(c);
+      for (let i = 0; i < frames; i++) channel[i] = decoded.data[i * decoded.channels + c];
+    }
+    const node = ctx.createBufferSource();
+    node.buffer = buffer;
+    node.connect(this.talkbackBus);
+    // after a gap, or once packets piled up, restart on the cushion instead of drifting further behind
+    const now = ctx.currentTime;
+    if (voice.nextTime < now + 0.01 || voice.nextTime > now + TALKBACK_LATENCY * 4) voice.nextTime = now + TALKBACK_LATENCY;
+    node.start(voice.nextTime);
+    voice.nextTime += buffer.duration;
+  }
+
+  setupTalkbackControls() {
+    document.getElementById('talkbackAllow')?.addEventListener('change', (e) => this.setTalkback({ allow: e.target.checked }));
+    document.getElementById('talkbackTarget')?.addEventListener('change', (e) => this.setTalkback({ target: e.target.value }));
+    for (const el of document.querySelectorAll('.talkback-volume')) {
+      el.addEventListener('input', (e) => this.setTalkback({ volume: parseInt(e.target.value, 10) / 100 }));
+    }
+
+    const talkBtn = document.getElementById('talkbackBtn');
+    if (talkBtn) {
+      talkBtn.addEventListener('pointerdown', (e) => { talkBtn.setPointerCapture?.(e.pointerId); this.startTalkback(); });
+      for (const type of ['pointerup', 'pointercancel', 'lostpointercapture']) {
+        talkBtn.addEventListener(type, () => this.stopTalkback());
+      }
+    }
+    window.addEventListener('blur', () => this.stopTalkback());
+    this.syncTalkbackControls();
+  }
+
+  syncTalkbackControls() {
+    const set = (id, prop, value) => { const el = document.getElementById(id); if (el) el[prop] = value; };
+    set('talkbackAllow', 'checked', this.talkback.allow);
+    set('talkbackTarget', 'value', this.talkback.target);
+    for (const el of document.querySelectorAll('.talkback-volume')) el.value = Math.round(this.talkback.volume * 100);
+    const talkBtn = document.getElementById('talkbackBtn');
+    if (talkBtn) {
+      talkBtn.classList.toggle('btn-danger', !!this.talkbackActive);
+      talkBtn.classList.toggle('btn-outline-light', !this.talkbackActive);
+    }
+  }
+
+  // The Play tab's talk button is offered for streams that accept talkback
+  renderTalkbackPanel() {
+    const available = Array.from(this.sources.values()).filter(s => s.talkback);
+    if (!available.length) this.closeTalkbackMic();
+    const panel = document.getElementById('talkbackPanel');
+    if (!panel) return;
+    panel.classList.toggle('d-none', !available.length);
+    const select = document.getElementById('talkbackSource');
+    if (select) {
+      const current = select.value;
+      select.innerHTML = '';
+      for (const source of available) select.add(new Option(source.name, source.id));
+      if (available.some(s => s.id === current)) select.value = current;
+      select.closest('.talkback-source')?.classList.toggle('d-none', available.length < 2);
+    }
+  }
+
+  renderTalkbackIncoming() {
+    const names = Array.from(this.talkbackVoices.values()).map(v => v.name);
+    for (const id of ['streamTalkbackIncoming', 'playTalkbackIncoming']) {
+      const el = document.getElementById(id);
+      if (!el) continue;
+      el.textContent = names.length ? `${names.join(', ')} talking` : '';
+      el.classList.toggle('d-none', !names.length);
+    }
+  }
+
+  // ---------------- CLOCK SYNC ----------------
+  localNow() {
+    return performance.timeOrigin + performance.now();
+  }
+
+  serverNow() {
+    return this.localNow() + (this.clockOffset || 0);
+  }
+
+  // A burst of pings right away, then one burst every 30 s
+  startClockSync() {
+    const burst = () => {
+      for (let i = 0; i < 5; i++) {
+        setTimeout(() => { if (this.socket?.connected) this.socket.emit('clockPing', { t0: this.localNow() }); }, i * 100);
+      }
+    };
+    clearInterval(this.clockSyncTimer);
+    this.clockSamples = [];
+    burst();
+    this.clockSyncTimer = setInterval(burst, 30000);
+  }
+
+  // offset = server time - midpoint of the round trip; the lowest-RTT recent sample is the most trustworthy
+  handleClockPong(pong) {
+    if (!pong || typeof pong.t0 !== 'number' || typeof pong.serverTime !== 'number') return;
+    const t3 = this.localNow();
+    const rtt = t3 - pong.t0;
+    if (rtt < 0) return;
+    this.clockSamples.push({ offset: pong.serverTime - (pong.t0 + t3) / 2, rtt });
+    if (this.clockSamples.length > 15) this.clockSamples.shift();
+    const best = this.clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    // a real correction (not just jitter) invalidates the capture anchor built on the old offset
+    if (this.clockOffset == null || Math.abs(best.offset - this.clockOffset) > 5) this._captureAnchor = null;
+    this.clockOffset = best.offset;
+    this.clockRtt = best.rtt;
+    if (typeof pong.targetDelay === 'number') this.syncTargetDelay = pong.targetDelay;
+    this.updateSyncInfo();
+  }
+
+  // Map a server-clock time (ms) to audioContext time, including output latency when the browser reports it
+  contextTimeForServerTime(serverMs) {
+    const localMs = serverMs - this.clockOffset;
+    const ts = this.audioContext.getOutputTimestamp ? this.audioContext.getOutputTimestamp() : null;
+    if (ts && ts.performanceTime) {
+      return ts.contextTime + (localMs - performance.timeOrigin - ts.performanceTime) / 1000;
+    }
+    const outputLatency = this.audioContext.outputLatency || this.audioContext.baseLatency || 0;
+    return this.audioContext.currentTime + (localMs - this.localNow()) / 1000 - outputLatency;
+  }
+
+  setSyncEnabled(enabled) {
+    this.syncEnabled = enabled;
+    try { localStorage.setItem('audioTransfer.multiRoomSync', enabled ? '1' : '0'); } catch (_) { }
+    document.getElementById('syncOffsetRow')?.classList.toggle('d-none', !enabled);
+    this.resetSync();
+  }
+
+  setSyncOffset(ms) {
+    this.syncOffsetMs = ms;
+    try { localStorage.setItem('audioTransfer.syncOffsetMs', String(ms)); } catch (_) { }
+    this.updateSyncInfo();
+  }
+
+  updateSyncInfo() {
+    const value = document.getElementById('syncOffsetValue');
+    if (value) value.textContent = `${this.syncOffsetMs > 0 ? '+' : ''}${this.syncOffsetMs}`;
+    const info = document.getElementById('clockSyncInfo');
+    if (info) {
+      info.textContent = this.clockOffset == null ? '• clock not synced yet' :
+        `• clock ±${Math.max(1, Math.round(this.clockRtt / 2))} ms, shared delay ${this.syncTargetDelay} ms`;
+    }
+  }
+
+  // ---------------- CODECS ----------------
+  // Supported codecs: 'opus' (WebCodecs), 'adpcm' (IMA 4-bit), 'pcm16', 'f32' (raw, legacy)
+  async negotiateCodec(preferred, sampleRate, channels, quality) {
+    if (preferred === 'f32' || preferred === 'pcm16' || preferred === 'adpcm') return preferred;
+
+    let opusSupported = false;
+    try {
+      if (typeof AudioEncoder !== 'undefined') {
+        const support = await AudioEncoder.isConfigSupported({
+          codec: 'opus',
+          sampleRate,
+          numberOfChannels: channels,
+          bitrate: OPUS_BITRATES[quality] || OPUS_BITRATES.high
+        });
+        opusSupported = !!support.supported;
+      }
+    } catch (_) { }
+
+    if (opusSupported) return 'opus';
+    if (preferred === 'opus') this.showToast(`Opus not available at ${sampleRate} Hz in this browser, using ADPCM`, 'warning');
+    return 'adpcm';
+  }
+
+  // send(data, meta) receives every encoded packet; talkback passes its own
+  createAudioEncoder(codec, quality, send = (data, meta) => this.emitAudioPacket(data, meta)) {
+    const emit = (data, meta) => send(data, { ...meta, codec });
+
+    if (codec === 'opus') {
+      let encoder = null;
+      let configuredFor = '';
+      let config = null;
+      let bitrate = OPUS_BITRATES[quality] || OPUS_BITRATES.high;
+      // Opus cuts its own 20 ms frames (after resampling to 48 kHz), so chunks don't line up with the input
+      // packets. Each input is kept as a span of the encoder timeline (µs); a chunk's timestamp/duration is mapped
+      // back into its span to get sampleIndex, capture time and length.
+      let timestampUs = 0; // end of the last input
+      let baseUs = 0;
+      let baseFrames = 0; // frames since baseUs, so the timeline doesn't collect rounding errors
+      let emittedUs = 0; // end of the last chunk
+      let flushing = false;
+      const spans = [];
+      const markers = [];
+      const runMarkers = (untilUs) => {
+        while (markers.length && markers[0].atUs <= untilUs) markers.shift().fn();
+      };
+      const flush = () => {
+        if (flushing || !encoder || encoder.state !== 'configured') return;
+        flushing = true;
+        const untilUs = timestampUs;
+        const flushed = encoder;
+        flushed.flush().catch(() => { }).finally(() => {
+          if (encoder !== flushed) return; // replaced meanwhile; its markers already ran
+          flushing = false;
+          runMarkers(untilUs);
+          if (markers.length) flush();
+        });
+      };
+      return {
+        codec,
+        // silence markers must not overtake frames still inside the encoder: queue them behind those frames
+        // and flush, so the last words before a mute don't wait for the next real frame
+        afterPending: (fn) => {
+          if (emittedUs >= timestampUs || !encoder) { fn(); return; }
+          markers.push({ atUs: timestampUs, fn });
+          flush();
+        },
+        // adaptive bitrate: reconfigure in place so frames already queued still come out
+        setQuality: (newQuality) => {
+          bitrate = OPUS_BITRATES[newQuality] || bitrate;
+          if (encoder && encoder.state === 'configured') {
+            config = { ...config, bitrate };
+            encoder.configure(config);
+          }
+        },
+        encode: (samples, sampleRate, channels, timing) => {
+          const key = `${sampleRate}/${channels}`;
+          if (!encoder || configuredFor !== key) {
+            if (encoder) { try { encoder.close(); } catch (_) { } }
+            encoder = new AudioEncoder({
+              output: (chunk) => {
+                while (spans.length && spans[0].endUs <= chunk.timestamp) spans.shift();
+                const span = spans[0];
+                if (!span || chunk.timestamp < span.startUs) return;
+                const offsetUs = chunk.timestamp - span.startUs;
+                const durationUs = chunk.duration || 20000;
+                const meta = {
+                  sampleRate: span.sampleRate,
+                  channels: span.channels,
+                  frameSamples: Math.round(durationUs * span.sampleRate / 1e6)
+                };
+                if (span.sampleIndex != null) meta.sampleIndex = span.sampleIndex + Math.round(offsetUs * span.sampleRate / 1e6);
+                if (span.timestamp != null) meta.timestamp = span.timestamp + offsetUs / 1000;
+                const buf = new ArrayBuffer(chunk.byteLength);
+                chunk.copyTo(buf);
+                emit(buf, meta);
+                emittedUs = Math.max(emittedUs, chunk.timestamp + durationUs);
+                runMarkers(emittedUs);
+              },
+              error: (e) => console.warn('Opus encoder error', e)
+            });
+            config = { codec: 'opus', sampleRate, numberOfChannels: channels, bitrate };
+            encoder.configure(config);
+            configuredFor = key;
+            // whatever the old encoder still held is gone, so nothing is left to wait for
+            spans.length = 0;
+            baseUs = emittedUs = timestampUs;
+            baseFrames = 0;
+            flushing = false;
+            runMarkers(Infinity);
+          }
+          const frames = samples.length / channels;
+          const startUs = timestampUs;
+          baseFrames += frames;
+          timestampUs = baseUs + Math.round(baseFrames * 1e6 / sampleRate);
+          spans.push({ startUs, endUs: timestampUs, sampleIndex: timing.sampleIndex, timestamp: timing.timestamp, sampleRate, channels });
+          const audioData = new AudioData({ format: 'f32', sampleRate, numberOfFrames: frames, numberOfChannels: channels, timestamp: startUs, data: samples });
+          encoder.encode(audioData);
+          audioData.close();
+        },
+        close: () => { if (encoder && encoder.state !== 'closed') encoder.close(); encoder = null; }
+      };
+    }
+
+    if (codec === 'adpcm') {
+      let state = [];
+      return {
+        codec,
+        encode: (samples, sampleRate, channels, timing) => {
+          if (state.length !== channels) state = Array.from({ length: channels }, () => ({ predictor: 0, index: 0 }));
+          const frames = samples.length / channels;
+          emit(this.encodeADPCM(samples, channels, state), { ...timing, sampleRate, channels, frameSamples: frames });
+        },
+        close: () => { state = []; }
+      };
+    }
+
+    if (codec === 'pcm16') {
+      return {
+        codec,
+        encode: (samples, sampleRate, channels, timing) => {
+          const out = new Int16Array(samples.length);
+          for (let i = 0; i < samples.length; i++) {
+            const v = Math.max(-1, Math.min(1, samples[i]));
+            out[i] = v < 0 ? v * 0x8000 : v * 0x7fff;
+          }
+          emit(out.buffer, { ...timing, sampleRate, channels, frameSamples: samples.length / channels });
+        },
+        close: () => { }
+      };
+    }
+
+    return {
+      codec: 'f32',
+      encode: (samples, sampleRate, channels, timing) => {
+        const buf = samples.byteOffset === 0 && samples.byteLength === samples.buffer.byteLength ? samples.buffer : samples.slice().buffer;
+        emit(buf, { ...timing, sampleRate, channels, frameSamples: samples.length / channels });
+      },
+      close: () => { }
+    };
+  }
+
+  // Packet layout: per channel a 4-byte header (int16 predictor, uint8 step index, pad), then per channel ceil(frames/2) bytes of nibbles.
+  // Every packet carries its own starting state so a lost packet never desynchronizes the decoder.
+  encodeADPCM(samples, channels, state) {
+    const frames = samples.length / channels;
+    const bytesPerChannel = Math.ceil(frames / 2);
+    const out = new Uint8Array(channels * 4 + channels * bytesPerChannel);
+    const view = new DataView(out.buffer);
+    for (let c = 0; c < channels; c++) {
+      const st = state[c];
+      view.setInt16(c * 4, st.predictor, true);
+      view.setUint8(c * 4 + 2, st.index);
+      const base = channels * 4 + c * bytesPerChannel;
+      for (let i = 0; i < frames; i++) {
+        const s = Math.max(-32768, Math.min(32767, Math.round(samples[i * channels + c] * 32767)));
+        const step = IMA_STEP_TABLE[st.index];
+        let diff = s - st.predictor;
+        let nibble = 0;
+        if (diff < 0) { nibble = 8; diff = -diff; }
+        let delta = step >> 3;
+        if (diff >= step) { nibble |= 4; diff -= step; delta += step; }
+        if (diff >= step >> 1) { nibble |= 2; diff -= step >> 1; delta += step >> 1; }
+        if (diff >= step >> 2) { nibble |= 1; delta += step >> 2; }
+        st.predictor = Math.max(-32768, Math.min(32767, st.predictor + (nibble & 8 ? -delta : delta)));
+        st.index = Math.max(0, Math.min(88, st.index + IMA_INDEX_TABLE[nibble]));
+        out[base + (i >> 1)] |= (i & 1) ? nibble << 4 : nibble;
+      }
+    }
+    return out.buffer;
+  }
+
+  decodeADPCM(buffer, channels, frames) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const bytesPerChannel = Math.floor((bytes.length - channels * 4) / channels);
+    const n = Math.min(frames || bytesPerChannel * 2, bytesPerChannel * 2);
+    const out = new Float32Array(n * channels);
+    for (let c = 0; c < channels; c++) {
+      let predictor = view.getInt16(c * 4, true);
+      let index = Math.min(88, view.getUint8(c * 4 + 2));
+      const base = channels * 4 + c * bytesPerChannel;
+      for (let i = 0; i < n; i++) {
+        const b = bytes[base + (i >> 1)];
+        const nibble = (i & 1) ? b >> 4 : b & 0x0f;
+        const step = IMA_STEP_TABLE[index];
+        let delta = step >> 3;
+        if (nibble & 4) delta += step;
+        if (nibble & 2) delta += step >> 1;
+        if (nibble & 1) delta += step >> 2;
+        predictor = Math.max(-32768, Math.min(32767, predictor + (nibble & 8 ? -delta : delta)));
+        index = Math.max(0, Math.min(88, index + IMA_INDEX_TABLE[nibble]));
+        out[i * channels + c] = predictor / 32768;
+      }
+    }
+    return out;
+  }
+
+  // Returns { data: Float32Array (interleaved), sampleRate, channels } or null if the payload cannot be decoded
+  async decodeAudioPayload(streamData) {
+    const codec = streamData.codec || 'f32';
+    const channels = streamData.channels || 1;
+    const sampleRate = streamData.sampleRate || 48000;
+    if (codec === 'silence') return this.synthesizeSilence(streamData, sampleRate, channels);
+
+    let buffer;
+    if (streamData.data instanceof ArrayBuffer) buffer = streamData.data;
+    else if (ArrayBuffer.isView(streamData.data)) buffer = streamData.data.buffer.slice(streamData.data.byteOffset, streamData.data.byteOffset + streamData.data.byteLength);
+    else if (Array.isArray(streamData.data) && codec === 'f32') return { data: Float32Array.from(streamData.data), sampleRate, channels };
+    else return null;
+
+    if (codec === 'f32') return { data: new Float32Array(buffer), sampleRate, channels };
+    if (codec === 'pcm16') {
+      const pcm = new Int16Array(buffer);
+      const out = new Float32Array(pcm.length);
+      for (let i = 0; i < pcm.length; i++) out[i] = pcm[i] / 32768;
+      return { data: out, sampleRate, channels };
+    }
+    if (codec === 'adpcm') return { data: this.decodeADPCM(buffer, channels, streamData.frameSamples), sampleRate, channels };
+    if (codec === 'opus') {
+      const decoder = this.getOpusDecoder(streamData.sourceId, sampleRate, channels);
+      return decoder ? decoder.decode(buffer) : null;
+    }
+    return null;
+  }
+
+  // Silence marker from a muted / quiet streamer: fill its slot with noise at the level it reports,
+  // or with digital silence when the streamer turned comfort noise off
+  synthesizeSilence(streamData, sampleRate, channels) {
+    const frames = Math.min(sampleRate, Math.max(0, Math.floor(streamData.frameSamples) || 0));
+    if (!frames) return null;
+    const out = new Float32Array(frames * channels);
+    if (Number.isFinite(streamData.noiseLevel)) {
+      const amplitude = Math.pow(10, streamData.noiseLevel / 20) * Math.sqrt(3); // uniform noise has RMS 1/sqrt(3)
+      for (let i = 0; i < out.length; i++) out[i] = (Math.random() * 2 - 1) * amplitude;
+    }
+    return { data: out, sampleRate, channels };
+  }
+
+  getOpusDecoder(sourceId, sampleRate, channels) {
+    const key = `${sampleRate}/${channels}`;
+    const existing = this.audioDecoders.get(sourceId);
+    if (existing && existing.key === key && existing.decoder.state !== 'closed') return existing;
+    if (existing) existing.close();
+
+    if (typeof AudioDecoder === 'undefined') {
+      if (!this._opusWarningShown) {
+        this._opusWarningShown = true;
+        this.showToast('This browser cannot decode Opus. Ask the streamer to pick ADPCM or PCM.', 'error');
+      }
+      return null;
+    }
+
+    // AudioDecoder output is asynchronous but in order: resolve pending decodes FIFO
+    const pending = [];
+    let timestampUs = 0;
+    const decoder = new AudioDecoder({
+      output: (audioData) => {
+        const resolve = pending.shift();
+        const frames = audioData.numberOfFrames;
+        const ch = audioData.numberOfChannels;
+        const out = new Float32Array(frames * ch);
+        const plane = new Float32Array(frames);
+        for (let c = 0; c < ch; c++) {
+          audioData.copyTo(plane, { planeIndex: c, format: 'f32-planar' });
+          for (let i = 0; i < frames; i++) out[i * ch + c] = plane[i];
+        }
+        const result = { data: out, sampleRate: audioData.sampleRate, channels: ch };
+        audioData.close();
+        if (resolve) resolve(result);
+      },
+      error: (e) => {
+        console.warn('Opus decoder error', e);
+        while (pending.length) pending.shift()(null);
+        this.audioDecoders.delete(sourceId);
+      }
+    });
+    decoder.configure({ codec: 'opus', sampleRate, numberOfChannels: channels });
+
+    const entry = {
+      key,
+      decoder,
+      decode: (buffer) => new Promise((resolve) => {
+        pending.push(resolve);
+        try {
+          decoder.decode(new EncodedAudioChunk({ type: 'key', timestamp: timestampUs, data: buffer }));
+          timestampUs += 20000;
+        } catch (e) {
+          pending.pop();
+          resolve(null);
+        }
+      }),
+      close: () => {
+        while (pending.length) pending.shift()(null);
+        if (decoder.state !== 'closed') { try { decoder.close(); } catch (_) { } }
+      }
+    };
+    this.audioDecoders.set(sourceId, entry);
+    return entry;
+  }
+
+  // ---------------- ADAPTIVE BITRATE ----------------
+  // Listeners report what they received every 2 s (receiverStats -> server -> listenerStats). The streamer
+  // walks down a ladder of cheaper formats when any listener is losing packets or running dry, or the server
+  // rate-limits us, and climbs back one step after 20 s without trouble. Every change is announced with
+  // updateStreamConfig; the server broadcasts it as streamConfigChanged.
+
+  // Opus steps down its bitrate by quality; every codec can then drop to mono, and the PCM codecs to half rate
+  buildAdaptiveLadder(codec, quality, channels, sampleRate) {
+    const qualities = ['ultra', 'high', 'medium', 'low'];
+    const ladder = codec === 'opus' ?
+      qualities.slice(Math.max(0, qualities.indexOf(quality))).map(q => ({ quality: q, channels, downsample: 1 })) :
+      [{ quality, channels, downsample: 1 }];
+    const last = () => ladder[ladder.length - 1];
+    if (channels > 1) ladder.push({ ...last(), channels: 1 });
+    // halving needs an even packet length (20 ms at 44.1/48 kHz) to keep sampleIndex exact
+    if (codec !== 'opus' && sampleRate >= 44100) ladder.push({ ...last(), downsample: 2 });
+    return ladder;
+  }
+
+  startAdaptiveBitrate(codec, quality, channels, sampleRate) {
+    const now = Date.now();
+    this.adaptive = {
+      ladder: this.buildAdaptiveLadder(codec, quality, channels, sampleRate),
+      level: 0,
+      captureRate: sampleRate,
+      reports: new Map(), // listenerId -> latest listenerStats
+      changedAt: now,
+      cleanSince: now,
+      timer: setInterval(() => this.evaluateAdaptiveBitrate(), 2000)
+    };
+    this.updateAdaptiveStatus();
+  }
+
+  stopAdaptiveBitrate() {
+    if (this.adaptive) clearInterval(this.adaptive.timer);
+    this.adaptive = null;
+    this.updateAdaptiveStatus();
+  }
+
+  handleListenerStats(stats) {
+    if (!this.adaptive || !stats || !stats.listenerId) return;
+    this.adaptive.reports.set(stats.listenerId, { ...stats, at: Date.now() });
+  }
+
+  // The server dropped some of our packets
+  noteNetworkPressure() {
+    const adaptive = this.adaptive;
+    adaptive.cleanSince = Date.now();
+    if (Date.now() - adaptive.changedAt > 4000) this.setAdaptiveLevel(adaptive.level + 1, 'rate limit');
+  }
+
+  evaluateAdaptiveBitrate() {
+    const adaptive = this.adaptive;
+    if (!adaptive) return;
+    const now = Date.now();
+    let trouble = false;
+    for (const [listenerId, report] of adaptive.reports) {
+      if (now - report.at > 6000) { adaptive.reports.delete(listenerId); continue; }
+      // raw network loss, whether or not FEC / concealment hid it
+      const missed = report.lost + report.recovered + report.late;
+      const lossRatio = missed / Math.max(1, report.packets + report.lost + report.recovered);
+      if (lossRatio > 0.05 || report.underruns >= 2) trouble = true;
+    }
+    if (trouble) {
+      adaptive.cleanSince = now;
+      if (now - adaptive.changedAt > 4000) this.setAdaptiveLevel(adaptive.level + 1, 'listener loss');
+    } else if (adaptive.level > 0 && now - adaptive.cleanSince > 20000 && now - adaptive.changedAt > 20000) {
+      this.setAdaptiveLevel(adaptive.level - 1, 'recovered');
+    }
+  }
+
+  setAdaptiveLevel(level, reason) {
+    const adaptive = this.adaptive;
+    level = Math.max(0, Math.min(adaptive.ladder.length - 1, level));
+    if (level === adaptive.level) return;
+    const step = adaptive.ladder[level];
+    adaptive.level = level;
+    adaptive.changedAt = Date.now();
+    adaptive.cleanSince = Date.now();
+    this.audioEncoder?.setQuality?.(step.quality);
+    if (this.socket) {
+      this.socket.emit('updateStreamConfig', {
+        quality: step.quality,
+        channels: step.channels,
+        sampleRate: Math.round(adaptive.captureRate / step.downsample),
+        reason
+      });
+    }
+    this.updateAdaptiveStatus();
+  }
+
+  updateAdaptiveStatus() {
+    const el = document.getElementById('adaptiveStatus');
+    if (!el) return;
+    const adaptive = this.adaptive;
+    if (!adaptive) { el.textContent = ''; return; }
+    const step = adaptive.ladder[adaptive.level];
+    const format = [step.quality, step.channels === 1 ? 'mono' : `${step.channels} ch`];
+    if (step.downsample > 1) format.push(`${Math.round(adaptive.captureRate / step.downsample / 100) / 10} kHz`);
+    el.textContent = `• now ${format.join(', ')}${adaptive.level ? ` (step ${adaptive.level} of ${adaptive.ladder.length - 1})` : ''}`;
+  }
+
+  // Downmix to mono and/or halve the rate (pairwise average, a cheap low-pass) before encoding
+  reduceForSending(samples, sampleRate, channels, step) {
+    const frames = samples.length / channels;
+    const outChannels = Math.min(channels, step.channels);
+    const outFrames = Math.floor(frames / step.downsample);
+    const out = new Float32Array(outFrames * outChannels);
+    for (let i = 0; i < outFrames; i++) {
+      for (let c = 0; c < outChannels; c++) {
+        let sum = 0;
+        for (let k = 0; k < step.downsample; k++) {
+          const frame = (i * step.downsample + k) * channels;
+          if (outChannels === channels) sum += samples[frame + c];
+          else for (let src = 0; src < channels; src++) sum += samples[frame + src] / channels;
+        }
+        out[i * outChannels + c] = sum / step.downsample;
+      }
+    }
+    return { samples: out, sampleRate: sampleRate / step.downsample, channels: outChannels };
+  }
+
+  // Listener side: report per-source receive stats (deltas since the last report) to each streamer
+  startReceiverStats() {
+    if (this.receiverStatsTimer) return;
+    this.receiverStatsTimer = setInterval(() => {
+      if (!this.sources.size) {
+        clearInterval(this.receiverStatsTimer);
+        this.receiverStatsTimer = null;
+        return;
+      }
+      this.reportReceiverStats();
+    }, 2000);
+  }
+
+  reportReceiverStats() {
+    if (!this.socket || !this.socket.connected) return;
+    for (const source of this.sources.values()) {
+      const current = { packets: source.packetCount, ...source.lossStats };
+      const last = source.reportedStats;
+      source.reportedStats = current;
+      if (!last || source.transport === 'p2p') continue; // first report only sets the baseline
+      this.socket.emit('receiverStats', {
+        sourceId: source.id,
+        packets: current.packets - last.packets,
+        lost: current.lost - last.lost,
+        late: current.late - last.late,
+        recovered: current.recovered - last.recovered,
+        underruns: current.underruns - last.underruns,
+        queueMs: Math.round(this.queueDepthMs(source))
+      });
+    }
+  }
+
+  // ---------------- WEBRTC (peer-to-peer transport) ----------------
+  // Listeners offer a recvonly audio connection to the streamer; SDP and ICE candidates travel as
+  // rtcSignal over the existing socket. While a peer connection is up the server stops relaying that
+  // source to us (rtcState), and any failure falls back to the relay.
+  setP2PEnabled(enabled) {
+    this.p2pEnabled = enabled;
+    try { localStorage.setItem('audioTransfer.p2p', enabled ? '1' : '0'); } catch (_) { }
+    for (const source of this.sources.values()) {
+      if (enabled) this.startPeerConnection(source);
+      else this.closePeerConnection(source);
+    }
+  }
+
+  async startPeerConnection(source) {
+    if (source.p2p || !window.RTCPeerConnection || !this.socket) return;
+    const pc = new RTCPeerConnection(this.rtcConfig);
+    const p2p = { pc, connected: false, timer: null, element: null, streamNode: null };
+    source.p2p = p2p;
+    pc.addTransceiver('audio', { direction: 'recvonly' });
+    pc.onicecandidate = (e) => {
+      if (e.candidate) this.socket.emit('rtcSignal', { to: source.id, sourceId: source.id, candidate: e.candidate });
+    };
+    pc.ontrack = (e) => this.attachPeerAudio(source, e.streams[0] || new MediaStream([e.track]));
+    pc.onconnectionstatechange = () => {
+      if (source.p2p !== p2p) return;
+      const state = pc.connectionState;
+      if (state === 'connected') this.setSourceTransport(source, 'p2p');
+      else if (state === 'disconnected') this.setSourceTransport(source, 'relay'); // may recover on its own
+      else if (state === 'failed' || state === 'closed') this.closePeerConnection(source, true);
+    };
+    p2p.timer = setTimeout(() => {
+      if (source.p2p === p2p && !p2p.connected) this.closePeerConnection(source, true);
+    }, this.p2pConnectTimeoutMs);
+    try {
+      const offer = await pc.createOffer();
+      await pc.setLocalDescription({ type: 'offer', sdp: this.preferStereoOpus(offer.sdp) });
+      this.socket.emit('rtcSignal', { to: source.id, sourceId: source.id, description: pc.localDescription });
+    } catch (e) {
+      console.warn('WebRTC offer failed', e);
+      this.closePeerConnection(source);
+    }
+  }
+
+  attachPeerAudio(source, stream) {
+    const p2p = source.p2p;
+    if (!p2p || p2p.streamNode || !this.audioContext) return;
+    // Chrome only feeds remote WebRTC audio into Web Audio while a media element plays the stream
+    p2p.element = new Audio();
+    p2p.element.muted = true;
+    p2p.element.srcObject = stream;
+    p2p.element.play().catch(() => { });
+    p2p.streamNode = this.audioContext.createMediaStreamSource(stream);
+    p2p.streamNode.connect(source.gainNode);
+  }
+
+  setSourceTransport(source, transport) {
+    if (source.p2p) source.p2p.connected = transport === 'p2p';
+    if (source.transport === transport) return;
+    source.transport = transport;
+    if (this.socket && this.sources.has(source.id)) this.socket.emit('rtcState', { sourceId: source.id, connected: transport === 'p2p' });
+    if (transport === 'p2p') {
+      // drop buffered relay audio so the two paths never play on top of each other
+      source.queue = [];
+      for (const node of source.activeNodes) { try { node.stop(0); } catch (_) { } }
+      source.activeNodes.clear();
+      source.nextPlayTime = 0;
+    }
+    this.renderSourceMixer();
+  }
+
+  closePeerConnection(source, fallback = false) {
+    const p2p = source.p2p;
+    if (!p2p) return;
+    source.p2p = null;
+    clearTimeout(p2p.timer);
+    try { p2p.pc.close(); } catch (_) { }
+    if (p2p.streamNode) { try { p2p.streamNode.disconnect(); } catch (_) { } }
+    if (p2p.element) { p2p.element.pause(); p2p.element.srcObject = null; }
+    this.setSourceTransport(source, 'relay');
+    if (fallback && this.sources.has(source.id)) this.showToast(`Peer-to-peer with ${source.name} unavailable, using the server relay`, 'warning');
+  }
+
+  async handleRtcSignal(signal) {
+    if (!signal) return;
+    if (this.socket && signal.sourceId === this.socket.id) {
+      await this.answerPeer(signal);
+      return;
+    }
+    const source = this.sources.get(signal.sourceId);
+    const pc = source?.p2p?.pc;
+    if (!pc) return;
+    if (signal.declined) {
+      this.closePeerConnection(source);
+    } else if (signal.description) {
+      await pc.setRemoteDescription(signal.description);
+    } else if (signal.candidate) {
+      await pc.addIceCandidate(signal.candidate);
+    }
+  }
+
+  // Streamer side: answer a listener's offer with the capture stream
+  async answerPeer(signal) {
+    const listenerId = signal.from;
+    if (signal.description?.type === 'offer') {
+      this.closePeer(listenerId);
+      if (!this.isStreaming || !this.rtcStreamDestination || !window.RTCPeerConnection) {
+        this.socket.emit('rtcSignal', { to: listenerId, sourceId: this.socket.id, declined: true });
+        return;
+      }
+      const pc = new RTCPeerConnection(this.rtcConfig);
+      this.peerConnections.set(listenerId, pc);
+      const stream = this.rtcStreamDestination.stream;
+      for (const track of stream.getAudioTracks()) {
+        const sender = pc.addTrack(track, stream);
+        const maxBitrate = OPUS_BITRATES[this.streamQuality];
+        if (maxBitrate && sender.getParameters) {
+          const params = sender.getParameters();
+          if (params.encodings && params.encodings.length) {
+            params.encodings[0].maxBitrate = maxBitrate;
+            sender.setParameters(params).catch(() => { });
+          }
+        }
+      }
+      pc.onicecandidate = (e) => {
+        if (e.candidate) this.socket.emit('rtcSignal', { to: listenerId, sourceId: this.socket.id, candidate: e.candidate });
+      };
+      pc.onconnectionstatechange = () => {
+        if (pc.connectionState === 'failed' || pc.connectionState === 'closed') this.closePeer(listenerId);
+        this.renderListenerPanel();
+      };
+      await pc.setRemoteDescription(signal.description);
+      const answer = await pc.createAnswer();
+      await pc.setLocalDescription({ type: 'answer', sdp: this.preferStereoOpus(answer.sdp) });
+      this.socket.emit('rtcSignal', { to: listenerId, sourceId: this.socket.id, description: pc.localDescription });
+    } else if (signal.candidate) {
+      const pc = this.peerConnections.get(listenerId);
+      if (pc) await pc.addIceCandidate(signal.candidate);
+    }
+  }
+
+  closePeer(listenerId) {
+    const pc = this.peerConnections.get(listenerId);
+    if (!pc) return;
+    this.peerConnections.delete(listenerId);
+    try { pc.close(); } catch (_) { }
+    this.renderListenerPanel();
+  }
+
+  // WebRTC negotiates mono Opus unless stereo is asked for in the fmtp line
+  preferStereoOpus(sdp) {
+    return sdp.replace(/(a=fmtp:\d+ [^\r\n]*useinbandfec=1)(?![^\r\n]*stereo=1)/g, '$1;stereo=1;sprop-stereo=1');
+  }
+
+  // ---------------- LISTENER / PLAYBACK ----------------
+  // credentials: { pin, invite } for protected streams. Each call adds one more source to the mix.
+  async startListening(sourceId, credentials = {}) {
+    if (this.sources.has(sourceId)) return;
+    try {
+      if (!this.audioContext) this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+      // Handle audio context suspension (common on mobile)
+      if (this.audioContext.state === 'suspended') {
+        await this.audioContext.resume();
+        console.log('Audio context resumed');
+      }
+
+      // unlock audio with a tiny silent tick (cheap)
+      try {
+        const g = this.audioContext.createGain(); g.gain.value = 0.0001;
+        const osc = this.audioContext.createOscillator();
+        osc.connect(g).connect(this.audioContext.destination);
+        osc.start(); osc.stop(this.audioContext.currentTime + 0.01);
+      } catch (_) { }
+
+      // Tell browser we're playing media - prevents disconnection on screen off
+      if (!this.sources.size) {
+        this.setupMediaSession();
+        this.packetCount = 0;
+        this.plcStats = { lost: 0, concealedMs: 0, reordered: 0, late: 0, recovered: 0 };
+      }
+
+      this.setupAudioPlayback();
+      this.createSourceChannel(sourceId);
+      this.startReceiverStats();
+
+      if (this.socket) {
+        if (!this.socket.connected) {
+          this.showToast('Not connected to server. Reconnecting...', 'warning');
+          this.socket.connect();
+          // Wait a bit for connection
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+        this.socket.emit('joinAsListener', { sourceId, pin: credentials.pin, invite: credentials.invite, tier: this.listenTier });
+      } else {
+        throw new Error('Socket connection not available');
+      }
+
+      this.showToast('Joining as listener...', 'info');
+
+      // mark button without full device list refresh
+      this.markDeviceButtonListening(sourceId, true);
+      this.updatePlaybackStatus();
+    } catch (error) {
+      console.error('Start listening error:', error);
+      this.showToast(`Failed to start listening: ${error.message}`, 'error');
+      this.removeSourceChannel(sourceId);
+      this.updatePlaybackStatus();
+    }
+  }
+
+  // Stop listening to one source, or to all of them when sourceId is null
+  stopListening(sourceId = null, silent = false) {
+    if (!this.sources.size) return;
+    const ids = sourceId == null ? Array.from(this.sources.keys()) : [sourceId];
+    for (const id of ids) {
+      if (!this.sources.has(id)) continue;
+      if (this.socket) this.socket.emit('leaveAsListener', id);
+      this.removeSourceChannel(id);
+      this.markDeviceButtonListening(id, false);
+    }
+
+    if (this.sources.size) {
+      this.updateListeningUI();
+      this.updateMediaSessionMetadata();
+      if (!silent) this.showToast('Stopped listening to source', 'info');
+      this.updatePlaybackStatus();
+      return;
+    }
+
+    // Hide the listening status UI
+    const listenStatus = document.getElementById('listenStatus');
+    if (listenStatus) {
+      listenStatus.remove();
+    }
+
+    // Clear media session and stop hidden audio
+    if ('mediaSession' in navigator) {
+      navigator.mediaSession.playbackState = 'none';
+      navigator.mediaSession.metadata = null;
+    }
+    const audioEl = document.getElementById('mediaSessionAudio');
+    if (audioEl) {
+      audioEl.pause();
+      audioEl.src = '';
+    }
+
+    const serverStatus = document.getElementById('serverStatus');
+    if (serverStatus) {
+      serverStatus.textContent = this.isStreaming ? 'LIVE' : 'ONLINE';
+      serverStatus.className = this.isStreaming ? 'badge bg-success' : 'badge bg-secondary';
+    }
+    if (this.clipRecording) this.stopClipRecording();
+    this.detachMeter('play');
+    if (!silent) this.showToast('Stopped listening', 'info');
+    this.updatePlaybackStatus();
+  }
+
+  // ---------------- SOURCE MIXER ----------------
+  // Every subscribed source gets its own jitter buffer and a gain -> (EQ) -> pan strip feeding the shared mix bus
+  createSourceChannel(sourceId, name) {
+    if (this.sources.has(sourceId)) return this.sources.get(sourceId);
+    if (!this.audioContext || !this.mixBus) return null;
+    const gainNode = this.audioContext.createGain();
+    const panNode = this.audioContext.createStereoPanner ? this.audioContext.createStereoPanner() : null;
+    if (panNode) panNode.connect(this.mixBus);
+    const source = {
+      id: sourceId,
+      name: name || sourceId,
+      queue: [],
+      isProcessingQueue: false,
+      nextPlayTime: 0,
+      lastTailSamples: null, // last few samples of previous buffer for continuity check
+      highestSeq: null, // newest seq received
+      fec: { recent: new Map(), parities: [] }, // seq -> payload bytes, and parity groups not yet resolved
+      lossStats: { lost: 0, late: 0, recovered: 0, underruns: 0 }, // reported to the streamer, see reportReceiverStats()
+      reportedStats: null, // lossStats + packetCount as of the last report
+      streamConfig: null, // { quality, codec, channels, sampleRate } as the streamer currently sends it
+      nextSeq: null, // seq the scheduler expects next; anything below it arrived too late
+      holeTimer: null, // pending re-check while waiting for a missing packet
+      history: null, // per-channel tail of what was played, source material for concealment
+      lastItemFrames: 0, // frames per packet at the context rate, sizes concealment
+      coalesce: { data: [], samples: 0, channels: null, sampleRate: null, lastTs: 0 },
+      activeNodes: new Set(),
+      packetCount: 0,
+      drift: null, // see resetDrift()
+      transport: 'relay', // 'p2p' while audio arrives over the WebRTC peer connection
+      p2p: null, // { pc, connected, timer, element, streamNode }
+      gainNode,
+      panNode,
+      eqNodes: [], // this source's own EQ between gainNode and panNode, see applySourceEq()
+      volume: 1,
+      pan: 0,
+      muted: false,
+      solo: false,
+      remoteMuted: false, // the streamer is muted / not holding push-to-talk (streamMuted)
+      remotePushToTalk: false,
+      talkback: false, // the streamer accepts talkback (joinedAsListener)
+      nowPlaying: null, // { title, artist, album, status, artwork } from the streamer, see setSourceNowPlaying()
+      artworkUrl: null // blob: URL of nowPlaying.artwork
+    };
+    this.resetDrift(source);
+    this.sources.set(sourceId, source);
+    if (this.loudness) this.resetLoudness();
+    this.applySourceEq(source);
+    this.applySourceGains();
+    return source;
+  }
+
+  removeSourceChannel(sourceId) {
+    const source = this.sources.get(sourceId);
+    if (!source) return;
+    this.sources.delete(sourceId);
+    this.closePeerConnection(source);
+    source.queue = [];
+    clearTimeout(source.holeTimer);
+    for (const node of source.activeNodes) { try { node.stop(0); node.disconnect(); } catch (_) { } }
+    source.activeNodes.clear();
+    try { source.gainNode.disconnect(); source.panNode?.disconnect(); } catch (_) { }
+    for (const node of source.eqNodes) { try { node.disconnect(); } catch (_) { } }
+    const decoder = this.audioDecoders.get(sourceId);
+    if (decoder) { decoder.close(); this.audioDecoders.delete(sourceId); }
+    if (this.loudness) this.resetLoudness();
+    this.applySourceGains();
+    if (this.talkbackActive === sourceId) this.stopTalkback();
+    this.renderTalkbackPanel();
+    if (source.artworkUrl) URL.revokeObjectURL(source.artworkUrl);
+    this.renderNowPlaying();
+  }
+
+  // Mute wins over solo; when any source is soloed every non-soloed source is silent
+  applySourceGains() {
+    if (!this.audioContext) return;
+    const anySolo = Array.from(this.sources.values()).some(s => s.solo);
+    const now = this.audioContext.currentTime;
+    for (const source of this.sources.values()) {
+      const audible = !source.muted && (!anySolo || source.solo);
+      source.gainNode.gain.setTargetAtTime(audible ? source.volume : 0, now, 0.015);
+      if (source.panNode) {
+        source.panNode.pan.setTargetAtTime(source.pan, now, 0.015);
+        // natural bypass: up-mix mono to L=R before the panner, which is then unity at center
+        source.panNode.channelCountMode = this.naturalBypass ? 'explicit' : 'clamped-max';
+      }
+    }
+  }
+
+  setSourceMixer(sourceId, changes) {
+    const source = this.sources.get(sourceId);
+    if (!source) return;
+    Object.assign(source, changes);
+    this.applySourceGains();
+    this.renderSourceMixer();
+  }
+
+  renderSourceMixer() {
+    this.syncTierNote();
+    const mixer = document.getElementById('sourceMixer');
+    if (!mixer) return;
+    mixer.innerHTML = '';
+    for (const source of this.sources.values()) {
+      const row = document.createElement('div');
+      row.className = 'd-flex flex-wrap align-items-center gap-2 py-2 border-top border-info-subtle';
+      row.dataset.id = source.id;
+      row.innerHTML = `
+        <img class="rounded d-none" data-role="artwork" width="32" height="32" alt="" style="object-fit:cover">
+        <div class="me-auto text-truncate"><div class="fw-semibold" data-role="name"></div><div class="small text-info d-none" data-role="nowPlaying"></div><div class="small text-muted fst-italic d-none" data-role="status"></div></div>
+        <span class="badge bg-warning text-dark d-none" data-role="remoteMuted"><i class="bi bi-mic-mute-fill me-1"></i>Muted</span>
+        <span class="badge bg-dark border border-secondary d-none" data-role="config" title="Current stream format"></span>
+        <span class="badge bg-secondary d-none" data-role="tierFixed" title="The server can't transcode Opus, so Receive quality doesn't apply to this stream">As streamed</span>
+        <span class="badge ${source.transport === 'p2p' ? 'bg-success' : 'bg-secondary'}" title="Transport">${source.transport === 'p2p' ? 'P2P' : 'Relay'}</span>
+        <button class="btn btn-sm ${source.muted ? 'btn-danger' : 'btn-outline-light'}" data-action="mute" title="Mute"><i class="bi ${source.muted ? 'bi-volume-mute-fill' : 'bi-volume-up'}"></i></button>
+        <button class="btn btn-sm ${source.solo ? 'btn-warning' : 'btn-outline-light'}" data-action="solo" title="Solo">S</button>
+        <label class="small">Vol <input type="range" class="form-range d-inline-block align-middle" style="width:90px" min="0" max="150" step="1" data-action="volume" value="${Math.round(source.volume * 100)}"></label>
+        <label class="small">Pan <input type="range" class="form-range d-inline-block align-middle" style="width:70px" min="-100" max="100" step="1" data-action="pan" value="${Math.round(source.pan * 100)}" ${source.panNode ? '' : 'disabled'}></label>
+        <label class="small" title="Remembered for this source name">EQ <select class="form-select form-select-sm d-inline-block w-auto bg-dark text-light border-secondary" data-action="eq"></select></label>
+        <button class="btn btn-sm btn-outline-info" data-action="leave">Leave</button>`;
+      row.querySelector('[data-role="name"]').textContent = source.name;
+      const track = source.nowPlaying;
+      if (track?.title || track?.artist) {
+        const line = row.querySelector('[data-role="nowPlaying"]');
+        line.textContent = `♪ ${[track.title, track.artist].filter(Boolean).join(' — ')}`;
+        line.classList.remove('d-none');
+      }
+      if (track?.status) {
+        const status = row.querySelector('[data-role="status"]');
+        status.textContent = track.status;
+        status.classList.remove('d-none');
+      }
+      if (source.artworkUrl) {
+        const art = row.querySelector('[data-role="artwork"]');
+        art.src = source.artworkUrl;
+        art.classList.remove('d-none');
+      }
+      if (source.remoteMuted) {
+        const badge = row.querySelector('[data-role="remoteMuted"]');
+        badge.title = source.remotePushToTalk ? 'Push-to-talk: the streamer is not talking' : 'The streamer muted this stream';
+        badge.classList.remove('d-none');
+      }
+      const config = source.streamConfig;
+      if (config?.quality) {
+        const badge = row.querySelector('[data-role="config"]');
+        const format = [config.quality];
+        if (config.channels === 1) format.push('mono');
+        if (config.sampleRate) format.push(`${Math.round(config.sampleRate / 100) / 10} kHz`);
+        badge.textContent = format.join(' • ');
+        badge.classList.remove('d-none');
+      }
+      if (this.listenTier !== 'full' && !this.tierApplies(source)) row.querySelector('[data-role="tierFixed"]').classList.remove('d-none');
+      row.querySelector('[data-action="mute"]').addEventListener('click', () => this.setSourceMixer(source.id, { muted: !source.muted }));
+      row.querySelector('[data-action="solo"]').addEventListener('click', () => this.setSourceMixer(source.id, { solo: !source.solo }));
+      row.querySelector('[data-action="volume"]').addEventListener('input', (e) => {
+        source.volume = parseInt(e.target.value, 10) / 100;
+        this.applySourceGains();
+      });
+      row.querySelector('[data-action="pan"]').addEventListener('input', (e) => {
+        source.pan = parseInt(e.target.value, 10) / 100;
+        this.applySourceGains();
+      });
+      const eqSelect = row.querySelector('[data-action="eq"]');
+      eqSelect.add(new Option('Master only', ''));
+      for (const { id, name } of this.eqPresetList()) eqSelect.add(new Option(name, id));
+      eqSelect.value = this.sourceEqPresets[source.name] || '';
+      eqSelect.addEventListener('change', (e) => this.setSourceEqPreset(source, e.target.value));
+      row.querySelector('[data-action="leave"]').addEventListener('click', () => this.stopListening(source.id));
+      mixer.appendChild(row);
+    }
+  }
+
+  // Applies to every current subscription and to later joins. Tiers are produced by the server relay,
+  // so sources arriving over a WebRTC peer connection keep their original format.
+  setListenTier(tier) {
+    this.listenTier = tier;
+    try { localStorage.setItem('audioTransfer.listenTier', tier); } catch (_) { }
+    this.renderSourceMixer();
+    if (!this.socket) return;
+    for (const sourceId of this.sources.keys()) this.socket.emit('setListenerTier', { sourceId, tier });
+  }
+
+  // Opus passes the server untouched, so tiers only change streams in a codec it can decode
+  tierApplies(source) {
+    const codec = source.streamConfig?.codec;
+    return !codec || SERVER_DECODABLE_CODECS.includes(codec);
+  }
+
+  // Names the streams the tier can't reach, and disables the selector when that is all of them
+  syncTierNote() {
+    const select = document.getElementById('listenTier');
+    const note = document.getElementById('listenTierNote');
+    const fixed = Array.from(this.sources.values()).filter(source => !this.tierApplies(source));
+    if (select) select.disabled = fixed.length > 0 && fixed.length === this.sources.size && this.listenTier === 'full';
+    if (note) {
+      note.textContent = fixed.length ? `Not applied to ${fixed.map(s => s.name).join(', ')}: Opus arrives as streamed.` : '';
+      note.classList.toggle('d-none', !fixed.length);
+    }
+  }
+
+  // Ask for a PIN / use a pending invite before joining protected streams. Returns false if the join was not attempted.
+  requestListen(device) {
+    const invite = this.pendingInvites[device.id];
+    if (invite) {
+      this.startListening(device.id, { invite });
+      return true;
+    }
+    if (device.inviteOnly) {
+      this.showToast('This stream is invite-only. Ask the streamer for an invite link.', 'warning');
+      return false;
+    }
+    if (device.isProtected) {
+      const pin = window.prompt(`Enter the PIN for ${device.name || 'this stream'}`);
+      if (!pin) return false;
+      this.startListening(device.id, { pin });
+      return true;
+    }
+    this.startListening(device.id);
+    return true;
+  }
+
+  // The server lets the device that used an invite use it again while the stream lasts, so it is kept for this
+  // browser tab (sessionStorage) to rejoin after a dropped connection or a reload
+  setInvite(sourceId, invite) {
+    if (invite) this.pendingInvites[sourceId] = invite;
+    else delete this.pendingInvites[sourceId];
+    try { sessionStorage.setItem('audioTransfer.invites', JSON.stringify(this.pendingInvites)); } catch (_) { }
+  }
+
+  readInviteFromURL() {
+    try {
+      Object.assign(this.pendingInvites, JSON.parse(sessionStorage.getItem('audioTransfer.invites') || '{}'));
+    } catch (_) { }
+    try {
+      const params = new URLSearchParams(location.search);
+      const invite = params.get('invite');
+      const source = params.get('source');
+      if (!invite || !source) return;
+      this.setInvite(source, invite);
+      history.replaceState(null, '', location.pathname);
+      document.getElementById('play-tab')?.click();
+      this.showToast('Invite received – press Listen on the invited stream to join', 'info');
+    } catch (_) { }
+  }
+
+  showInviteLink(info) {
+    const link = `${location.origin}${location.pathname}?source=${encodeURIComponent(info.sourceId)}&invite=${encodeURIComponent(info.token)}`;
+    const row = document.getElementById('inviteLinkRow');
+    const el = document.getElementById('inviteLink');
+    if (el) el.textContent = link;
+    if (row) row.classList.remove('d-none');
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(link).then(() => this.showToast('One-time invite link copied', 'success')).catch(() => { });
+    }
+  }
+
+  setupPlaybackControls() {
+    // Volume control
+    const volumeSlider = document.getElementById('playbackVolume');
+    if (volumeSlider) {
+      volumeSlider.addEventListener('input', (e) => {
+        const volume = parseFloat(e.target.value) / 100;
+        if (this.playbackGain) {
+          this.playbackGain.gain.setValueAtTime(volume, this.audioContext.currentTime);
+        }
+      });
+    }
+
+    // Parametric EQ and presets
+    document.getElementById('eqPreset')?.addEventListener('change', (e) => {
+      if (e.target.value) this.applyEQPreset(e.target.value);
+    });
+    document.getElementById('eqAddBand')?.addEventListener('click', () => this.addEqBand());
+    document.getElementById('eqSavePreset')?.addEventListener('click', () => this.saveEqPreset());
+    document.getElementById('eqRenamePreset')?.addEventListener('click', () => this.renameEqPreset());
+    document.getElementById('eqDeletePreset')?.addEventListener('click', () => this.deleteEqPreset());
+    document.getElementById('eqExportPreset')?.addEventListener('click', () => this.exportEqPreset());
+    const eqImport = document.getElementById('eqImportFile');
+    document.getElementById('eqImportPreset')?.addEventListener('click', () => eqImport?.click());
+    eqImport?.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) this.importEqPresets(file);
+    });
+    this.renderEqEditor();
+
+    // Playback mode
+    document.querySelectorAll('input[name="playbackMode"]').forEach(radio => {
+      radio.addEventListener('change', (e) => {
+        if (e.target.checked) {
+          this.playbackMode = e.target.id.replace('mode', '').toLowerCase();
+          this.updatePlaybackMode();
+        }
+      });
+    });
+
+    // Other controls
+    document.getElementById('resetSync')?.addEventListener('click', () => this.resetSync());
+
+    // Loudness boost (the compressor stage)
+    document.getElementById('loudnessBoost')?.addEventListener('change', (e) => {
+      this.toggleLoudnessBoost(e.target.checked);
+    });
+
+    // Loudness normalization (the normalize stage)
+    document.getElementById('loudnessTarget')?.addEventListener('change', (e) => {
+      this.setLoudnessTarget(e.target.value === 'off' ? null : parseFloat(e.target.value));
+    });
+
+    // DSP pipeline
+    document.getElementById('naturalBypass')?.addEventListener('change', (e) => this.setNaturalBypass(e.target.checked));
+    document.querySelectorAll('.dsp-stage').forEach(input => {
+      input.addEventListener('change', (e) => this.setDspStage(e.target.dataset.stage, e.target.checked));
+    });
+    this.syncDspControls();
+
+    // Multi-room sync
+    const syncToggle = document.getElementById('multiRoomSync');
+    if (syncToggle) {
+      syncToggle.checked = this.syncEnabled;
+      document.getElementById('syncOffsetRow')?.classList.toggle('d-none', !this.syncEnabled);
+      syncToggle.addEventListener('change', (e) => this.setSyncEnabled(e.target.checked));
+    }
+    const syncOffset = document.getElementById('syncOffset');
+    if (syncOffset) {
+      syncOffset.value = this.syncOffsetMs;
+      syncOffset.addEventListener('input', (e) => this.setSyncOffset(parseInt(e.target.value, 10) || 0));
+    }
+    this.updateSyncInfo();
+
+    // Quality tier transcoded by the server
+    const tierSelect = document.getElementById('listenTier');
+    if (tierSelect) {
+      tierSelect.value = this.listenTier;
+      tierSelect.addEventListener('change', (e) => this.setListenTier(e.target.value));
+    }
+
+    // WebRTC transport
+    const p2pToggle = document.getElementById('p2pMode');
+    if (p2pToggle) {
+      p2pToggle.checked = this.p2pEnabled;
+      p2pToggle.addEventListener('change', (e) => this.setP2PEnabled(e.target.checked));
+    }
+
+    // Local clip recording
+    document.getElementById('recordClipBtn')?.addEventListener('click', () => {
+      if (this.clipRecording) this.stopClipRecording(); else this.startClipRecording();
+    });
+    document.getElementById('rollingBuffer')?.addEventListener('change', (e) => this.toggleRollingBuffer(e.target.checked));
+    document.getElementById('saveRollingBtn')?.addEventListener('click', () => this.saveRollingBuffer());
+    document.getElementById('clipSource')?.addEventListener('change', (e) => {
+      this.clipSource = e.target.value;
+      this.updateRecordTap();
+    });
+  }
+
+  updatePlaybackMode() {
+    const modes = {
+      lowlat: { latency: 0.08 },
+      ultralow: { latency: 0.04 },
+      highstab: { latency: 0.20 },
+      drift: { latency: 0.12, driftCorrection: true }
+    };
+
+    const mode = modes[this.playbackMode] || modes.lowlat;
+    this.fixedLatency = mode.latency;
+    this.driftCorrection = !!mode.driftCorrection;
+    for (const source of this.sources.values()) this.resetDrift(source);
+    this.updatePlaybackStatus();
+  }
+
+  resetSync() {
+    for (const source of this.sources.values()) {
+      source.nextPlayTime = 0;
+      source.queue = [];
+      for (const node of source.activeNodes) {
+        try { node.stop(0); } catch (_) { }
+      }
+      source.activeNodes.clear();
+    }
+    this.showToast('Audio sync reset', 'info');
+    this.updatePlaybackStatus();
+  }
+
+
+
+  toggleLoudnessBoost(enabled) {
+    this.dspStages.compressor = enabled;
+    this.saveDspSettings();
+    if (!this.audioContext) return;
+
+    // Reconnect audio chain when toggling
+    this.setupAudioPlayback();
+    this.updatePlaybackStatus();
+  }
+
+  updatePlaybackStatus() {
+    const el = document.getElementById('playbackStatus');
+    if (!el) return;
+    const listening = this.sources.size ? `listening to ${this.sources.size} source${this.sources.size > 1 ? 's' : ''}` : 'idle';
+    // report the deepest per-source jitter buffer
+    let deepest = 0;
+    for (const source of this.sources.values()) deepest = Math.max(deepest, this.queueDepthMs(source));
+    const queueMs = deepest.toFixed(0);
+    const modeMap = { lowlat: 'Low', ultralow: 'Ultra', highstab: 'Stable', drift: 'Drift-free' };
+    const modeLabel = modeMap[this.playbackMode] || 'Low';
+    const uPart = this.features.adaptiveLatency ? ` • U:${this.underruns}` : '';
+    let latPart = this.syncEnabled ?
+      `Sync ${this.syncTargetDelay + this.syncOffsetMs}ms${this.syncLateDrops ? ` (late ${this.syncLateDrops})` : ''}` :
+      `Lat ${Math.round(this.fixedLatency * 1000)}ms`;
+    if (this.features.adaptiveLatency) {
+      const delta = this.fixedLatency - this.baseLatency;
+      if (delta > 0.005) {
+        latPart += ` (+${Math.round(delta * 1000)}ms)`;
+      }
+    }
+    let driftPart = '';
+    if (this.driftCorrection && this.sources.size) {
+      const ppm = Array.from(this.sources.values()).map(s => Math.round((s.drift.rate - 1) * 1e6));
+      driftPart = ` • Drift ${ppm.map(v => `${v > 0 ? '+' : ''}${v}`).join('/')}ppm`;
+    }
+    const { lost, concealedMs, reordered, late, recovered } = this.plcStats;
+    const lossPart = lost || reordered || late || recovered ?
+      ` • Loss ${lost} (${Math.round(concealedMs)}ms concealed) • FEC ${recovered} • Reordered ${reordered} • Late ${late}` : '';
+    const dspPart = this.naturalBypass ? ' • Natural' : '';
+    let loudnessPart = '';
+    if (this.dspEnabled('normalize') && this.loudness?.shortTerm > -70) {
+      const { shortTerm, integrated, reductionDb } = this.loudness;
+      loudnessPart = ` • ${shortTerm.toFixed(1)} LUFS-S / ${integrated !== null ? integrated.toFixed(1) : '—'} LUFS-I → ${this.loudnessTarget}`;
+      if (reductionDb < -0.5) loudnessPart += ` (TP ${reductionDb.toFixed(1)}dB)`;
+    }
+    el.textContent = `${modeLabel}${dspPart} • ${latPart} • Queue ${queueMs}ms${uPart}${driftPart}${lossPart}${loudnessPart} • ${listening}`;
+  }
+
+  queueDepthMs(source) {
+    return source.queue.reduce((acc, item) => {
+      const ch = item.channels || 1;
+      return acc + (item.data.length / (item.sampleRate * ch)) * 1000;
+    }, 0);
   }
 
   autoAdjustLatency() {
     // Adaptive latency: increase if multiple underruns in the last window, decrease slowly if stable
-    if (!this.isListening) return;
+    if (!this.sources.size) return;
+
+    // CRITICAL: Only adjust latency when queue is low to avoid disrupting active crossfade smoothing
+    // This prevents grainy artifacts caused by timing changes during sustained audio
+    for (const source of this.sources.values()) {
+      if (source.queue.length > 2) return;
+    }
+
+    this._lastUnderrunsWindow = this._lastUnderrunsWindow || 0;
+    const diff = this.underruns - this._lastUnderrunsWindow;
+    this._lastUnderrunsWindow = this.underruns;
+    const now = performance.now();
+    this._lastLatencyRaiseTime = this._lastLatencyRaiseTime || 0;
+    // Require sustained underruns: diff >=3 and at least 500ms since last bump
+    if (diff >= 3 && (now - this._lastLatencyRaiseTime) > 500 && this.fixedLatency < this.baseLatency + 0.20) {
+      this.fixedLatency = +(this.fixedLatency + 0.01).toFixed(3); // +10ms
+      this._lastLatencyRaiseTime = now;
+      this.showToast(`Latency +10ms -> ${Math.round(this.fixedLatency * 1000)}ms`, 'warning');
+    } else if (diff === 0 && this.fixedLatency - this.baseLatency > 0.03) {
+      // decay only every other call (~4s) using a toggle flag to slow reduction
+      this.fixedLatency = +(this.fixedLatency - 0.005).toFixed(3); // -5ms
+    }
+    this.updatePlaybackStatus();
+  }
+
+  // ---------------- DSP PIPELINE ----------------
+  dspEnabled(stage) {
+    return !this.naturalBypass && !!this.dspStages[stage];
+  }
+
+  setDspStage(stage, enabled) {
+    if (!(stage in this.dspStages)) return;
+    this.dspStages[stage] = enabled;
+    this.saveDspSettings();
+    if (stage === 'compressor') this.toggleLoudnessBoost(enabled);
+    else if (stage === 'eq') {
+      this.setupAudioPlayback();
+      for (const source of this.sources.values()) this.applySourceEq(source);
+    }
+  }
+
+  // Natural bypass: no stage touches the samples, EQ and compressor leave the graph and mono sources skip
+  // the equal-power pan law, so output is bit-identical to the decoded stream apart from resampling
+  setNaturalBypass(enabled) {
+    this.naturalBypass = enabled;
+    this.saveDspSettings();
+    this.applySourceGains();
+    this.setupAudioPlayback();
+    for (const source of this.sources.values()) this.applySourceEq(source);
+    this.syncDspControls();
+    this.updatePlaybackStatus();
+  }
+
+  saveDspSettings() {
+    try {
+      localStorage.setItem('audioTransfer.dsp', JSON.stringify({ naturalBypass: this.naturalBypass, stages: this.dspStages }));
+    } catch (_) { }
+  }
+
+  syncDspControls() {
+    const bypass = document.getElementById('naturalBypass');
+    if (bypass) bypass.checked = this.naturalBypass;
+    document.querySelectorAll('.dsp-stage').forEach(input => {
+      input.checked = !!this.dspStages[input.dataset.stage];
+      input.disabled = this.naturalBypass;
+    });
+    const boost = document.getElementById('loudnessBoost');
+    if (boost) {
+      boost.checked = this.dspStages.compressor;
+      boost.disabled = this.naturalBypass;
+    }
+    const target = document.getElementById('loudnessTarget');
+    if (target) {
+      target.value = this.dspStages.normalize ? String(this.loudnessTarget) : 'off';
+      target.disabled = this.naturalBypass;
+    }
+    this.scheduleEqCurve();
+  }
+
+  // ---------------- EQUALIZER ----------------
+  // Returns a clean copy of one band (ranges clamped), or null when it can't be a filter
+  sanitizeEqBand(band) {
+    if (!band || !EQ_BAND_TYPES.includes(band.type)) return null;
+    const frequency = Number(band.frequency);
+    const Q = band.Q === undefined ? 1 : Number(band.Q);
+    const gain = band.gain === undefined ? 0 : Number(band.gain);
+    if (![frequency, Q, gain].every(Number.isFinite)) return null;
+    return {
+      type: band.type,
+      frequency: Math.round(Math.max(20, Math.min(20000, frequency))),
+      Q: Math.round(Math.max(0.1, Math.min(18, Q)) * 100) / 100,
+      gain: Math.round(Math.max(-24, Math.min(24, gain)) * 10) / 10
+    };
+  }
+
+  sanitizeEqBands(bands) {
+    if (!Array.isArray(bands) || bands.length > EQ_MAX_BANDS) return null;
+    const clean = bands.map(band => this.sanitizeEqBand(band));
+    return clean.every(Boolean) ? clean : null;
+  }
+
+  eqPresetList() {
+    return [
+      ...Object.entries(EQ_PRESETS).map(([id, preset]) => ({ id, name: preset.name })),
+      ...Object.keys(this.userEqPresets).map(name => ({ id: `user:${name}`, name, user: true }))
+    ];
+  }
+
+  eqPresetBands(id) {
+    const bands = id?.startsWith('user:') ? this.userEqPresets[id.slice(5)] : EQ_PRESETS[id]?.bands;
+    return bands ? bands.map(band => ({ ...band })) : null;
+  }
+
+  createEqFilters(bands, context = this.audioContext) {
+    return bands.map(band => {
+      const filter = context.createBiquadFilter();
+      this.configureEqFilter(filter, band);
+      return filter;
+    });
+  }
+
+  configureEqFilter(filter, band) {
+    filter.type = band.type;
+    filter.frequency.value = band.frequency;
+    filter.Q.value = band.Q;
+    filter.gain.value = band.gain;
+  }
+
+  // Replace the master EQ; preset is the id the bands came from, or null for a hand-edited curve
+  setEqBands(bands, preset = null) {
+    this.eqBands = bands;
+    this.eqPreset = preset;
+    if (this.eqNodes.length === bands.length) {
+      bands.forEach((band, i) => this.configureEqFilter(this.eqNodes[i], band));
+    } else {
+      this.setupAudioPlayback();
+    }
+    this.saveEqSettings();
+    this.renderEqEditor();
+  }
+
+  applyEQPreset(id) {
+    const bands = this.eqPresetBands(id);
+    if (bands) this.setEqBands(bands, id);
+  }
+
+  // Single-band edit from the editor: the filter is updated in place and the editor isn't re-rendered
+  updateEqBand(index, changes) {
+    const band = this.sanitizeEqBand({ ...this.eqBands[index], ...changes });
+    if (!band) return null;
+    this.eqBands[index] = band;
+    if (this.eqNodes[index]) this.configureEqFilter(this.eqNodes[index], band);
+    if (this.eqPreset !== null) {
+      this.eqPreset = null;
+      this.renderEqPresetOptions();
+    }
+    this.saveEqSettings();
+    this.scheduleEqCurve();
+    return band;
+  }
+
+  addEqBand() {
+    if (this.eqBands.length >= EQ_MAX_BANDS) {
+      this.showToast(`The EQ is limited to ${EQ_MAX_BANDS} bands`, 'warning');
+      return;
+    }
+    this.setEqBands([...this.eqBands, { type: 'peaking', frequency: 1000, Q: 1, gain: 0 }]);
+  }
+
+  removeEqBand(index) {
+    this.setEqBands(this.eqBands.filter((_, i) => i !== index));
+  }
+
+  saveEqSettings() {
+    try {
+      localStorage.setItem('audioTransfer.eq', JSON.stringify({ preset: this.eqPreset, bands: this.eqBands }));
+      localStorage.setItem('audioTransfer.eqPresets', JSON.stringify(this.userEqPresets));
+      localStorage.setItem('audioTransfer.sourceEq', JSON.stringify(this.sourceEqPresets));
+    } catch (_) { }
+  }
+
+  // Prompts for a name; saving under an existing name overwrites that preset
+  saveEqPreset() {
+    const current = this.eqPreset?.startsWith('user:') ? this.eqPreset.slice(5) : '';
+    const name = window.prompt('Save EQ preset as', current)?.trim().substring(0, 40);
+    if (!name) return;
+    this.userEqPresets[name] = this.eqBands.map(band => ({ ...band }));
+    this.eqPreset = `user:${name}`;
+    this.saveEqSettings();
+    this.renderEqPresetOptions();
+    this.refreshSourceEq();
+    this.showToast(`Saved EQ preset "${name}"`, 'success');
+  }
+
+  renameEqPreset() {
+    if (!this.eqPreset?.startsWith('user:')) {
+      this.showToast('Only saved presets can be renamed', 'warning');
+      return;
+    }
+    const oldName = this.eqPreset.slice(5);
+    const name = window.prompt('Rename EQ preset', oldName)?.trim().substring(0, 40);
+    if (!name || name === oldName) return;
+    if (this.userEqPresets[name] && !window.confirm(`Replace the existing preset "${name}"?`)) return;
+    this.userEqPresets[name] = this.userEqPresets[oldName];
+    delete this.userEqPresets[oldName];
+    for (const [sourceName, id] of Object.entries(this.sourceEqPresets)) {
+      if (id === this.eqPreset) this.sourceEqPresets[sourceName] = `user:${name}`;
+    }
+    this.eqPreset = `user:${name}`;
+    this.saveEqSettings();
+    this.renderEqPresetOptions();
+    this.refreshSourceEq();
+  }
+
+  deleteEqPreset() {
+    if (!this.eqPreset?.startsWith('user:')) {
+      this.showToast('Built-in presets cannot be deleted', 'warning');
+      return;
+    }
+    const id = this.eqPreset;
+    if (!window.confirm(`Delete the EQ preset "${id.slice(5)}"?`)) return;
+    delete this.userEqPresets[id.slice(5)];
+    for (const [sourceName, sourceId] of Object.entries(this.sourceEqPresets)) {
+      if (sourceId === id) delete this.sourceEqPresets[sourceName];
+    }
+    this.eqPreset = null; // the bands stay as they are, now unsaved
+    this.saveEqSettings();
+    this.renderEqPresetOptions();
+    this.refreshSourceEq();
+  }
+
+  exportEqPreset() {
+    const name = this.eqPreset?.startsWith('user:') ? this.eqPreset.slice(5) : EQ_PRESETS[this.eqPreset]?.name || 'Custom';
+    const json = JSON.stringify({ name, bands: this.eqBands }, null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `eq-${name.replace(/[^\w-]+/g, '_')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+
+  // Accepts one exported preset, an array of them, or { presets: [...] }
+  async importEqPresets(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (_) {
+      this.showToast('Not a valid EQ preset file', 'error');
+      return;
+    }
+    const presets = Array.isArray(data) ? data : Array.isArray(data?.presets) ? data.presets : [data];
+    let imported = null;
+    let count = 0;
+    for (const preset of presets) {
+      const name = typeof preset?.name === 'string' ? preset.name.trim().substring(0, 40) : '';
+      const bands = this.sanitizeEqBands(preset?.bands);
+      if (!name || !bands) continue;
+      this.userEqPresets[name] = bands;
+      imported = `user:${name}`;
+      count++;
+    }
+    if (!count) {
+      this.showToast('No usable EQ presets in that file', 'error');
+      return;
+    }
+    this.saveEqSettings();
+    this.applyEQPreset(imported);
+    this.refreshSourceEq();
+    this.showToast(`Imported ${count} EQ preset${count === 1 ? '' : 's'}`, 'success');
+  }
+
+  setSourceEqPreset(source, id) {
+    if (id) this.sourceEqPresets[source.name] = id;
+    else delete this.sourceEqPresets[source.name];
+    this.saveEqSettings();
+    this.applySourceEq(source);
+  }
+
+  // After saved presets changed: rebuild per-source EQs and the mixer's preset menus
+  refreshSourceEq() {
+    for (const source of this.sources.values()) this.applySourceEq(source);
+    this.renderSourceMixer();
+  }
+
+  // Rewire gainNode -> [preset filters] -> panNode for the preset remembered under this source's name
+  applySourceEq(source) {
+    if (!this.audioContext) return;
+    const id = this.sourceEqPresets[source.name];
+    const bands = id && this.dspEnabled('eq') ? this.eqPresetBands(id) : null;
+    try { source.gainNode.disconnect(); } catch (_) { }
+    for (const node of source.eqNodes) { try { node.disconnect(); } catch (_) { } }
+    source.eqNodes = bands ? this.createEqFilters(bands) : [];
+    const chain = [source.gainNode, ...source.eqNodes, source.panNode || this.mixBus];
+    for (let i = 0; i + 1 < chain.length; i++) chain[i].connect(chain[i + 1]);
+  }
+
+  renderEqPresetOptions() {
+    const select = document.getElementById('eqPreset');
+    if (!select) return;
+    select.innerHTML = '';
+    if (this.eqPreset === null) select.add(new Option('Custom (unsaved)', ''));
+    const saved = document.createElement('optgroup');
+    saved.label = 'Saved';
+    for (const { id, name, user } of this.eqPresetList()) {
+      (user ? saved : select).appendChild(new Option(name, id));
+    }
+    if (saved.children.length) select.appendChild(saved);
+    select.value = this.eqPreset || '';
+    const isUser = !!this.eqPreset?.startsWith('user:');
+    document.getElementById('eqRenamePreset')?.toggleAttribute('disabled', !isUser);
+    document.getElementById('eqDeletePreset')?.toggleAttribute('disabled', !isUser);
+  }
 
-    // CRITICAL: Only adjust latency when queue is low to avoid disrupting active crossfade smoothing
-    // This prevents grainy artifacts caused by timing changes during sustained audio
-    if (this.audioQueue.length > 2) return;
+  renderEqEditor() {
+    this.renderEqPresetOptions();
+    this.scheduleEqCurve();
+    const list = document.getElementById('eqBands');
+    if (!list) return;
+    list.innerHTML = '';
+    const field = 'form-control form-control-sm d-inline-block bg-dark text-light border-secondary';
+    this.eqBands.forEach((band, index) => {
+      const row = document.createElement('div');
+      row.className = 'd-flex flex-wrap align-items-center gap-2 py-1';
+      row.innerHTML = `
+        <select class="form-select form-select-sm w-auto bg-dark text-light border-secondary" data-field="type">
+          ${EQ_BAND_TYPES.map(type => `<option value="${type}">${type}</option>`).join('')}
+        </select>
+        <label class="small">Hz <input type="number" class="${field}" style="width:85px" min="20" max="20000" step="1" data-field="frequency"></label>
+        <label class="small">Q <input type="number" class="${field}" style="width:70px" min="0.1" max="18" step="0.1" data-field="Q"></label>
+        <label class="small">Gain <input type="range" class="form-range d-inline-block align-middle" style="width:110px" min="-24" max="24" step="0.5" data-field="gain"></label>
+        <span class="small text-muted" style="width:60px" data-role="gain"></span>
+        <button class="btn btn-sm btn-outline-danger ms-auto" data-action="remove" title="Remove band"><i class="bi bi-x"></i></button>`;
+      const inputs = row.querySelectorAll('[data-field]');
+      const show = (b) => {
+        inputs.forEach(input => { input.value = b[input.dataset.field]; });
+        // shelves ignore Q; pass/notch filters ignore gain
+        row.querySelector('[data-field="Q"]').disabled = b.type.endsWith('shelf');
+        row.querySelector('[data-field="gain"]').disabled = !['peaking', 'lowshelf', 'highshelf'].includes(b.type);
+        row.querySelector('[data-role="gain"]').textContent = `${b.gain > 0 ? '+' : ''}${b.gain.toFixed(1)} dB`;
+      };
+      show(band);
+      inputs.forEach(input => {
+        // number boxes commit on change so a half-typed value isn't clamped while typing
+        const event = input.type === 'number' ? 'change' : 'input';
+        input.addEventListener(event, (e) => {
+          const value = input.dataset.field === 'type' ? e.target.value : parseFloat(e.target.value);
+          const updated = this.updateEqBand(index, { [input.dataset.field]: value });
+          show(updated || this.eqBands[index]);
+        });
+      });
+      row.querySelector('[data-action="remove"]').addEventListener('click', () => this.removeEqBand(index));
+      list.appendChild(row);
+    });
+    const add = document.getElementById('eqAddBand');
+    if (add) add.disabled = this.eqBands.length >= EQ_MAX_BANDS;
+  }
 
-    this._lastUnderrunsWindow = this._lastUnderrunsWindow || 0;
-    const diff = this.underruns - this._lastUnderrunsWindow;
-    this._lastUnderrunsWindow = this.underruns;
-    const now = performance.now();
-    this._lastLatencyRaiseTime = this._lastLatencyRaiseTime || 0;
-    // Require sustained underruns: diff >=3 and at least 500ms since last bump
-    if (diff >= 3 && (now - this._lastLatencyRaiseTime) > 500 && this.fixedLatency < this.baseLatency + 0.20) {
-      this.fixedLatency = +(this.fixedLatency + 0.01).toFixed(3); // +10ms
-      this._lastLatencyRaiseTime = now;
-      this.showToast(`Latency +10ms -> ${Math.round(this.fixedLatency * 1000)}ms`, 'warning');
-    } else if (diff === 0 && this.fixedLatency - this.baseLatency > 0.03) {
-      // decay only every other call (~4s) using a toggle flag to slow reduction
-      this.fixedLatency = +(this.fixedLatency - 0.005).toFixed(3); // -5ms
+  scheduleEqCurve() {
+    if (this._eqCurveFrame || typeof requestAnimationFrame !== 'function') return;
+    this._eqCurveFrame = requestAnimationFrame(() => {
+      this._eqCurveFrame = null;
+      this.drawEqCurve();
+    });
+  }
+
+  // Combined magnitude response of the master EQ, 20 Hz - 20 kHz on a log axis, ±24 dB
+  drawEqCurve() {
+    const canvas = document.getElementById('eqCurve');
+    const g = canvas?.getContext('2d');
+    if (!g) return;
+    // scratch filters on their own context, so the curve doesn't wait for parameter changes to reach the live graph
+    if (!this._eqCurveContext) {
+      const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+      if (!Offline) return;
+      this._eqCurveContext = new Offline(1, 128, 48000);
     }
-    this.updatePlaybackStatus();
+    const width = canvas.width;
+    const height = canvas.height;
+    const freqs = new Float32Array(width);
+    for (let i = 0; i < width; i++) freqs[i] = 20 * Math.pow(1000, i / (width - 1));
+    const total = new Float32Array(width).fill(1);
+    const mag = new Float32Array(width);
+    const phase = new Float32Array(width);
+    for (const filter of this.createEqFilters(this.eqBands, this._eqCurveContext)) {
+      filter.getFrequencyResponse(freqs, mag, phase);
+      for (let i = 0; i < width; i++) total[i] *= mag[i];
+    }
+
+    const yFor = (db) => height / 2 - (Math.max(-24, Math.min(24, db)) / 24) * (height / 2 - 2);
+    g.clearRect(0, 0, width, height);
+    g.strokeStyle = 'rgba(255,255,255,0.12)';
+    g.lineWidth = 1;
+    g.beginPath();
+    for (const f of [100, 1000, 10000]) {
+      const x = Math.round(Math.log(f / 20) / Math.log(1000) * (width - 1)) + 0.5;
+      g.moveTo(x, 0); g.lineTo(x, height);
+    }
+    for (const db of [-12, 12]) { g.moveTo(0, yFor(db)); g.lineTo(width, yFor(db)); }
+    g.stroke();
+    g.strokeStyle = 'rgba(255,255,255,0.3)';
+    g.beginPath(); g.moveTo(0, yFor(0)); g.lineTo(width, yFor(0)); g.stroke();
+    g.strokeStyle = this.dspEnabled('eq') ? '#0dcaf0' : '#6c757d';
+    g.lineWidth = 2;
+    g.beginPath();
+    for (let i = 0; i < width; i++) {
+      const y = yFor(20 * Math.log10(Math.max(total[i], 1e-6)));
+      if (i === 0) g.moveTo(i, y); else g.lineTo(i, y);
+    }
+    g.stroke();
   }
 
   setupAudioPlayback() {
     if (!this.audioContext) return;
 
-    // Create EQ nodes if they don't exist
-    const eqBands = [60, 250, 1000, 4000, 12000];
-    eqBands.forEach(freq => {
-      if (!this.eqNodes[freq]) {
-        const filter = this.audioContext.createBiquadFilter();
-        if (freq === 60) {
-          filter.type = 'lowshelf';
-        } else if (freq === 12000) {
-          filter.type = 'highshelf';
-        } else {
-          filter.type = 'peaking';
-          filter.Q.value = 1;
-        }
-        filter.frequency.value = freq;
-        filter.gain.value = 0;
-        this.eqNodes[freq] = filter;
-      }
-    });
+    // (Re)build the master EQ filters when the number of bands changed; edits to a band are applied in place
+    if (this.eqNodes.length !== this.eqBands.length) {
+      this.eqNodes = this.createEqFilters(this.eqBands);
+    }
 
     // Create main playback gain if it doesn't exist
     if (!this.playbackGain) {
       this.playbackGain = this.audioContext.createGain();
       this.playbackGain.gain.value = 1.0;
+      this.playbackGain.connect(this.audioContext.destination);
     }
 
-    // Setup audio processing chain: EQ -> Compressor (if enabled) -> Gain -> Destination
-    let currentNode = this.eqNodes[60];
-    eqBands.slice(1).forEach(freq => {
-      currentNode.connect(this.eqNodes[freq]);
-      currentNode = this.eqNodes[freq];
-    });
+    // Every source channel sums into the mix bus ahead of the shared EQ
+    if (!this.mixBus) {
+      this.mixBus = this.audioContext.createGain();
+    }
 
-    // Connect compressor if loudness boost is enabled
-    if (this.compressorNode) {
-      currentNode.connect(this.compressorNode);
-      this.compressorNode.connect(this.playbackGain);
-    } else {
-      currentNode.connect(this.playbackGain);
+    if (this.dspStages.compressor && !this.compressorNode) {
+      this.compressorNode = this.audioContext.createDynamicsCompressor();
+      this.compressorNode.threshold.setValueAtTime(-18, this.audioContext.currentTime);
+      this.compressorNode.knee.setValueAtTime(6, this.audioContext.currentTime);
+      this.compressorNode.ratio.setValueAtTime(3, this.audioContext.currentTime);
+      this.compressorNode.attack.setValueAtTime(0.003, this.audioContext.currentTime);
+      this.compressorNode.release.setValueAtTime(0.1, this.audioContext.currentTime);
     }
 
-    this.playbackGain.connect(this.audioContext.destination);
+    // Setup audio processing chain: Mix bus -> EQ -> Compressor -> Normalizer -> Gain -> Destination, skipping disabled stages.
+    // The previous wiring is undone link by link so other taps on these nodes (clip recording) stay connected.
+    const chain = [this.mixBus];
+    if (this.dspEnabled('eq')) chain.push(...this.eqNodes);
+    if (this.dspEnabled('compressor') && this.compressorNode) chain.push(this.compressorNode);
+    if (this.dspEnabled('normalize')) {
+      if (this.loudnessNode) chain.push(this.loudnessNode);
+      else this.ensureLoudnessNode(); // rebuilds the chain once the worklet is loaded
+    }
+    chain.push(this.playbackGain);
+    const previous = this.playbackChain || [];
+    for (let i = 0; i + 1 < previous.length; i++) {
+      try { previous[i].disconnect(previous[i + 1]); } catch (_) { }
+    }
+    for (let i = 0; i + 1 < chain.length; i++) chain[i].connect(chain[i + 1]);
+    this.playbackChain = chain;
+    this.preGainNode = chain[chain.length - 2];
 
-    if (!this.nextPlayTime) this.nextPlayTime = this.audioContext.currentTime + this.fixedLatency;
+    this.updateRecordTap();
+    this.attachMeter('play', this.preGainNode, 2);
   }
 
-  // Play audioData: resample if needed and preserve channels (stereo -> stereo; dual-mono -> dual-mono; mono -> mono)
+  // Play audioData: decode, resample if needed and preserve channels (stereo -> stereo; dual-mono -> dual-mono; mono -> mono)
   async playAudioData(streamData) {
     if (!this.audioContext) return;
     if (!streamData || !streamData.data) return;
+    if (!this.sources.has(streamData.sourceId)) return;
 
-    // normalize incoming buffer to ArrayBuffer
-    let srcBuffer;
-    if (streamData.data instanceof ArrayBuffer) srcBuffer = streamData.data;
-    else if (ArrayBuffer.isView(streamData.data)) srcBuffer = streamData.data.buffer.slice(streamData.data.byteOffset, streamData.data.byteOffset + streamData.data.byteLength);
-    else if (Array.isArray(streamData.data)) { const t = new Float32Array(streamData.data.length); t.set(streamData.data); srcBuffer = t.buffer; }
-    else { console.warn('unsupported audio payload'); return; }
-
-    const srcRate = streamData.sampleRate || 48000;
-    const channels = streamData.channels || 1;
+    // decode the payload (raw f32, pcm16, adpcm or opus) to interleaved Float32
+    const decoded = await this.decodeAudioPayload(streamData);
+    if (!decoded) { console.warn('unsupported audio payload'); return; }
 
-    // interpret as Float32Array interleaved
-    let interleaved = new Float32Array(srcBuffer);
+    const srcRate = decoded.sampleRate;
+    const channels = decoded.channels;
+    let interleaved = decoded.data;
 
     // If incoming channels >1 keep channels as-is. We'll resample preserving channels.
     // Resample using OfflineAudioContext for best quality if sampleRate mismatch.
@@ -889,11 +3968,42 @@ class AudioTransferApp {
       }
     }
 
-    // push to queue (preserve channels exactly as coming)
-    this.audioQueue.push({ data: processedInterleaved, channels: processedChannels, sampleRate: targetRate, timestamp: streamData.timestamp || Date.now() });
+    // push to this source's queue (preserve channels exactly as coming); it may have been removed while decoding
+    const source = this.sources.get(streamData.sourceId);
+    if (!source) return;
+    const item = {
+      data: processedInterleaved,
+      channels: processedChannels,
+      sampleRate: targetRate,
+      timestamp: streamData.timestamp || Date.now(),
+      // server time of the first sample; only streams that send sampleIndex stamp it on the shared clock
+      captureTime: typeof streamData.sampleIndex === 'number' ? streamData.timestamp : null,
+      seq: typeof streamData.seq === 'number' ? streamData.seq : null
+    };
+    if (item.seq == null) {
+      source.queue.push(item);
+    } else {
+      if (source.nextSeq != null && item.seq < source.nextSeq) {
+        if (source.nextSeq - item.seq <= this.plcRestartGap) {
+          // its slot was already played (or concealed)
+          this.plcStats.late++;
+          source.lossStats.late++;
+          return;
+        }
+        // numbering started over: the streamer restarted
+        source.queue = [];
+        source.nextSeq = null;
+        source.highestSeq = item.seq;
+      }
+      // keep the queue in seq order so reordered packets (and decodes finishing out of order) land in place
+      let i = source.queue.length;
+      while (i > 0 && source.queue[i - 1].seq != null && source.queue[i - 1].seq > item.seq) i--;
+      if (i > 0 && source.queue[i - 1].seq === item.seq) return; // duplicate
+      source.queue.splice(i, 0, item);
+    }
     this.updatePlaybackStatus();
 
-    if (!this.isProcessingQueue) this.processAudioQueue();
+    if (!source.isProcessingQueue) this.processAudioQueue(source);
   }
 
   async resampleInterleaved(interleaved, srcRate, dstRate, channels) {
@@ -926,16 +4036,39 @@ class AudioTransferApp {
     return out;
   }
 
-  async processAudioQueue() {
-    if (this.isProcessingQueue) return;
+  async processAudioQueue(source) {
+    if (source.isProcessingQueue) return;
     if (!this.audioContext) return;
-    this.isProcessingQueue = true;
-
-    while (this.audioQueue.length) {
-      const item = this.audioQueue.shift();
+    source.isProcessingQueue = true;
+    clearTimeout(source.holeTimer);
+
+    while (source.queue.length) {
+      const head = source.queue[0];
+      if (this.features.lossConcealment && head.seq != null && source.nextSeq != null && head.seq > source.nextSeq) {
+        const missing = head.seq - source.nextSeq;
+        const ahead = source.nextPlayTime - this.audioContext.currentTime;
+        if (missing <= this.plcMaxGapPackets && ahead > this.plcGuardSec) {
+          // The hole isn't due yet: the missing packets may still arrive late or out of order
+          source.holeTimer = setTimeout(() => this.processAudioQueue(source), (ahead - this.plcGuardSec) * 1000);
+          break;
+        }
+        if (missing <= this.plcMaxGapPackets && ahead > 0.005) {
+          source.queue.unshift(this.concealLoss(source, missing));
+          this.plcStats.lost += missing;
+          source.lossStats.lost += missing;
+        } else {
+          // too long to bridge, or playout already ran dry: restart this source's timeline
+          source.nextPlayTime = 0;
+        }
+        source.nextSeq = head.seq;
+        continue;
+      }
+      const item = source.queue.shift();
+      if (item.seq != null) source.nextSeq = item.seq + 1;
       try {
         const ch = item.channels || 1;
         const frames = Math.floor(item.data.length / ch);
+        if (!item.concealed) source.lastItemFrames = frames;
 
         const audioBuffer = this.audioContext.createBuffer(ch, frames, item.sampleRate || this.audioContext.sampleRate);
         for (let c = 0; c < ch; c++) {
@@ -946,38 +4079,54 @@ class AudioTransferApp {
         const src = this.audioContext.createBufferSource();
         src.buffer = audioBuffer;
 
-        // Connect through EQ chain if available, otherwise direct to gain
-        if (this.eqNodes[60]) {
-          src.connect(this.eqNodes[60]);
-        } else {
-          src.connect(this.playbackGain);
-        }
+        // Connect through this source's gain/pan strip (which feeds the mix bus and EQ chain)
+        src.connect(source.gainNode);
 
-        // SIMPLIFIED SCHEDULER: Use basic Web Audio timing
+        // SIMPLIFIED SCHEDULER: Use basic Web Audio timing, one timeline per source
         const now = this.audioContext.currentTime;
-        if (!this.nextPlayTime || this.nextPlayTime < now + 0.005) {
-          this.nextPlayTime = now + this.fixedLatency;
+        const syncAt = this.syncEnabled && item.captureTime != null && this.clockOffset != null ?
+          this.contextTimeForServerTime(item.captureTime + this.syncTargetDelay + this.syncOffsetMs) : null;
+        if (syncAt != null) {
+          // Multi-room: play this packet at capture time + shared delay on the server clock
+          if (syncAt < now + 0.005) {
+            this.syncLateDrops++;
+            source.nextPlayTime = 0;
+            try { src.disconnect(); } catch (_) { }
+            continue;
+          }
+          if (!source.nextPlayTime || Math.abs(source.nextPlayTime - syncAt) > this.syncTolerance) {
+            source.nextPlayTime = syncAt;
+          }
+        } else if (!source.nextPlayTime || source.nextPlayTime < now + 0.005) {
+          if (source.nextPlayTime) source.lossStats.underruns++; // ran dry
+          source.nextPlayTime = now + this.fixedLatency;
         }
-        const startAt = this.nextPlayTime;
+        const startAt = source.nextPlayTime;
+        // Drift mode: error is how far the cursor is from the shared clock (synced) or from the target queue depth
+        const rate = this.driftCorrection ?
+          this.updateDriftRate(source, syncAt != null ? startAt - syncAt : startAt - now - this.fixedLatency) : 1;
+        if (rate !== 1) src.playbackRate.value = rate;
 
         // CRITICAL: Validate audio data to prevent corrupted data crackling
-        let hasCorruptedData = false;
-        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
-          const d = audioBuffer.getChannelData(c);
-          for (let i = 0; i < d.length; i++) {
-            if (!isFinite(d[i]) || Math.abs(d[i]) > 1.0) {
-              hasCorruptedData = true;
-              d[i] = 0; // zero out bad samples
+        if (this.dspEnabled('sanitize')) {
+          let hasCorruptedData = false;
+          for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            const d = audioBuffer.getChannelData(c);
+            for (let i = 0; i < d.length; i++) {
+              if (!isFinite(d[i]) || Math.abs(d[i]) > 1.0) {
+                hasCorruptedData = true;
+                d[i] = 0; // zero out bad samples
+              }
             }
           }
-        }
-        
-        if (hasCorruptedData) {
-          console.warn('Corrupted audio data detected and cleaned');
+
+          if (hasCorruptedData) {
+            console.warn('Corrupted audio data detected and cleaned');
+          }
         }
 
         // Aggressive transient detection for modern production
-        if (this.features.transientDetection !== false) {
+        if (this.dspEnabled('transients')) {
           try {
             for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
               const d = audioBuffer.getChannelData(c);
@@ -1017,17 +4166,16 @@ class AudioTransferApp {
           }
         }
 
-        try {
-          // crossfade / smoothing
-          const cfSamples = Math.max(1, Math.min(Math.floor(this.crossfadeMs * sampleRate), Math.floor(audioBuffer.length / 3)));
+        if (!this.dspEnabled('crossfade')) source.lastTailSamples = null;
+        else try {
           // --- Minimal guarded crossfade & fade-in (reintroduced safely) ---
           const sr = audioBuffer.sampleRate;
           const wantMs = Math.min(this.maxCrossfadeMs, Math.max(this.minCrossfadeMs, (frames / sr) * 1000 * 0.12));
           const overlapSamples = Math.min(Math.floor(sr * (wantMs / 1000)), Math.floor(frames / 3));
-          if (this.features.overlapAdd && this.lastTailSamples && overlapSamples > 8) {
+          if (this.features.overlapAdd && source.lastTailSamples && overlapSamples > 8) {
             for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
               const d = audioBuffer.getChannelData(c);
-              const prev = this.lastTailSamples[c];
+              const prev = source.lastTailSamples[c];
               if (!prev) continue;
               const ov = Math.min(overlapSamples, prev.length, d.length);
               // Validate previous tail (avoid propagating corruption)
@@ -1052,23 +4200,23 @@ class AudioTransferApp {
             }
           }
           // Store new tails for next crossfade
-          this.lastTailSamples = [];
+          source.lastTailSamples = [];
           const keep = Math.min(overlapSamples * 2 || 128, frames);
           for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
             const d = audioBuffer.getChannelData(c);
             const tail = new Float32Array(keep);
             tail.set(d.subarray(d.length - keep));
-            this.lastTailSamples[c] = tail;
+            source.lastTailSamples[c] = tail;
           }
           // --- end minimal crossfade block ---
         } catch (_) { }
+        if (this.features.lossConcealment) this.rememberPlayout(source, audioBuffer);
         try { src.start(startAt); } catch (e) { try { src.start(); } catch (_) { } }
-        // maintain nextPlayTime for UI backward compatibility
-        this.nextPlayTime = startAt + audioBuffer.duration;
+        source.nextPlayTime = startAt + audioBuffer.duration / rate;
 
-        src.onended = () => { try { this.activeSources.delete(src); } catch (_) { } };
+        src.onended = () => { try { source.activeNodes.delete(src); } catch (_) { } };
 
-        this.activeSources.add(src);
+        source.activeNodes.add(src);
 
         // allow event loop to breathe (no visible jitter)
         await new Promise(r => setTimeout(r, 0));
@@ -1077,38 +4225,881 @@ class AudioTransferApp {
       }
     }
 
-    this.isProcessingQueue = false;
+    source.isProcessingQueue = false;
+    this.updatePlaybackStatus();
+  }
+
+  // ---------------- LOUDNESS NORMALIZATION ----------------
+  // The 'normalize' DSP stage: an AudioWorklet at the end of the chain measures the K-weighted power of what
+  // enters it (ITU-R BS.1770) in 100 ms blocks, applies the makeup gain chosen here and a -1 dBTP true-peak limiter.
+  setLoudnessTarget(target) {
+    if (target !== null) this.loudnessTarget = target;
+    this.dspStages.normalize = target !== null;
+    try { localStorage.setItem('audioTransfer.loudnessTarget', String(this.loudnessTarget)); } catch (_) { }
+    this.saveDspSettings();
+    this.setupAudioPlayback();
+    this.syncDspControls();
     this.updatePlaybackStatus();
   }
 
+  async ensureLoudnessNode() {
+    if (this.loudnessNode || this._loudnessLoading || !this.audioContext) return;
+    this._loudnessLoading = true;
+    try {
+      await this.audioContext.audioWorklet.addModule(this.createLoudnessWorkletScript());
+      this.loudnessNode = new AudioWorkletNode(this.audioContext, 'loudness-normalizer', {
+        channelCount: 2, channelCountMode: 'explicit', outputChannelCount: [2]
+      });
+      this.loudnessNode.port.onmessage = (ev) => this.handleLoudnessBlock(ev.data);
+      this.resetLoudness();
+      this.setupAudioPlayback();
+    } catch (err) {
+      console.warn('Loudness normalizer unavailable', err);
+      this.showToast('Loudness normalization needs AudioWorklet support', 'warning');
+      this.setLoudnessTarget(null);
+    } finally {
+      this._loudnessLoading = false;
+    }
+  }
+
+  // Measurement restarts whenever the set of sources changes; the current gain is kept as the starting point
+  resetLoudness() {
+    this.loudness = {
+      blocks: [], // mean-square power of the last 30 blocks (3 s)
+      gated: { count: new Uint32Array(750), power: new Float64Array(750) }, // 400 ms windows in 0.1 LU bins from -70 LUFS
+      momentary: null,
+      shortTerm: null,
+      integrated: null,
+      reductionDb: 0,
+      blockCount: 0
+    };
+  }
+
+  handleLoudnessBlock({ power, reductionDb }) {
+    const state = this.loudness;
+    if (!state) return;
+    const lufs = (p) => p > 0 ? -0.691 + 10 * Math.log10(p) : -Infinity;
+    const mean = (n) => {
+      const recent = state.blocks.slice(-n);
+      return recent.reduce((a, b) => a + b, 0) / recent.length;
+    };
+    state.blocks.push(power);
+    if (state.blocks.length > 30) state.blocks.shift();
+    state.momentary = lufs(mean(4));
+    state.shortTerm = lufs(mean(30));
+    state.reductionDb = reductionDb;
+
+    // integrated: 400 ms windows every 100 ms (75% overlap), absolute gate -70 LUFS, relative gate -10 LU
+    if (state.blocks.length >= 4 && state.momentary > -70) {
+      const bin = Math.min(749, Math.floor((state.momentary + 70) * 10));
+      state.gated.count[bin]++;
+      state.gated.power[bin] += mean(4);
+    }
+    let count = 0;
+    let sum = 0;
+    for (let b = 0; b < 750; b++) { count += state.gated.count[b]; sum += state.gated.power[b]; }
+    if (count) {
+      const firstBin = Math.max(0, Math.ceil((lufs(sum / count) - 10 + 70) * 10));
+      count = 0;
+      sum = 0;
+      for (let b = firstBin; b < 750; b++) { count += state.gated.count[b]; sum += state.gated.power[b]; }
+      state.integrated = count ? lufs(sum / count) : null;
+    }
+    this.updateLoudnessGain();
+    if (++state.blockCount % 10 === 0) this.updatePlaybackStatus();
+  }
+
+  // Slow gain toward target - short-term loudness. Quiet passages (below the relative gate) and silence hold
+  // the current gain, so pauses don't get pumped up.
+  updateLoudnessGain() {
+    const state = this.loudness;
+    const gain = this.loudnessNode?.parameters.get('gain');
+    if (!gain || !(state.shortTerm > -50) || !(state.momentary > -50)) return;
+    if (state.integrated !== null && state.momentary < state.integrated - 10) return;
+    const db = Math.max(-20, Math.min(20, this.loudnessTarget - state.shortTerm));
+    gain.setTargetAtTime(Math.pow(10, db / 20), this.audioContext.currentTime, 4);
+  }
+
+  createLoudnessWorkletScript() {
+    const code = `
+      // BS.1770 K-weighting for any sample rate: high shelf (+4 dB above ~1.7 kHz), then a 38 Hz high-pass
+      function kWeighting(fs) {
+        let K = Math.tan(Math.PI * 1681.974450955533 / fs);
+        const Q1 = 0.7071752369554196;
+        const Vh = Math.pow(10, 3.999843853973347 / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / Q1 + K * K;
+        const shelf = [(Vh + Vb * K / Q1 + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q1 + K * K) / a0,
+          2 * (K * K - 1) / a0, (1 - K / Q1 + K * K) / a0];
+        K = Math.tan(Math.PI * 38.13547087602444 / fs);
+        const Q2 = 0.5003270373238773;
+        a0 = 1 + K / Q2 + K * K;
+        const highpass = [1, -2, 1, 2 * (K * K - 1) / a0, (1 - K / Q2 + K * K) / a0];
+        return [shelf, highpass];
+      }
+      const sinc = (x) => x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+
+      class LoudnessNormalizer extends AudioWorkletProcessor {
+        static get parameterDescriptors() {
+          return [{ name: 'gain', defaultValue: 1, minValue: 0, maxValue: 16, automationRate: 'k-rate' }];
+        }
+        constructor() {
+          super();
+          this.filters = kWeighting(sampleRate);
+          this.kState = [0, 1].map(() => this.filters.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 })));
+          this.blockFrames = Math.round(sampleRate / 10);
+          this.blockPos = 0;
+          this.blockPower = 0;
+          this.blockMinEnv = 1;
+          // limiter: 1.5 ms lookahead, gain falls within the lookahead and recovers over ~150 ms
+          this.ceiling = Math.pow(10, -1 / 20);
+          this.lookahead = Math.round(sampleRate * 0.0015);
+          this.delay = [0, 1].map(() => new Float32Array(this.lookahead));
+          // one slot longer than the delay, so a sample's own requirement is still in the window when it leaves
+          this.required = new Float32Array(this.lookahead + 1).fill(1);
+          this.requiredPos = 0;
+          this.pos = 0;
+          this.env = 1;
+          this.attack = 1 - Math.exp(-5 / this.lookahead);
+          this.release = 1 - Math.exp(-1 / (sampleRate * 0.15));
+          // 4x oversampling for the true peak: Lanczos taps for the points 1/4, 2/4, 3/4 past history[3]
+          this.history = [0, 1].map(() => new Float32Array(8));
+          this.phases = [1, 2, 3].map(p => Array.from({ length: 8 }, (_, j) => {
+            const x = p / 4 - (j - 3);
+            return sinc(x) * sinc(x / 4);
+          }));
+        }
+        weight(c, x) {
+          let v = x;
+          this.filters.forEach(([b0, b1, b2, a1, a2], f) => {
+            const s = this.kState[c][f];
+            const y = b0 * v + b1 * s.x1 + b2 * s.x2 - a1 * s.y1 - a2 * s.y2;
+            s.x2 = s.x1; s.x1 = v;
+            s.y2 = s.y1; s.y1 = y;
+            v = y;
+          });
+          return v;
+        }
+        process(inputs, outputs, parameters) {
+          const input = inputs[0];
+          const output = outputs[0];
+          if (!input || !input.length) return true;
+          const gain = parameters.gain[0];
+          const frames = output[0].length;
+          for (let i = 0; i < frames; i++) {
+            let peak = 0;
+            for (let c = 0; c < 2; c++) {
+              const x = (input[c] || input[0])[i];
+              const w = this.weight(c, x);
+              this.blockPower += w * w;
+              const h = this.history[c];
+              h.copyWithin(0, 1);
+              h[7] = x * gain;
+              peak = Math.max(peak, Math.abs(h[3]));
+              for (const taps of this.phases) {
+                let v = 0;
+                for (let j = 0; j < 8; j++) v += h[j] * taps[j];
+                peak = Math.max(peak, Math.abs(v));
+              }
+            }
+            this.required[this.requiredPos] = peak > this.ceiling ? this.ceiling / peak : 1;
+            this.requiredPos = (this.requiredPos + 1) % this.required.length;
+            let target = 1;
+            for (let k = 0; k < this.required.length; k++) target = Math.min(target, this.required[k]);
+            this.env += (target - this.env) * (target < this.env ? this.attack : this.release);
+            this.blockMinEnv = Math.min(this.blockMinEnv, this.env);
+            for (let c = 0; c < output.length; c++) {
+              const d = this.delay[Math.min(c, 1)];
+              const y = d[this.pos];
+              // history[3] is the sample the peak was measured on; delay it by the lookahead before output
+              d[this.pos] = this.history[Math.min(c, 1)][3];
+              output[c][i] = Math.max(-1, Math.min(1, y * this.env));
+            }
+            this.pos = (this.pos + 1) % this.lookahead;
+            if (++this.blockPos === this.blockFrames) {
+              this.port.postMessage({ power: this.blockPower / this.blockFrames, reductionDb: 20 * Math.log10(this.blockMinEnv) });
+              this.blockPos = 0;
+              this.blockPower = 0;
+              this.blockMinEnv = 1;
+            }
+          }
+          return true;
+        }
+      }
+      registerProcessor('loudness-normalizer', LoudnessNormalizer);
+    `;
+    return URL.createObjectURL(new Blob([code], { type: 'application/javascript' }));
+  }
+
+  // ---------------- LEVEL METERS / SPECTRUM ----------------
+  // 'stream' taps the capture source, 'play' the post-EQ/compressor signal ahead of the volume control.
+  // Each meter gets one analyser per channel (peak/RMS) plus one on the summed signal for the spectrum view.
+  attachMeter(key, input, channels) {
+    const current = this.meters[key];
+    if (current && current.input === input && current.channels === channels) return;
+    this.detachMeter(key);
+    if (!input) return;
+    const context = input.context;
+    const splitter = context.createChannelSplitter(channels);
+    const analysers = [];
+    for (let c = 0; c < channels; c++) {
+      const analyser = context.createAnalyser();
+      analyser.fftSize = 2048;
+      splitter.connect(analyser, c);
+      analysers.push(analyser);
+    }
+    const spectrum = context.createAnalyser();
+    spectrum.fftSize = 4096;
+    spectrum.smoothingTimeConstant = 0.75;
+    spectrum.minDecibels = -100;
+    spectrum.maxDecibels = -10;
+    input.connect(splitter);
+    input.connect(spectrum);
+    this.meters[key] = {
+      input,
+      channels,
+      splitter,
+      analysers,
+      spectrum,
+      samples: new Float32Array(2048),
+      bins: new Uint8Array(spectrum.frequencyBinCount),
+      peakHold: new Array(channels).fill(-Infinity),
+      clipped: false,
+      updatedAt: 0
+    };
+    this.renderMeter(key);
+    this.startMeterLoop();
+  }
+
+  detachMeter(key) {
+    const meter = this.meters[key];
+    if (!meter) return;
+    try { meter.input.disconnect(meter.splitter); } catch (_) { }
+    try { meter.input.disconnect(meter.spectrum); } catch (_) { }
+    this.meters[key] = null;
+    this.renderMeter(key);
+  }
+
+  // Sets up the channel rows (L/R or M) and clears the bars and the spectrum canvas
+  renderMeter(key) {
+    const root = document.getElementById(`${key}Meter`);
+    if (!root) return;
+    const meter = this.meters[key];
+    const channels = meter ? meter.channels : 2;
+    root.querySelectorAll('.meter-channel').forEach((row, c) => {
+      row.classList.toggle('d-none', c >= channels);
+      row.querySelector('.meter-label').textContent = channels === 1 ? 'M' : c === 0 ? 'L' : 'R';
+      row.querySelector('.meter-rms').style.clipPath = 'inset(0 100% 0 0)';
+      row.querySelector('.meter-peak').style.left = '0%';
+      row.querySelector('.meter-value').textContent = '-∞';
+    });
+    root.querySelector('.meter-clip')?.classList.add('invisible');
+    const canvas = document.getElementById(`${key}Spectrum`);
+    canvas?.getContext('2d')?.clearRect(0, 0, canvas.width, canvas.height);
+  }
+
+  resetClipIndicator(key) {
+    if (this.meters[key]) this.meters[key].clipped = false;
+    document.getElementById(`${key}Meter`)?.querySelector('.meter-clip')?.classList.add('invisible');
+  }
+
+  setSpectrumMode(key, mode) {
+    this.spectrumModes[key] = mode;
+    const canvas = document.getElementById(`${key}Spectrum`);
+    if (!canvas) return;
+    canvas.classList.toggle('d-none', mode === 'off');
+    canvas.getContext('2d')?.clearRect(0, 0, canvas.width, canvas.height);
+  }
+
+  startMeterLoop() {
+    if (this.meterFrame || typeof requestAnimationFrame !== 'function') return;
+    const tick = () => {
+      const active = Object.keys(this.meters).filter(key => this.meters[key]);
+      if (!active.length) {
+        this.meterFrame = null;
+        return;
+      }
+      for (const key of active) {
+        this.updateMeter(key);
+        if (this.spectrumModes[key] !== 'off') this.drawSpectrum(key);
+      }
+      this.meterFrame = requestAnimationFrame(tick);
+    };
+    this.meterFrame = requestAnimationFrame(tick);
+  }
+
+  updateMeter(key) {
+    const meter = this.meters[key];
+    const root = document.getElementById(`${key}Meter`);
+    if (!root) return;
+    const now = performance.now();
+    const dt = meter.updatedAt ? (now - meter.updatedAt) / 1000 : 0;
+    meter.updatedAt = now;
+    const rows = root.querySelectorAll('.meter-channel');
+    // meters span -60..0 dBFS
+    const percent = (db) => Math.max(0, Math.min(100, (db + 60) / 60 * 100));
+    meter.analysers.forEach((analyser, c) => {
+      analyser.getFloatTimeDomainData(meter.samples);
+      let peak = 0;
+      let sum = 0;
+      for (let i = 0; i < meter.samples.length; i++) {
+        const v = meter.samples[i];
+        const a = Math.abs(v);
+        if (a > peak) peak = a;
+        sum += v * v;
+      }
+      const rmsDb = 10 * Math.log10(Math.max(sum / meter.samples.length, 1e-12));
+      const peakDb = 20 * Math.log10(Math.max(peak, 1e-6));
+      // peak marker jumps up and falls back at 20 dB/s
+      meter.peakHold[c] = Math.max(peakDb, meter.peakHold[c] - 20 * dt);
+      if (peak >= 0.999) meter.clipped = true;
+      const row = rows[c];
+      if (!row) return;
+      // the bar is a full-width -60..0 dB gradient, clipped to the level so the colours stay on their dB marks
+      row.querySelector('.meter-rms').style.clipPath = `inset(0 ${100 - percent(rmsDb)}% 0 0)`;
+      row.querySelector('.meter-peak').style.left = `${percent(meter.peakHold[c])}%`;
+      row.querySelector('.meter-value').textContent = meter.peakHold[c] < -60 ? '-∞' : meter.peakHold[c].toFixed(1);
+    });
+    // latches until clicked
+    if (meter.clipped) root.querySelector('.meter-clip')?.classList.remove('invisible');
+  }
+
+  // Spectrum: one frame of magnitudes over a log frequency axis. Spectrogram: scrolls left one column per frame.
+  drawSpectrum(key) {
+    const meter = this.meters[key];
+    const canvas = document.getElementById(`${key}Spectrum`);
+    const g = canvas?.getContext('2d');
+    if (!g) return;
+    meter.spectrum.getByteFrequencyData(meter.bins);
+    const nyquist = meter.spectrum.context.sampleRate / 2;
+    const maxFreq = Math.min(20000, nyquist);
+    const binAt = (pos) => {
+      const freq = 20 * Math.pow(maxFreq / 20, pos);
+      return meter.bins[Math.min(meter.bins.length - 1, Math.round(freq / nyquist * meter.bins.length))] / 255;
+    };
+    const width = canvas.width;
+    const height = canvas.height;
+
+    if (this.spectrumModes[key] === 'spectrogram') {
+      g.drawImage(canvas, -1, 0);
+      if (!meter.column || meter.column.height !== height) meter.column = g.createImageData(1, height);
+      const px = meter.column.data;
+      for (let y = 0; y < height; y++) {
+        const v = binAt(1 - y / (height - 1));
+        px[y * 4] = Math.min(255, v * 2 * 255);
+        px[y * 4 + 1] = Math.max(0, Math.min(255, (v * 2 - 0.8) * 255));
+        px[y * 4 + 2] = Math.min(255, 40 + v * 160 * (1 - v));
+        px[y * 4 + 3] = 255;
+      }
+      g.putImageData(meter.column, width - 1, 0);
+      return;
+    }
+
+    g.clearRect(0, 0, width, height);
+    g.fillStyle = 'rgba(13, 202, 240, 0.6)';
+    g.beginPath();
+    g.moveTo(0, height);
+    for (let x = 0; x < width; x++) g.lineTo(x, height - binAt(x / (width - 1)) * height);
+    g.lineTo(width, height);
+    g.closePath();
+    g.fill();
+  }
+
+  // ---------------- PACKET LOSS CONCEALMENT ----------------
+  // Missing packets are rebuilt by repeating the last pitch period of what was played, fading to silence
+  // over plcFadeSec so a long hole doesn't turn into a buzz. The next real packet is crossfaded in as usual.
+
+  // Keep the last 50 ms of each channel: enough for two periods of the lowest pitch we look for
+  rememberPlayout(source, audioBuffer) {
+    const keep = Math.round(audioBuffer.sampleRate * 0.05);
+    const channels = audioBuffer.numberOfChannels;
+    if (!source.history || source.history.length !== channels || source.history[0].length !== keep) {
+      source.history = Array.from({ length: channels }, () => new Float32Array(keep));
+    }
+    for (let c = 0; c < channels; c++) {
+      const hist = source.history[c];
+      const d = audioBuffer.getChannelData(c);
+      if (d.length >= keep) {
+        hist.set(d.subarray(d.length - keep));
+      } else {
+        hist.copyWithin(0, d.length);
+        hist.set(d, keep - d.length);
+      }
+    }
+  }
+
+  // Normalized autocorrelation over 50–400 Hz; unvoiced material falls back to the longest period
+  findPitchPeriod(history, sampleRate) {
+    const len = history[0].length;
+    const minLag = Math.floor(sampleRate / 400);
+    const maxLag = Math.min(Math.floor(sampleRate / 50), Math.floor(len / 2));
+    const mono = new Float32Array(len);
+    for (const h of history) for (let i = 0; i < len; i++) mono[i] += h[i] / history.length;
+
+    let best = maxLag;
+    let bestCorr = 0.3; // below this the signal isn't periodic enough to repeat a single cycle
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      let xy = 0, xx = 0, yy = 0;
+      for (let i = len - 1; i >= maxLag; i -= 2) {
+        const x = mono[i], y = mono[i - lag];
+        xy += x * y; xx += x * x; yy += y * y;
+      }
+      const corr = xx && yy ? xy / Math.sqrt(xx * yy) : 0;
+      if (corr > bestCorr) { bestCorr = corr; best = lag; }
+    }
+    return best;
+  }
+
+  // Build a queue item standing in for `missing` packets
+  concealLoss(source, missing) {
+    const sampleRate = this.audioContext.sampleRate;
+    const frames = missing * (source.lastItemFrames || Math.round(sampleRate * 0.02));
+    const history = source.history;
+    const channels = history ? history.length : 1;
+    const data = new Float32Array(frames * channels);
+    if (history) {
+      const len = history[0].length;
+      const period = this.findPitchPeriod(history, sampleRate);
+      const fadeFrames = Math.max(1, Math.round(this.plcFadeSec * sampleRate));
+      const audible = Math.min(frames, fadeFrames);
+      for (let c = 0; c < channels; c++) {
+        const h = history[c];
+        for (let i = 0, k = c; i < audible; i++, k += channels) {
+          data[k] = h[len - period + (i % period)] * (1 - i / fadeFrames);
+        }
+      }
+    }
+    this.plcStats.concealedMs += frames / sampleRate * 1000;
+    return { data, channels, sampleRate, timestamp: Date.now(), captureTime: null, seq: null, concealed: true };
+  }
+
+  // ---------------- FORWARD ERROR CORRECTION ----------------
+  // With FEC on, the streamer follows every group of N packets with the XOR of their payloads (zero-padded
+  // to the longest) plus each member's length and timing. A listener missing exactly one member of a group
+  // rebuilds it byte for byte, in time for the scheduler to slot it back in before concealment kicks in.
+
+  addToParityGroup(packet) {
+    const bytes = new Uint8Array(packet.data);
+    if (!this._fecGroup) this._fecGroup = { members: [], parity: new Uint8Array(0) };
+    const group = this._fecGroup;
+    if (bytes.length > group.parity.length) {
+      const grown = new Uint8Array(bytes.length);
+      grown.set(group.parity);
+      group.parity = grown;
+    }
+    for (let i = 0; i < bytes.length; i++) group.parity[i] ^= bytes[i];
+    const { seq, sampleIndex, frameSamples, timestamp, channels, sampleRate } = packet;
+    group.members.push({ seq, length: bytes.length, sampleIndex, frameSamples, timestamp, channels, sampleRate });
+    if (group.members.length >= this.fecGroupSize) {
+      this.socket.emit('audioParity', { members: group.members, data: group.parity.buffer });
+      this._fecGroup = null;
+    }
+  }
+
+  // Keep the last 64 payloads per source for parity recovery
+  rememberFecPacket(source, streamData) {
+    const data = streamData.data;
+    let bytes = null;
+    if (data instanceof ArrayBuffer) bytes = new Uint8Array(data);
+    else if (ArrayBuffer.isView(data)) bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    if (!bytes) return;
+    const recent = source.fec.recent;
+    recent.set(streamData.seq, bytes);
+    for (const seq of recent.keys()) {
+      if (seq > streamData.seq - 64 && recent.size <= 64) break;
+      recent.delete(seq);
+    }
+    if (source.fec.parities.length) this.recoverFromParity(source);
+  }
+
+  recoverFromParity(source) {
+    const { recent } = source.fec;
+    source.fec.parities = source.fec.parities.filter(parity => {
+      const missing = parity.members.filter(m => !recent.has(m.seq));
+      if (!missing.length) return false;
+      const newest = parity.members[parity.members.length - 1].seq;
+      if (missing.length > 1) return source.highestSeq == null || source.highestSeq - newest < 64; // wait for more
+      const lost = missing[0];
+      if (source.nextSeq != null && lost.seq < source.nextSeq) return false; // its slot has already played
+
+      const parityBytes = ArrayBuffer.isView(parity.data) ?
+        new Uint8Array(parity.data.buffer, parity.data.byteOffset, parity.data.byteLength) : new Uint8Array(parity.data);
+      const out = new Uint8Array(lost.length);
+      out.set(parityBytes.subarray(0, lost.length));
+      for (const m of parity.members) {
+        if (m === lost) continue;
+        const bytes = recent.get(m.seq);
+        for (let i = 0, n = Math.min(bytes.length, out.length); i < n; i++) out[i] ^= bytes[i];
+      }
+      recent.set(lost.seq, out);
+      this.plcStats.recovered++;
+      source.lossStats.recovered++;
+      this.playAudioData({
+        sourceId: source.id,
+        codec: parity.codec,
+        seq: lost.seq,
+        sampleIndex: lost.sampleIndex,
+        frameSamples: lost.frameSamples,
+        timestamp: lost.timestamp,
+        channels: lost.channels,
+        sampleRate: lost.sampleRate,
+        data: out.buffer
+      });
+      return false;
+    });
+  }
+
+  // ---------------- DRIFT COMPENSATION ----------------
+  // The streamer's capture clock and our output clock tick at slightly different rates. Instead of letting the
+  // queue grow/starve until the scheduler snaps, estimate the drift from sampleIndex arrivals and play each
+  // source a few ppm faster or slower (AudioBufferSourceNode.playbackRate resamples).
+  resetDrift(source) {
+    source.drift = { rate: 1, base: 0, windowStart: null, windowMin: Infinity, points: [], lastIndex: null, error: 0 };
+  }
+
+  // Lateness = local output time - media time; its per-window minimum is free of network jitter,
+  // and the slope of those minimums is the clock drift (seconds per second).
+  trackDrift(source, streamData) {
+    if (typeof streamData.sampleIndex !== 'number' || !streamData.sampleRate || !this.audioContext) return;
+    if (source.drift.lastIndex != null && streamData.sampleIndex < source.drift.lastIndex) this.resetDrift(source); // stream restarted
+    const drift = source.drift;
+    drift.lastIndex = streamData.sampleIndex;
+    const local = this.audioContext.currentTime;
+    const lateness = local - streamData.sampleIndex / streamData.sampleRate;
+    if (drift.windowStart == null) drift.windowStart = local;
+    drift.windowMin = Math.min(drift.windowMin, lateness);
+    if (local - drift.windowStart < this.driftWindowSec) return;
+
+    drift.points.push({ t: local, v: drift.windowMin });
+    if (drift.points.length > this.driftWindows) drift.points.shift();
+    drift.windowStart = local;
+    drift.windowMin = Infinity;
+    if (drift.points.length < 5) return;
+
+    // least-squares slope of lateness over time
+    const n = drift.points.length;
+    const mt = drift.points.reduce((a, p) => a + p.t, 0) / n;
+    const mv = drift.points.reduce((a, p) => a + p.v, 0) / n;
+    let num = 0, den = 0;
+    for (const p of drift.points) { num += (p.t - mt) * (p.v - mv); den += (p.t - mt) * (p.t - mt); }
+    if (den > 0) drift.base = -num / den; // packets arriving later and later -> play slower
+  }
+
+  // rate = 1 + drift estimate + slow correction of the (smoothed) latency error, clamped to maxDriftPpm
+  updateDriftRate(source, errorSec) {
+    const drift = source.drift;
+    drift.error += (errorSec - drift.error) * 0.02;
+    const limit = this.maxDriftPpm / 1e6;
+    const rate = 1 + drift.base + drift.error / this.driftResponseSec;
+    drift.rate = Math.min(1 + limit, Math.max(1 - limit, rate));
+    return drift.rate;
+  }
+
+  // ---------------- LOCAL CLIP RECORDING ----------------
+  startClipRecording() {
+    if (!this.sources.size || !this.audioContext) { this.showToast('Start listening to a stream first', 'warning'); return; }
+    this.clipRecording = { chunks: [], frames: 0, sampleRate: this.audioContext.sampleRate };
+    const btn = document.getElementById('recordClipBtn');
+    if (btn) btn.innerHTML = '<i class="bi bi-stop-circle me-1"></i>Stop &amp; Save';
+    const sel = document.getElementById('clipSource');
+    if (sel) sel.disabled = true;
+    this.updateRecordTap();
+  }
+
+  stopClipRecording() {
+    const rec = this.clipRecording;
+    this.clipRecording = null;
+    const btn = document.getElementById('recordClipBtn');
+    if (btn) btn.innerHTML = '<i class="bi bi-record-circle me-1"></i>Record';
+    const sel = document.getElementById('clipSource');
+    if (sel) sel.disabled = !!this.rollingBuffer;
+    this.updateRecordTap();
+    this.updateClipStatus();
+    if (rec && rec.frames) this.downloadWAV(rec.chunks, rec.sampleRate, 'recording');
+    else this.showToast('Nothing was recorded', 'info');
+  }
+
+  toggleRollingBuffer(enabled) {
+    this.rollingBuffer = enabled ? { chunks: [], frames: 0, sampleRate: this.audioContext?.sampleRate || 48000 } : null;
+    const saveBtn = document.getElementById('saveRollingBtn');
+    if (saveBtn) saveBtn.disabled = !enabled;
+    const sel = document.getElementById('clipSource');
+    if (sel) sel.disabled = enabled || !!this.clipRecording;
+    this.updateRecordTap();
+    this.updateClipStatus();
+  }
+
+  saveRollingBuffer() {
+    const buf = this.rollingBuffer;
+    if (!buf || !buf.frames) { this.showToast('Nothing buffered yet', 'info'); return; }
+    this.downloadWAV(buf.chunks.slice(), buf.sampleRate, `last-${this.rollingSeconds}s`);
+  }
+
+  // Connect or remove the recording tap depending on whether anything needs it.
+  // 'processed' taps after EQ/effects, 'raw' taps the source mix before them.
+  async updateRecordTap() {
+    const input = this.clipSource === 'raw' ? this.mixBus : this.preGainNode;
+    const needTap = (this.clipRecording || this.rollingBuffer) && this.audioContext && input;
+    if (this.recordTapInput && this.recordTapInput !== input) {
+      try { this.recordTapInput.disconnect(this.recordTapNode); } catch (_) { }
+      this.recordTapInput = null;
+    }
+    if (!needTap) {
+      if (this.recordTapNode) { try { this.recordTapNode.disconnect(); this.recordTapInput?.disconnect(this.recordTapNode); } catch (_) { } }
+      this.recordTapInput = null;
+      if (this.recordTapSink) { try { this.recordTapSink.disconnect(); } catch (_) { } }
+      this.recordTapNode = null;
+      this.recordTapSink = null;
+      return;
+    }
+    if (!this.recordTapNode) {
+      const onChunk = (stereo) => this.appendClipFrames(stereo, 2);
+      try {
+        if (!this._recordTapModuleLoaded) {
+          await this.audioContext.audioWorklet.addModule(this.createRecordTapWorkletScript());
+          this._recordTapModuleLoaded = true;
+        }
+        if (this.recordTapNode) return; // created while awaiting
+        this.recordTapNode = new AudioWorkletNode(this.audioContext, 'record-tap', { channelCount: 2, channelCountMode: 'explicit' });
+        this.recordTapNode.port.onmessage = (ev) => onChunk(new Float32Array(ev.data));
+      } catch (_) {
+        this.recordTapNode = this.audioContext.createScriptProcessor(4096, 2, 2);
+        this.recordTapNode.onaudioprocess = (e) => {
+          const l = e.inputBuffer.getChannelData(0);
+          const r = e.inputBuffer.numberOfChannels > 1 ? e.inputBuffer.getChannelData(1) : l;
+          const out = new Float32Array(l.length * 2);
+          for (let i = 0; i < l.length; i++) { out[i * 2] = l[i]; out[i * 2 + 1] = r[i]; }
+          onChunk(out);
+        };
+      }
+      // keep the tap pulled by the graph without making it audible
+      this.recordTapSink = this.audioContext.createGain();
+      this.recordTapSink.gain.value = 0;
+      this.recordTapNode.connect(this.recordTapSink);
+      this.recordTapSink.connect(this.audioContext.destination);
+    }
+    if (this.recordTapInput !== input) {
+      try { input.connect(this.recordTapNode); this.recordTapInput = input; } catch (_) { }
+    }
+  }
+
+  createRecordTapWorkletScript() {
+    const code = `
+      class RecordTap extends AudioWorkletProcessor {
+        constructor() {
+          super();
+          this.block = new Float32Array(4096 * 2);
+          this.filled = 0;
+        }
+        process(inputs) {
+          const input = inputs[0];
+          if (!input || !input[0]) return true;
+          const l = input[0];
+          const r = input[1] || input[0];
+          for (let i = 0; i < l.length; i++) {
+            this.block[this.filled * 2] = l[i];
+            this.block[this.filled * 2 + 1] = r[i];
+            if (++this.filled === 4096) {
+              this.port.postMessage(this.block.buffer, [this.block.buffer]);
+              this.block = new Float32Array(4096 * 2);
+              this.filled = 0;
+            }
+          }
+          return true;
+        }
+      }
+      registerProcessor('record-tap', RecordTap);
+    `;
+    return URL.createObjectURL(new Blob([code], { type: 'application/javascript' }));
+  }
+
+  // Append interleaved frames (any channel count) as stereo to the active recording and rolling buffer
+  appendClipFrames(data, channels) {
+    if (!this.clipRecording && !this.rollingBuffer) return;
+    let stereo = data;
+    if (channels !== 2) {
+      const frames = Math.floor(data.length / channels);
+      stereo = new Float32Array(frames * 2);
+      for (let i = 0; i < frames; i++) {
+        stereo[i * 2] = data[i * channels];
+        stereo[i * 2 + 1] = data[i * channels + Math.min(1, channels - 1)];
+      }
+    }
+    const frames = stereo.length / 2;
+    if (this.clipRecording) {
+      this.clipRecording.chunks.push(stereo);
+      this.clipRecording.frames += frames;
+    }
+    if (this.rollingBuffer) {
+      const buf = this.rollingBuffer;
+      if (!buf.frames && this.audioContext) buf.sampleRate = this.audioContext.sampleRate;
+      buf.chunks.push(stereo);
+      buf.frames += frames;
+      const maxFrames = buf.sampleRate * this.rollingSeconds;
+      while (buf.chunks.length > 1 && buf.frames - buf.chunks[0].length / 2 >= maxFrames) {
+        buf.frames -= buf.chunks.shift().length / 2;
+      }
+    }
+    this.updateClipStatus();
+  }
+
+  updateClipStatus() {
+    const el = document.getElementById('clipStatus');
+    if (!el) return;
+    const parts = [];
+    if (this.clipRecording) parts.push(`Recording ${(this.clipRecording.frames / this.clipRecording.sampleRate).toFixed(1)} s`);
+    if (this.rollingBuffer) parts.push(`Buffered ${Math.min(this.rollingSeconds, this.rollingBuffer.frames / this.rollingBuffer.sampleRate).toFixed(0)} s`);
+    el.textContent = parts.join(' • ');
+  }
+
+  downloadWAV(chunks, sampleRate, label) {
+    const frames = chunks.reduce((acc, c) => acc + c.length / 2, 0);
+    const buffer = new ArrayBuffer(44 + frames * 4);
+    const view = new DataView(buffer);
+    const writeStr = (o, str) => { for (let i = 0; i < str.length; i++) view.setUint8(o + i, str.charCodeAt(i)); };
+    writeStr(0, 'RIFF'); view.setUint32(4, 36 + frames * 4, true); writeStr(8, 'WAVE');
+    writeStr(12, 'fmt '); view.setUint32(16, 16, true); view.setUint16(20, 1, true); view.setUint16(22, 2, true);
+    view.setUint32(24, sampleRate, true); view.setUint32(28, sampleRate * 4, true); view.setUint16(32, 4, true); view.setUint16(34, 16, true);
+    writeStr(36, 'data'); view.setUint32(40, frames * 4, true);
+    let o = 44;
+    for (const chunk of chunks) {
+      for (let i = 0; i < chunk.length; i++, o += 2) {
+        const v = isFinite(chunk[i]) ? Math.max(-1, Math.min(1, chunk[i])) : 0;
+        view.setInt16(o, v < 0 ? v * 0x8000 : v * 0x7fff, true);
+      }
+    }
+    const url = URL.createObjectURL(new Blob([buffer], { type: 'audio/wav' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `audio-transfer-${label}-${new Date().toISOString().replace(/[:.]/g, '-')}.wav`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+    this.showToast(`Saved ${(frames / sampleRate).toFixed(1)} s clip`, 'success');
+  }
+
+  // ---------------- SERVER RECORDING ----------------
+  // Recording is controlled over the socket, so the server knows it is the streamer asking
+  toggleServerRecording() {
+    if (!this.isStreaming || !this.socket) return;
+    this.socket.emit(this.isServerRecording ? 'stopRecording' : 'startRecording', { format: 'wav' });
+  }
+
+  // Opus can't be decoded on the server, so say so up front instead of failing after the click
+  syncServerRecordButton(codec) {
+    const recordable = SERVER_DECODABLE_CODECS.includes(codec);
+    const btn = document.getElementById('serverRecordBtn');
+    if (btn) btn.disabled = !recordable;
+    const hint = document.getElementById('serverRecordHint');
+    if (hint) {
+      hint.textContent = recordable ? '' : `Server recording needs ADPCM or PCM; this stream uses ${codec}. Pick one under Audio Codec and restart the stream.`;
+      hint.classList.toggle('d-none', recordable);
+    }
+  }
+
+  showRecordingLink({ file, key }) {
+    const row = document.getElementById('recordingLinkRow');
+    const link = document.getElementById('recordingLink');
+    if (link) {
+      link.href = `/api/recordings/${encodeURIComponent(file)}${key ? `?key=${encodeURIComponent(key)}` : ''}`;
+      link.textContent = file;
+    }
+    row?.classList.remove('d-none');
+    this.showToast(`Saved ${file}`, 'success');
+  }
+
+  updateRecordingUI(recording) {
+    this.isServerRecording = recording;
+    document.getElementById('recIndicator')?.classList.toggle('d-none', !recording);
+    const btn = document.getElementById('serverRecordBtn');
+    if (btn) btn.innerHTML = recording ? '<i class="bi bi-stop-circle me-1"></i>Stop recording' : '<i class="bi bi-record-circle me-1"></i>Record on server';
+  }
+
+  // ---------------- LISTENER MANAGEMENT (streamer side) ----------------
+  renderListenerPanel() {
+    const panel = document.getElementById('listenerPanel');
+    const listEl = document.getElementById('listenerList');
+    const countEl = document.getElementById('listenerPanelCount');
+    if (!panel || !listEl) return;
+    panel.classList.toggle('d-none', !this.isStreaming);
+    if (countEl) countEl.textContent = this.listeners.size;
+    const connected = document.getElementById('connectedCount');
+    if (connected) connected.textContent = this.listeners.size;
+
+    listEl.innerHTML = '';
+    if (!this.listeners.size) {
+      listEl.innerHTML = '<small class="text-muted">No one is listening yet</small>';
+      return;
+    }
+    for (const l of this.listeners.values()) {
+      const row = document.createElement('div');
+      row.className = 'd-flex align-items-center justify-content-between py-2 border-bottom';
+      const since = l.joinedAt ? new Date(l.joinedAt).toLocaleTimeString() : '';
+      const left = document.createElement('div');
+      const p2p = this.peerConnections.get(l.listenerId)?.connectionState === 'connected';
+      left.innerHTML = `<div><span class="fw-semibold"></span>${p2p ? ' <span class="badge bg-success">P2P</span>' : ''}</div><div class="text-muted small">${l.listenerIp || ''}${since ? ` • since ${since}` : ''}</div>`;
+      left.querySelector('.fw-semibold').textContent = l.listenerName || l.listenerId;
+      const right = document.createElement('div');
+      right.className = 'd-flex gap-2';
+      const kick = document.createElement('button');
+      kick.className = 'btn btn-sm btn-outline-warning';
+      kick.textContent = 'Kick';
+      kick.addEventListener('click', () => this.socket.emit('kickListener', l.listenerId));
+      const ban = document.createElement('button');
+      ban.className = 'btn btn-sm btn-outline-danger';
+      ban.textContent = 'Ban';
+      ban.addEventListener('click', () => {
+        if (window.confirm(`Ban ${l.listenerName || 'this listener'} for the rest of this stream?`)) this.socket.emit('banListener', l.listenerId);
+      });
+      right.appendChild(kick);
+      right.appendChild(ban);
+      row.appendChild(left);
+      row.appendChild(right);
+      listEl.appendChild(row);
+    }
+  }
+
   // ---------------- DEVICE UI (compact rows) ----------------
   updateDeviceList(devices) {
     const listEl = document.getElementById('deviceList');
     const countEl = document.getElementById('onlineDeviceCount');
     if (!listEl) return;
-    // Preserve current listening source to restore button labels without user-visible flicker
-    const currentListening = this.listeningToSource;
     listEl.innerHTML = '';
     let online = 0;
     devices.forEach(d => {
       const row = document.createElement('div');
       row.className = 'd-flex align-items-center justify-content-between py-2 border-bottom';
+      // names and addresses may come from a linked server: only ever set them as text
       const left = document.createElement('div');
-      left.innerHTML = `<div class="fw-semibold">${d.name || d.id}</div><div class="text-muted small">${d.ip || ''}</div>`;
+      left.innerHTML = `
+        <div class="fw-semibold"><i class="bi d-none me-1" data-role="icon"></i><span data-role="name"></span><i class="bi bi-lock-fill ms-1 text-warning d-none" data-role="lock" title="Protected stream"></i> <span class="badge bg-danger d-none" data-role="rec">REC</span></div>
+        <div class="text-muted small" data-role="address"></div>`;
+      const icons = { desktop: 'bi-pc-display', mobile: 'bi-phone', tablet: 'bi-tablet', mix: 'bi-sliders' };
+      if (Object.hasOwn(icons, d.deviceType)) left.querySelector('[data-role="icon"]').classList.replace('d-none', icons[d.deviceType]);
+      left.querySelector('[data-role="name"]').textContent = d.name || d.id;
+      left.querySelector('[data-role="lock"]').classList.toggle('d-none', !(d.isProtected || d.inviteOnly));
+      left.querySelector('[data-role="rec"]').classList.toggle('d-none', !d.isRecording);
+      left.querySelector('[data-role="address"]').textContent = `${d.ip || ''}${d.origin ? ` • via ${d.origin}` : ''}`;
+      if (d.excludedInputs?.length) {
+        const note = document.createElement('div');
+        note.className = 'small text-warning';
+        note.textContent = `Not in the mix: ${d.excludedInputs.map(i => `${i.name} (${i.reason})`).join(', ')}`;
+        left.appendChild(note);
+      }
       const right = document.createElement('div');
 
       if (d.isStreaming) {
         online++;
         const btn = document.createElement('button');
         btn.className = 'btn btn-sm btn-outline-primary';
-        btn.innerHTML = (currentListening === d.id && this.isListening) ? 'Stop' : '<i class="bi bi-headphones me-1"></i>Listen';
+        btn.innerHTML = this.sources.has(d.id) ? 'Stop' : '<i class="bi bi-headphones me-1"></i>Listen';
         btn.dataset.id = d.id;
         btn.addEventListener('click', () => {
-          if (this.isListening && this.listeningToSource === d.id) {
-            this.stopListening();
+          if (this.sources.has(d.id)) {
+            this.stopListening(d.id);
             btn.innerHTML = '<i class="bi bi-headphones me-1"></i>Listen';
-          } else {
-            this.startListening(d.id);
+          } else if (this.requestListen(d)) {
             btn.innerHTML = 'Stop';
           }
         });
@@ -1140,45 +5131,41 @@ class AudioTransferApp {
 
   connectToDevice(deviceId) { this.startListening(deviceId); }
 
-  updateListeningUI(sourceName) {
+  updateListeningUI() {
     let listenStatus = document.getElementById('listenStatus');
     if (!listenStatus) {
       const playCard = document.querySelector('#play .card-body') || document.body;
       const html = `
         <div class="alert alert-info mb-3" id="listenStatus">
-          LISTENING TO: <strong id="listenSourceName">${sourceName}</strong>
-          <button class="btn btn-sm btn-outline-info float-end" id="stopListenBtn">Stop</button>
+          LISTENING TO: <strong id="listenSourceName"></strong>
+          <button class="btn btn-sm btn-outline-info float-end" id="stopListenBtn">Stop all</button>
           <div class="mt-2">Packets received: <span id="packetCount">0</span></div>
+          <div class="mt-2" id="sourceMixer"></div>
         </div>`;
       playCard.insertAdjacentHTML('afterbegin', html);
       document.getElementById('stopListenBtn').addEventListener('click', () => this.stopListening());
     } else {
-      const nameEl = document.getElementById('listenSourceName');
-      if (nameEl) nameEl.textContent = sourceName;
       listenStatus.classList.remove('d-none');
     }
+    const nameEl = document.getElementById('listenSourceName');
+    if (nameEl) nameEl.textContent = Array.from(this.sources.values()).map(s => s.name).join(', ');
+    this.renderSourceMixer();
     const serverStatus = document.getElementById('serverStatus');
     if (serverStatus) { serverStatus.textContent = 'LISTENING'; serverStatus.className = 'badge bg-info'; }
   }
 
-  manualConnect() {
+  // unlink: remove the link to that server instead of creating it
+  manualConnect(unlink = false) {
     const manualIP = document.getElementById('manualIP')?.value?.trim();
     if (!manualIP) { this.showToast('Enter IP:PORT', 'warning'); return; }
     const [ip, port] = manualIP.split(':');
-    this.socket.emit('manualConnect', { ip, port: port ? parseInt(port) : 3001 });
+    this.socket.emit(unlink ? 'unlinkServer' : 'manualConnect', { ip, port: port ? parseInt(port) : 3001 });
   }
 
-  setupMediaSession(sourceId) {
+  setupMediaSession() {
     // Tell browser we're playing media to prevent disconnection
     if ('mediaSession' in navigator) {
-      navigator.mediaSession.metadata = new MediaMetadata({
-        title: 'Audio Transfer - Live Stream',
-        artist: `Source: ${sourceId || 'Unknown'}`,
-        album: 'Real-time Audio',
-        artwork: [
-          { src: 'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.1/icons/broadcast.svg', sizes: '96x96', type: 'image/svg+xml' }
-        ]
-      });
+      this.updateMediaSessionMetadata();
       navigator.mediaSession.playbackState = 'playing';
       navigator.mediaSession.setActionHandler('play', () => {});
       navigator.mediaSession.setActionHandler('pause', () => {});
@@ -1200,6 +5187,20 @@ class AudioTransferApp {
     });
   }
 
+  // Shows the streamer's metadata in the OS media controls. Without a title the status takes its place,
+  // otherwise the status stands in for a missing album.
+  updateMediaSessionMetadata() {
+    if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+    const source = this.nowPlayingSource();
+    const track = source?.nowPlaying;
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: track?.title || track?.status || 'Audio Transfer - Live Stream',
+      artist: track?.artist || source?.name || 'Connecting…',
+      album: track?.album || (track?.title && track.status) || 'Real-time Audio',
+      artwork: source?.artworkUrl ? [{ src: source.artworkUrl, type: source.nowPlaying.artwork.type }] : MEDIA_SESSION_ARTWORK
+    });
+  }
+
   filterDevices(q) {
     const query = (q || '').trim().toLowerCase();
     document.querySelectorAll('#deviceList > div').forEach(card => {
@@ -1208,7 +5209,28 @@ class AudioTransferApp {
     });
   }
 
+  setDeviceName(name) {
+    const trimmed = (name || '').trim().substring(0, 50);
+    if (!trimmed) {
+      try { localStorage.removeItem('audioTransfer.deviceName'); } catch (_) { }
+      this.getDeviceName().then(fallback => {
+        const input = document.getElementById('deviceName');
+        if (input) input.value = fallback;
+        if (this.socket) this.socket.emit('setDeviceName', fallback);
+      });
+      return;
+    }
+    try { localStorage.setItem('audioTransfer.deviceName', trimmed); } catch (_) { }
+    if (this.socket) this.socket.emit('setDeviceName', trimmed);
+  }
+
+  getStoredDeviceName() {
+    try { return localStorage.getItem('audioTransfer.deviceName') || null; } catch (_) { return null; }
+  }
+
   async getDeviceName() {
+    const stored = this.getStoredDeviceName();
+    if (stored) return stored;
     try {
       const ua = navigator.userAgent || '';
       if (ua.includes('Windows')) return 'Windows PC';
@@ -0,0 +1,226 @@
+import { performance } from 'perf_hooks';
+import { decodePacketToInt16, conformSamples, RECORDABLE_CODECS } from './recording.js';
+
+// Device id the mix is advertised under in the device list
+export const ROOM_MIX_ID = 'room-mix';
+
+// The mix has to decode its inputs, so it accepts the same codecs as recording
+export const MIXABLE_CODECS = RECORDABLE_CODECS;
+
+const MIX_SAMPLE_RATE = 48000;
+const MIX_CHANNELS = 2;
+const MIX_FRAME_SAMPLES = 960; // 20 ms packets, same as the clients send
+const PRIME_FRAMES = MIX_FRAME_SAMPLES * 3; // buffer 60 ms of an input before mixing it in
+const MAX_BUFFER_FRAMES = MIX_SAMPLE_RATE / 4; // drop the oldest audio once an input is 250 ms behind
+const INPUT_TIMEOUT_MS = 2000; // forget inputs that stopped sending
+const MAX_GAIN = 4;
+const LIMIT_THRESHOLD = 0.8; // soft limiting starts here and approaches full scale asymptotically
+
+function softLimit(v) {
+    const a = Math.abs(v);
+    if (a <= LIMIT_THRESHOLD) return v;
+    const knee = 1 - LIMIT_THRESHOLD;
+    return Math.sign(v) * (LIMIT_THRESHOLD + knee * Math.tanh((a - LIMIT_THRESHOLD) / knee));
+}
+
+/**
+ * Mixes several streamers into one virtual "room mix" stream.
+ * Inputs are decoded, conformed to 48 kHz stereo and buffered per source; a clocked loop then
+ * sums one 20 ms frame from every primed input (with its gain), soft-limits it and hands the
+ * result to onPacket as a regular pcm16 audioStream payload.
+ */
+export class RoomMixer {
+    constructor({ onPacket }) {
+        this.onPacket = onPacket;
+        this.enabled = false;
+        this.name = 'Room Mix';
+        this.includeAll = true; // mix every eligible streamer, not only the listed inputs
+        this.gains = new Map(); // sourceId -> gain; with includeAll off this is also the membership list
+        this.inputs = new Map(); // sourceId -> { chunks, frames, primed, lastPacketAt, lastSeq }
+        this.timer = null;
+        this.enabledAt = null;
+        this.seq = 0;
+    }
+
+    // Returns an error message, or null when the config was applied
+    configure(config) {
+        if (!config || typeof config !== 'object') return 'Invalid mix config';
+        const { enabled, name, includeAll, inputs } = config;
+
+        if (enabled !== undefined && typeof enabled !== 'boolean') return 'enabled must be a boolean';
+        if (includeAll !== undefined && typeof includeAll !== 'boolean') return 'includeAll must be a boolean';
+        if (name !== undefined && (typeof name !== 'string' || !name.trim())) return 'name must be a non-empty string';
+
+        let gains = null;
+        if (inputs !== undefined) {
+            if (!Array.isArray(inputs)) return 'inputs must be an array of { sourceId, gain }';
+            gains = new Map();
+            for (const input of inputs) {
+                if (!input || typeof input.sourceId !== 'string' || !input.sourceId) return 'Each input needs a sourceId';
+                const gain = input.gain === undefined ? 1 : input.gain;
+                if (typeof gain !== 'number' || !Number.isFinite(gain) || gain < 0 || gain > MAX_GAIN) {
+                    return `gain must be between 0 and ${MAX_GAIN}`;
+                }
+                gains.set(input.sourceId, gain);
+            }
+        }
+
+        if (name !== undefined) this.name = name.trim().substring(0, 50);
+        if (includeAll !== undefined) this.includeAll = includeAll;
+        if (gains) {
+            this.gains = gains;
+            for (const sourceId of this.inputs.keys()) {
+                if (!this.isMember(sourceId)) this.inputs.delete(sourceId);
+            }
+        }
+        if (enabled === true) this.start();
+        if (enabled === false) this.stop();
+        return null;
+    }
+
+    isMember(sourceId) {
+        return this.includeAll || this.gains.has(sourceId);
+    }
+
+    gainFor(sourceId) {
+        return this.gains.has(sourceId) ? this.gains.get(sourceId) : 1;
+    }
+
+    // Feed one relayed audioStream payload; ignored unless the source is part of the mix
+    write(packet) {
+        if (!this.enabled || !this.isMember(packet.sourceId)) return;
+        if (!MIXABLE_CODECS.includes(packet.codec || 'f32')) return;
+
+        const channels = packet.channels || 1;
+        const samples = decodePacketToInt16(packet.codec || 'f32', packet.data, channels, packet.frameSamples);
+        if (!samples || !samples.length) return;
+        const conformed = conformSamples(samples, channels, packet.sampleRate || 48000, MIX_CHANNELS, MIX_SAMPLE_RATE);
+
+        let input = this.inputs.get(packet.sourceId);
+        if (!input) {
+            input = { chunks: [], frames: 0, primed: false, lastPacketAt: 0, lastSeq: null };
+            this.inputs.set(packet.sourceId, input);
+        }
+
+        // Like the recorder: lost packets become silence so the input keeps its place against the others,
+        // late ones are dropped since their slot is gone. Gaps longer than the buffer are a restart.
+        if (typeof packet.seq === 'number') {
+            if (input.lastSeq != null) {
+                const gap = packet.seq - input.lastSeq - 1;
+                if (gap < 0 && gap > -1000) return;
+                const frameSamples = packet.frameSamples || Math.floor(samples.length / channels);
+                const gapFrames = Math.round(gap * frameSamples * MIX_SAMPLE_RATE / (packet.sampleRate || 48000));
+                if (gap > 0 && gapFrames <= MAX_BUFFER_FRAMES) {
+                    input.chunks.push(new Int16Array(gapFrames * MIX_CHANNELS));
+                    input.frames += gapFrames;
+                }
+            }
+            input.lastSeq = packet.seq;
+        }
+
+        input.chunks.push(conformed);
+        input.frames += conformed.length / MIX_CHANNELS;
+        input.lastPacketAt = Date.now();
+
+        while (input.frames > MAX_BUFFER_FRAMES && input.chunks.length > 1) {
+            input.frames -= input.chunks.shift().length / MIX_CHANNELS;
+        }
+        if (input.frames >= PRIME_FRAMES) input.primed = true;
+    }
+
+    removeInput(sourceId) {
+        this.inputs.delete(sourceId);
+        this.gains.delete(sourceId);
+    }
+
+    start() {
+        if (this.enabled) return;
+        this.enabled = true;
+        this.enabledAt = new Date();
+        this.clockStart = performance.now();
+        this.framesProduced = 0;
+        this.timer = setInterval(() => this.tick(), 10);
+    }
+
+    stop() {
+        if (!this.enabled) return;
+        this.enabled = false;
+        this.enabledAt = null;
+        clearInterval(this.timer);
+        this.timer = null;
+        this.inputs.clear();
+    }
+
+    // Emit as many frames as wall-clock time says are due, so timer jitter doesn't change the pace
+    tick() {
+        const due = Math.floor((performance.now() - this.clockStart) / 1000 * MIX_SAMPLE_RATE);
+        if (due - this.framesProduced > MIX_SAMPLE_RATE / 5) {
+            // the event loop stalled: skip ahead instead of bursting out the backlog
+            this.framesProduced = due - MIX_FRAME_SAMPLES;
+        }
+        while (due - this.framesProduced >= MIX_FRAME_SAMPLES) {
+            this.mixFrame();
+            this.framesProduced += MIX_FRAME_SAMPLES;
+        }
+    }
+
+    mixFrame() {
+        const now = Date.now();
+        const sum = new Float32Array(MIX_FRAME_SAMPLES * MIX_CHANNELS);
+        for (const [sourceId, input] of this.inputs.entries()) {
+            if (now - input.lastPacketAt > INPUT_TIMEOUT_MS) {
+                this.inputs.delete(sourceId);
+                continue;
+            }
+            if (!input.primed) continue;
+            const gain = this.gainFor(sourceId) / 32768;
+            let offset = 0;
+            while (offset < sum.length && input.chunks.length) {
+                const chunk = input.chunks[0];
+                const take = Math.min(chunk.length, sum.length - offset);
+                for (let i = 0; i < take; i++) sum[offset + i] += chunk[i] * gain;
+                offset += take;
+                if (take === chunk.length) input.chunks.shift();
+                else input.chunks[0] = chunk.subarray(take);
+                input.frames -= take / MIX_CHANNELS;
+            }
+            // ran dry: wait for a fresh cushion instead of stuttering packet by packet
+            if (offset < sum.length) input.primed = false;
+        }
+
+        const out = new Int16Array(sum.length);
+        for (let i = 0; i < sum.length; i++) {
+            const v = softLimit(sum[i]);
+            out[i] = v < 0 ? v * 0x8000 : v * 0x7fff;
+        }
+
+        this.onPacket({
+            sourceId: ROOM_MIX_ID,
+            sourceName: this.name,
+            timestamp: now,
+            quality: 'high',
+            codec: 'pcm16',
+            channel: 0,
+            seq: this.seq,
+            sampleIndex: this.seq * MIX_FRAME_SAMPLES,
+            frameSamples: MIX_FRAME_SAMPLES,
+            channels: MIX_CHANNELS,
+            sampleRate: MIX_SAMPLE_RATE,
+            data: out.buffer
+        });
+        this.seq++;
+    }
+
+    describe() {
+        return {
+            id: ROOM_MIX_ID,
+            enabled: this.enabled,
+            name: this.name,
+            includeAll: this.includeAll,
+            sampleRate: MIX_SAMPLE_RATE,
+            channels: MIX_CHANNELS,
+            codec: 'pcm16',
+            enabledAt: this.enabledAt
+        };
+    }
+}
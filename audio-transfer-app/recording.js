@@ -0,0 +1,489 @@
+import { createWriteStream, promises as fsp } from 'fs';
+
+// IMA-ADPCM tables (same packet layout as the client's encodeADPCM())
+const IMA_INDEX_TABLE = [-1, -1, -1, -1, 2, 4, 6, 8, -1, -1, -1, -1, 2, 4, 6, 8];
+const IMA_STEP_TABLE = [
+    7, 8, 9, 10, 11, 12, 13, 14, 16, 17, 19, 21, 23, 25, 28, 31, 34, 37, 41, 45,
+    50, 55, 60, 66, 73, 80, 88, 97, 107, 118, 130, 143, 157, 173, 190, 209, 230, 253, 279, 307,
+    337, 371, 408, 449, 494, 544, 598, 658, 724, 796, 876, 963, 1060, 1166, 1282, 1411, 1552, 1707, 1878, 2066,
+    2272, 2499, 2749, 3024, 3327, 3660, 4026, 4428, 4871, 5358, 5894, 6484, 7132, 7845, 8630, 9493, 10442, 11487, 12635, 13899,
+    15289, 16818, 18500, 20350, 22385, 24623, 27086, 29794, 32767
+];
+
+// Codecs the server can turn back into PCM. Opus would need a native decoder.
+export const RECORDABLE_CODECS = ['f32', 'pcm16', 'adpcm', 'silence'];
+export const RECORDING_FORMATS = ['wav', 'flac'];
+
+// Longest gap (in seconds) that is filled with silence; bigger jumps are treated as a restart
+const MAX_GAP_FILL_SECONDS = 10;
+
+/**
+ * Decode one relayed audio packet to interleaved Int16 samples.
+ * Returns null for codecs the server cannot decode.
+ */
+export function decodePacketToInt16(codec, buffer, channels, frameSamples) {
+    // muted / no-voice marker from the streamer: no payload, just the length it stands for
+    if (codec === 'silence') {
+        return new Int16Array((frameSamples || 0) * channels);
+    }
+
+    if (codec === 'pcm16') {
+        return new Int16Array(buffer.slice(0, buffer.byteLength - (buffer.byteLength % 2)));
+    }
+
+    if (codec === 'f32') {
+        const f32 = new Float32Array(buffer, 0, Math.floor(buffer.byteLength / 4));
+        const out = new Int16Array(f32.length);
+        for (let i = 0; i < f32.length; i++) {
+            const v = Number.isFinite(f32[i]) ? Math.max(-1, Math.min(1, f32[i])) : 0;
+            out[i] = v < 0 ? v * 0x8000 : v * 0x7fff;
+        }
+        return out;
+    }
+
+    if (codec === 'adpcm') {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        const bytesPerChannel = Math.floor((bytes.length - channels * 4) / channels);
+        if (bytesPerChannel <= 0) return new Int16Array(0);
+        const n = Math.min(frameSamples || bytesPerChannel * 2, bytesPerChannel * 2);
+        const out = new Int16Array(n * channels);
+        for (let c = 0; c < channels; c++) {
+            let predictor = view.getInt16(c * 4, true);
+            let index = Math.min(88, view.getUint8(c * 4 + 2));
+            const base = channels * 4 + c * bytesPerChannel;
+            for (let i = 0; i < n; i++) {
+                const b = bytes[base + (i >> 1)];
+                const nibble = (i & 1) ? b >> 4 : b & 0x0f;
+                const step = IMA_STEP_TABLE[index];
+                let delta = step >> 3;
+                if (nibble & 4) delta += step;
+                if (nibble & 2) delta += step >> 1;
+                if (nibble & 1) delta += step >> 2;
+                predictor = Math.max(-32768, Math.min(32767, predictor + (nibble & 8 ? -delta : delta)));
+                index = Math.max(0, Math.min(88, index + IMA_INDEX_TABLE[nibble]));
+                out[i * channels + c] = predictor;
+            }
+        }
+        return out;
+    }
+
+    return null;
+}
+
+// Convert interleaved Int16 between channel layouts and (linearly) between sample rates
+export function conformSamples(samples, channels, sampleRate, targetChannels, targetRate) {
+    let data = samples;
+    let ch = channels;
+
+    if (ch !== targetChannels) {
+        const frames = Math.floor(data.length / ch);
+        const out = new Int16Array(frames * targetChannels);
+        for (let i = 0; i < frames; i++) {
+            if (targetChannels === 1) {
+                let sum = 0;
+                for (let c = 0; c < ch; c++) sum += data[i * ch + c];
+                out[i] = Math.round(sum / ch);
+            } else {
+                for (let c = 0; c < targetChannels; c++) out[i * targetChannels + c] = data[i * ch + Math.min(c, ch - 1)];
+            }
+        }
+        data = out;
+        ch = targetChannels;
+    }
+
+    if (sampleRate !== targetRate) {
+        const frames = Math.floor(data.length / ch);
+        const outFrames = Math.round(frames * targetRate / sampleRate);
+        const out = new Int16Array(outFrames * ch);
+        const ratio = sampleRate / targetRate;
+        for (let i = 0; i < outFrames; i++) {
+            const pos = i * ratio;
+            const i0 = Math.min(frames - 1, Math.floor(pos));
+            const i1 = Math.min(frames - 1, i0 + 1);
+            const frac = pos - i0;
+            for (let c = 0; c < ch; c++) {
+                out[i * ch + c] = Math.round(data[i0 * ch + c] * (1 - frac) + data[i1 * ch + c] * frac);
+            }
+        }
+        data = out;
+    }
+
+    return data;
+}
+
+class WavWriter {
+    constructor(path, sampleRate, channels, onError) {
+        this.path = path;
+        this.sampleRate = sampleRate;
+        this.channels = channels;
+        this.dataBytes = 0;
+        this.stream = createWriteStream(path);
+        this.stream.on('error', onError);
+        this.stream.write(this.header(0));
+    }
+
+    header(dataBytes) {
+        const buf = Buffer.alloc(44);
+        buf.write('RIFF', 0);
+        buf.writeUInt32LE(36 + dataBytes, 4);
+        buf.write('WAVE', 8);
+        buf.write('fmt ', 12);
+        buf.writeUInt32LE(16, 16);
+        buf.writeUInt16LE(1, 20); // PCM
+        buf.writeUInt16LE(this.channels, 22);
+        buf.writeUInt32LE(this.sampleRate, 24);
+        buf.writeUInt32LE(this.sampleRate * this.channels * 2, 28);
+        buf.writeUInt16LE(this.channels * 2, 32);
+        buf.writeUInt16LE(16, 34);
+        buf.write('data', 36);
+        buf.writeUInt32LE(dataBytes, 40);
+        return buf;
+    }
+
+    write(samples) {
+        const buf = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+        this.stream.write(Buffer.from(buf)); // copy: the caller may reuse the array
+        this.dataBytes += buf.length;
+    }
+
+    async close() {
+        await new Promise((resolve) => this.stream.end(resolve));
+        const handle = await fsp.open(this.path, 'r+');
+        try {
+            await handle.write(this.header(this.dataBytes), 0, 44, 0);
+        } finally {
+            await handle.close();
+        }
+    }
+}
+
+class BitWriter {
+    constructor(size = 8192) {
+        this.bytes = new Uint8Array(size);
+        this.pos = 0; // bytes written
+        this.acc = 0; // pending bits
+        this.accBits = 0;
+    }
+
+    ensure(extra) {
+        if (this.pos + extra < this.bytes.length) return;
+        const next = new Uint8Array(Math.max(this.bytes.length * 2, this.pos + extra + 1));
+        next.set(this.bytes.subarray(0, this.pos));
+        this.bytes = next;
+    }
+
+    write(value, bits) {
+        // split wide values so the accumulator never exceeds 32 bits
+        if (bits > 24) {
+            this.write(Math.floor(value / 0x1000000) & ((1 << (bits - 24)) - 1), bits - 24);
+            this.write(value & 0xffffff, 24);
+            return;
+        }
+        this.ensure(4);
+        this.acc = ((this.acc << bits) | (value & ((1 << bits) - 1))) >>> 0;
+        this.accBits += bits;
+        while (this.accBits >= 8) {
+            this.accBits -= 8;
+            this.bytes[this.pos++] = (this.acc >>> this.accBits) & 0xff;
+        }
+        this.acc &= (1 << this.accBits) - 1;
+    }
+
+    writeUnary(zeros) {
+        while (zeros >= 16) { this.write(0, 16); zeros -= 16; }
+        this.write(1, zeros + 1);
+    }
+
+    alignToByte() {
+        if (this.accBits) this.write(0, 8 - this.accBits);
+    }
+
+    toBuffer() {
+        return Buffer.from(this.bytes.subarray(0, this.pos));
+    }
+}
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+    let c8 = i;
+    let c16 = i << 8;
+    for (let b = 0; b < 8; b++) {
+        c8 = (c8 & 0x80 ? (c8 << 1) ^ 0x07 : c8 << 1) & 0xff;
+        c16 = (c16 & 0x8000 ? (c16 << 1) ^ 0x8005 : c16 << 1) & 0xffff;
+    }
+    CRC8_TABLE[i] = c8;
+    CRC16_TABLE[i] = c16;
+}
+
+function crc8(bytes) {
+    let crc = 0;
+    for (const b of bytes) crc = CRC8_TABLE[crc ^ b];
+    return crc;
+}
+
+function crc16(bytes) {
+    let crc = 0;
+    for (const b of bytes) crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >> 8) ^ b];
+    return crc;
+}
+
+const FLAC_SAMPLE_RATE_CODES = {
+    88200: 0x1, 176400: 0x2, 192000: 0x3, 8000: 0x4, 16000: 0x5, 22050: 0x6,
+    24000: 0x7, 32000: 0x8, 44100: 0x9, 48000: 0xa, 96000: 0xb
+};
+
+// Minimal 16-bit FLAC encoder: fixed block size, FIXED predictors (order 0-4) with Rice-coded residuals
+class FlacWriter {
+    constructor(path, sampleRate, channels, onError) {
+        this.path = path;
+        this.sampleRate = sampleRate;
+        this.channels = channels;
+        this.blockSize = 4096;
+        this.pending = new Int16Array(this.blockSize * channels);
+        this.pendingFrames = 0;
+        this.frameNumber = 0;
+        this.totalSamples = 0;
+        this.minFrameSize = 0;
+        this.maxFrameSize = 0;
+        this.stream = createWriteStream(path);
+        this.stream.on('error', onError);
+        this.stream.write(this.header());
+    }
+
+    header() {
+        const bw = new BitWriter(42);
+        bw.write(0x664c6143, 32); // "fLaC"
+        bw.write(1, 1); // last metadata block
+        bw.write(0, 7); // STREAMINFO
+        bw.write(34, 24);
+        bw.write(this.blockSize, 16);
+        bw.write(this.blockSize, 16);
+        bw.write(this.minFrameSize, 24);
+        bw.write(this.maxFrameSize, 24);
+        bw.write(this.sampleRate, 20);
+        bw.write(this.channels - 1, 3);
+        bw.write(15, 5); // 16 bits per sample
+        bw.write(Math.floor(this.totalSamples / 0x100000000), 4);
+        bw.write(this.totalSamples >>> 0, 32);
+        for (let i = 0; i < 4; i++) bw.write(0, 32); // MD5 unknown
+        return bw.toBuffer();
+    }
+
+    write(samples) {
+        let offset = 0;
+        const frames = Math.floor(samples.length / this.channels);
+        while (offset < frames) {
+            const take = Math.min(this.blockSize - this.pendingFrames, frames - offset);
+            this.pending.set(samples.subarray(offset * this.channels, (offset + take) * this.channels), this.pendingFrames * this.channels);
+            this.pendingFrames += take;
+            offset += take;
+            if (this.pendingFrames === this.blockSize) this.flushBlock();
+        }
+    }
+
+    flushBlock() {
+        if (!this.pendingFrames) return;
+        const frame = this.encodeFrame(this.pending, this.pendingFrames);
+        this.stream.write(frame);
+        this.minFrameSize = this.minFrameSize ? Math.min(this.minFrameSize, frame.length) : frame.length;
+        this.maxFrameSize = Math.max(this.maxFrameSize, frame.length);
+        this.totalSamples += this.pendingFrames;
+        this.frameNumber++;
+        this.pendingFrames = 0;
+    }
+
+    encodeFrame(interleaved, frames) {
+        const bw = new BitWriter(frames * this.channels * 2 + 64);
+        bw.write(0xfff8, 16); // sync code, fixed block size
+        bw.write(0x7, 4); // block size: 16-bit (n-1) follows the header
+        bw.write(FLAC_SAMPLE_RATE_CODES[this.sampleRate] || 0x0, 4); // 0 = from STREAMINFO
+        bw.write(this.channels - 1, 4); // independent channels
+        bw.write(0x4, 3); // 16 bits per sample
+        bw.write(0, 1);
+        this.writeUtf8Number(bw, this.frameNumber);
+        bw.write(frames - 1, 16);
+        bw.write(crc8(bw.bytes.subarray(0, bw.pos)), 8);
+
+        const channel = new Int32Array(frames);
+        for (let c = 0; c < this.channels; c++) {
+            for (let i = 0; i < frames; i++) channel[i] = interleaved[i * this.channels + c];
+            this.writeSubframe(bw, channel);
+        }
+
+        bw.alignToByte();
+        bw.write(crc16(bw.bytes.subarray(0, bw.pos)), 16);
+        return bw.toBuffer();
+    }
+
+    // Frame numbers use the extended UTF-8 style coding from the FLAC spec
+    writeUtf8Number(bw, value) {
+        if (value < 0x80) { bw.write(value, 8); return; }
+        const limits = [0x800, 0x10000, 0x200000, 0x4000000, 0x80000000];
+        const count = limits.findIndex(limit => value < limit) + 1; // continuation bytes
+        const leadMarker = (0xff << (7 - count)) & 0xff;
+        bw.write(leadMarker | Math.floor(value / 2 ** (6 * count)), 8);
+        for (let i = count - 1; i >= 0; i--) bw.write(0x80 | (Math.floor(value / 2 ** (6 * i)) & 0x3f), 8);
+    }
+
+    writeSubframe(bw, samples) {
+        const n = samples.length;
+        let best = null;
+        for (let order = 0; order <= Math.min(4, n - 1); order++) {
+            const residual = this.fixedResidual(samples, order);
+            const rice = this.bestRiceParam(residual);
+            const bits = order * 16 + 6 + 4 + rice.bits;
+            if (!best || bits < best.bits) best = { order, residual, param: rice.param, bits };
+        }
+
+        if (!best || best.bits >= n * 16) {
+            bw.write(0x02, 8); // VERBATIM
+            for (let i = 0; i < n; i++) bw.write(samples[i] & 0xffff, 16);
+            return;
+        }
+
+        bw.write(0x10 | (best.order << 1), 8); // FIXED, no wasted bits
+        for (let i = 0; i < best.order; i++) bw.write(samples[i] & 0xffff, 16);
+        bw.write(0, 2); // Rice, 4-bit parameters
+        bw.write(0, 4); // partition order 0
+        bw.write(best.param, 4);
+        const k = best.param;
+        for (const r of best.residual) {
+            const u = r >= 0 ? r * 2 : -r * 2 - 1;
+            bw.writeUnary(Math.floor(u / (1 << k)));
+            if (k) bw.write(u & ((1 << k) - 1), k);
+        }
+    }
+
+    fixedResidual(s, order) {
+        const out = new Int32Array(s.length - order);
+        for (let i = order; i < s.length; i++) {
+            let r;
+            if (order === 0) r = s[i];
+            else if (order === 1) r = s[i] - s[i - 1];
+            else if (order === 2) r = s[i] - 2 * s[i - 1] + s[i - 2];
+            else if (order === 3) r = s[i] - 3 * s[i - 1] + 3 * s[i - 2] - s[i - 3];
+            else r = s[i] - 4 * s[i - 1] + 6 * s[i - 2] - 4 * s[i - 3] + s[i - 4];
+            out[i - order] = r;
+        }
+        return out;
+    }
+
+    bestRiceParam(residual) {
+        let sum = 0;
+        for (const r of residual) sum += r >= 0 ? r * 2 : -r * 2 - 1;
+        const mean = residual.length ? sum / residual.length : 0;
+        const guess = mean > 1 ? Math.floor(Math.log2(mean)) : 0;
+        let best = null;
+        for (let k = Math.max(0, guess - 1); k <= Math.min(14, guess + 1); k++) {
+            let bits = 0;
+            for (const r of residual) {
+                const u = r >= 0 ? r * 2 : -r * 2 - 1;
+                bits += Math.floor(u / (1 << k)) + 1 + k;
+            }
+            if (!best || bits < best.bits) best = { param: k, bits };
+        }
+        return best;
+    }
+
+    async close() {
+        this.flushBlock();
+        await new Promise((resolve) => this.stream.end(resolve));
+        const handle = await fsp.open(this.path, 'r+');
+        try {
+            const header = this.header();
+            await handle.write(header, 0, header.length, 0);
+        } finally {
+            await handle.close();
+        }
+    }
+}
+
+/**
+ * Records one streamer's relayed packets to a WAV or FLAC file.
+ * The output format (rate/channels) is fixed by the first packet; later packets are conformed to it,
+ * and holes in the packet sequence are filled with silence.
+ * A write error (disk full, directory gone) marks the recorder failed and is reported to onError once;
+ * later packets are dropped.
+ */
+export class StreamRecorder {
+    constructor({ path, file, format, sourceId, sourceName, onError }) {
+        this.onError = onError;
+        this.failed = null;
+        this.path = path;
+        this.file = file;
+        this.format = format;
+        this.sourceId = sourceId;
+        this.sourceName = sourceName;
+        this.startedAt = new Date();
+        this.writer = null;
+        this.sampleRate = 0;
+        this.channels = 0;
+        this.lastSeq = null;
+        this.framesWritten = 0;
+        this.gapFrames = 0;
+        this.skippedPackets = 0;
+    }
+
+    write(packet) {
+        if (this.failed) return;
+        const channels = packet.channels || 1;
+        const sampleRate = packet.sampleRate || 48000;
+        const samples = decodePacketToInt16(packet.codec || 'f32', packet.data, channels, packet.frameSamples);
+        if (!samples) {
+            this.skippedPackets++;
+            return;
+        }
+
+        if (!this.writer) {
+            this.sampleRate = sampleRate;
+            this.channels = Math.min(2, channels);
+            const onError = (error) => {
+                if (this.failed) return;
+                this.failed = error;
+                this.onError?.(error);
+            };
+            this.writer = this.format === 'flac' ?
+                new FlacWriter(this.path, this.sampleRate, this.channels, onError) :
+                new WavWriter(this.path, this.sampleRate, this.channels, onError);
+        }
+
+        const frameSamples = packet.frameSamples || Math.floor(samples.length / channels);
+        if (typeof packet.seq === 'number') {
+            if (this.lastSeq != null) {
+                const gap = packet.seq - this.lastSeq - 1;
+                if (gap < 0 && gap > -1000) return; // duplicate or late packet: its slot was already filled
+                const gapFrames = Math.round(gap * frameSamples * this.sampleRate / sampleRate);
+                if (gap > 0 && gapFrames <= this.sampleRate * MAX_GAP_FILL_SECONDS) {
+                    this.writer.write(new Int16Array(gapFrames * this.channels));
+                    this.framesWritten += gapFrames;
+                    this.gapFrames += gapFrames;
+                }
+            }
+            this.lastSeq = packet.seq;
+        }
+
+        const conformed = conformSamples(samples, channels, sampleRate, this.channels, this.sampleRate);
+        this.writer.write(conformed);
+        this.framesWritten += conformed.length / this.channels;
+    }
+
+    describe() {
+        return {
+            file: this.file,
+            format: this.format,
+            sourceId: this.sourceId,
+            sourceName: this.sourceName,
+            startedAt: this.startedAt,
+            sampleRate: this.sampleRate,
+            channels: this.channels,
+            durationSeconds: this.sampleRate ? +(this.framesWritten / this.sampleRate).toFixed(2) : 0,
+            silenceFilledSeconds: this.sampleRate ? +(this.gapFrames / this.sampleRate).toFixed(2) : 0
+        };
+    }
+
+    async close() {
+        if (this.writer && !this.failed) await this.writer.close();
+    }
+}
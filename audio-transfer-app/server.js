@@ -1,10 +1,17 @@
 import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
+import { io as ioClient } from 'socket.io-client';
 import cors from 'cors';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { networkInterfaces } from 'os';
+import { isIP } from 'net';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { promises as fsp } from 'fs';
+import { StreamRecorder, RECORDABLE_CODECS, RECORDING_FORMATS } from './recording.js';
+import { RoomMixer, ROOM_MIX_ID, MIXABLE_CODECS } from './mixer.js';
+import { TierTranscoder, LISTENER_TIERS, DEFAULT_TIER, TRANSCODABLE_CODECS } from './tiers.js';
 
 // ES Module __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -35,6 +42,58 @@ class AudioTransferServer {
         this.maxAudioPacketsPerSecond = 60; // Increased for real-time audio quality (50 + buffer)
         this.rateLimitWarnings = new Map(); // Track warnings sent to clients
         
+        // FEC: streamers may send one XOR parity packet per group of 2-8 audio packets.
+        // Parity has its own budget so it never crowds out the audio it protects.
+        this.minFecGroup = 2;
+        this.maxFecGroup = 8;
+        this.maxParityPacketsPerSecond = Math.ceil(this.maxAudioPacketsPerSecond / this.minFecGroup);
+        
+        // Silence markers have no payload, so the length they stand for is bounded instead (100 ms at 48 kHz)
+        this.maxSilenceFrameSamples = 4800;
+        
+        // Wrong PINs: after maxPinFailures from one IP it is locked out, doubling from pinLockoutMs up to maxPinLockoutMs
+        this.pinFailures = new Map(); // ip -> { count, lastFailure, lockedUntil }
+        this.maxPinFailures = 5;
+        this.pinLockoutMs = 30000;
+        this.maxPinLockoutMs = 15 * 60 * 1000;
+        
+        // Talkback (intercom): listeners of a stream that allows it may send their microphone back
+        this.talkbackCodecs = ['opus', 'adpcm', 'pcm16'];
+        this.talkbackTargets = ['streamer', 'all']; // the streamer only, or the streamer and every other listener
+        
+        // Now-playing metadata: streamers may attach a small cover image; updates beyond one per interval are coalesced
+        this.artworkTypes = ['image/jpeg', 'image/png', 'image/webp'];
+        this.maxArtworkBytes = 128 * 1024;
+        this.minNowPlayingIntervalMs = 250;
+        
+        // Federation: links to other AudioTransferServer instances (key: "host:port")
+        this.serverId = randomBytes(8).toString('hex'); // sent to linking servers, so a link back to this one is caught
+        this.federatedServers = new Map();
+        this.pendingLinks = new Map(); // "host:port" -> linkServer() result promise while connecting
+        this.federationTimeout = 5000;
+        this.maxLinkReconnects = 10; // a link that still can't reconnect after this many tries is dropped
+        // Only this machine may create or remove links, plus the addresses in FEDERATION_ADMINS (comma-separated)
+        this.federationAdmins = process.env.FEDERATION_ADMINS ?
+            process.env.FEDERATION_ADMINS.split(',').map(ip => ip.trim()).filter(Boolean) :
+            [];
+        
+        // Multi-room sync: playout delay after capture that every synced listener uses
+        this.syncTargetDelay = parseInt(process.env.SYNC_DELAY_MS, 10) || 300;
+        
+        // WebRTC signaling is relayed verbatim; cap SDP size
+        this.maxSdpLength = 20000;
+        
+        // Server-side recordings (key: streamer socket id)
+        this.recorders = new Map();
+        this.pendingRecordings = new Set(); // sources whose recorder is being set up (awaiting the file system)
+        this.recordingsDir = process.env.RECORDINGS_DIR || join(__dirname, 'recordings');
+        
+        // Optional "room mix": several streamers summed into one virtual stream
+        this.roomMix = new RoomMixer({ onPacket: (packet) => this.relayToListeners(ROOM_MIX_ID, packet) });
+        
+        // Reduced copies of each stream for listeners that asked for a lower quality tier
+        this.tierTranscoder = new TierTranscoder();
+        
         this.setupMiddleware();
         this.setupRoutes();
         this.setupSocketHandlers();
@@ -74,18 +133,95 @@ class AudioTransferServer {
             });
         });
 
+        // Same list the clients get as deviceList: local clients, the room mix and linked servers' streamers
         this.app.get('/api/devices', (req, res) => {
-            const devices = Array.from(this.connectedClients.values()).map(client => ({
-                id: client.id,
-                name: client.name,
-                ip: client.ip,
-                port: this.port,
-                type: client.type,
-                status: 'online',
-                isStreaming: this.streamingClients.has(client.id)
+            res.json(this.getDeviceList());
+        });
+
+        this.app.get('/api/federation', (req, res) => {
+            const links = Array.from(this.federatedServers.values()).map(link => ({
+                id: link.id,
+                serverId: link.serverId,
+                url: link.url,
+                connected: link.socket.connected,
+                linkedAt: link.linkedAt,
+                streamers: link.devices.size,
+                relays: link.relays.size
             }));
-            
-            res.json(devices);
+
+            res.json(links);
+        });
+
+        this.app.delete('/api/federation/:id', (req, res) => {
+            if (!this.canManageFederation(req.socket.remoteAddress)) {
+                return res.status(403).json({ error: 'Only federation admins can remove server links' });
+            }
+            if (!this.unlinkServer(req.params.id)) {
+                return res.status(404).json({ error: 'Not linked to that server' });
+            }
+            res.json({ success: true, id: req.params.id });
+        });
+
+        // Recordings
+        this.app.get('/api/recordings', async (req, res) => {
+            res.json({
+                active: Array.from(this.recorders.values()).map(recorder => recorder.describe()),
+                files: await this.listRecordings()
+            });
+        });
+
+        // PIN- or invite-protected streams can only be recorded over REST with their PIN (invite-only: never)
+        this.app.post('/api/recordings/start', async (req, res) => {
+            const { sourceId, format = 'wav', pin } = req.body || {};
+            const denied = this.checkRecordingAccess(sourceId, pin, req.socket.remoteAddress);
+            if (denied) return res.status(denied.status).json(denied.body);
+            const result = await this.startRecording(sourceId, format);
+            res.status(result.status).json(result.body);
+        });
+
+        this.app.post('/api/recordings/stop', async (req, res) => {
+            const { sourceId, pin } = req.body || {};
+            if (!this.recorders.has(sourceId)) {
+                return res.status(404).json({ error: 'Not recording this source' });
+            }
+            const denied = this.checkRecordingAccess(sourceId, pin, req.socket.remoteAddress);
+            if (denied) return res.status(denied.status).json(denied.body);
+            res.json(await this.stopRecording(sourceId));
+        });
+
+        // Recordings of protected streams need the key handed to their streamer (?key=...)
+        this.app.get('/api/recordings/:file', async (req, res) => {
+            const file = this.recordingPath(req.params.file);
+            if (!file) return res.status(400).json({ error: 'Invalid file name' });
+            if (!await this.checkRecordingKey(file, req.query.key)) return res.status(403).json({ error: 'Recording is protected' });
+            res.download(file, (err) => {
+                if (err && !res.headersSent) res.status(404).json({ error: 'Recording not found' });
+            });
+        });
+
+        this.app.delete('/api/recordings/:file', async (req, res) => {
+            const file = this.recordingPath(req.params.file);
+            if (!file) return res.status(400).json({ error: 'Invalid file name' });
+            const active = Array.from(this.recorders.values()).some(recorder => recorder.file === req.params.file);
+            if (active) return res.status(409).json({ error: 'Recording in progress' });
+            if (!await this.checkRecordingKey(file, req.query.key)) return res.status(403).json({ error: 'Recording is protected' });
+            try {
+                await fsp.unlink(file);
+                await fsp.unlink(`${file}.key`).catch(() => { });
+                res.json({ deleted: req.params.file });
+            } catch (error) {
+                res.status(404).json({ error: 'Recording not found' });
+            }
+        });
+
+        // Room mix
+        this.app.get('/api/mix', (req, res) => {
+            res.json(this.describeMix());
+        });
+
+        this.app.put('/api/mix', (req, res) => {
+            const result = this.configureMix(req.body);
+            res.status(result.status).json(result.body);
         });
 
         // Health check
@@ -102,23 +238,33 @@ class AudioTransferServer {
             const broadcastListenerCounts = () => {
                 const counts = {};
                 for (const client of this.connectedClients.values()) {
-                    if (client.listeningTo) {
-                        counts[client.listeningTo] = (counts[client.listeningTo] || 0) + 1;
+                    for (const sourceId of client.subscriptions.keys()) {
+                        counts[sourceId] = (counts[sourceId] || 0) + 1;
                     }
                 }
                 this.io.emit('listenerCounts', counts);
             };
 
-            // Register client
+            // Register client (other servers linking to us identify themselves in the handshake)
+            const isFederationLink = socket.handshake.auth?.role === 'federation';
             const clientInfo = {
                 id: socket.id,
-                name: `Device-${socket.id.substring(0, 6)}`,
+                name: isFederationLink ?
+                    `Server-${this.getClientIP(socket)}` :
+                    `Device-${socket.id.substring(0, 6)}`,
                 ip: this.getClientIP(socket),
-                type: 'unknown',
+                type: isFederationLink ? 'server' : 'unknown',
+                deviceType: 'unknown',
+                subscriptions: new Map(), // sourceId -> joinedAt, one entry per stream this client listens to
+                p2pSources: new Set(), // subscriptions currently delivered over a WebRTC peer connection
+                statsReportedAt: new Map(), // sourceId -> last receiverStats forwarded (throttling)
+                tiers: new Map(), // sourceId -> requested quality tier (see tiers.js)
+                talkback: null, // { sourceId, to } while this listener talks back to a stream
                 connectedAt: new Date()
             };
             
             this.connectedClients.set(socket.id, clientInfo);
+            if (isFederationLink) socket.emit('serverHello', { serverId: this.serverId });
             this.broadcastDeviceList();
 
             // Handle streaming events
@@ -131,20 +277,32 @@ class AudioTransferServer {
                 
                 const validSources = ['microphone', 'system', 'file'];
                 const validQualities = ['low', 'medium', 'high', 'ultra'];
+                const validCodecs = ['f32', 'pcm16', 'adpcm', 'opus'];
+                
+                // Older clients don't send a codec: they stream raw Float32
+                const codec = data.codec || 'f32';
                 
-                if (!validSources.includes(data.source) || !validQualities.includes(data.quality)) {
+                if (!validSources.includes(data.source) || !validQualities.includes(data.quality) || !validCodecs.includes(codec)) {
                     console.warn(`Invalid streaming parameters from ${socket.id}`);
                     return;
                 }
                 
-                console.log(`🎙️  ${socket.id} started streaming (${data.source}, ${data.quality})`);
+                // Optional access control: a PIN and/or invite-only mode
+                const pin = typeof data.pin === 'string' ? data.pin.trim().substring(0, 32) : '';
+                const inviteOnly = data.inviteOnly === true;
+                
+                console.log(`🎙️  ${socket.id} started streaming (${data.source}, ${data.quality}, ${codec})`);
+                
+                if (data.deviceName) this.applyDeviceName(socket.id, data.deviceName);
                 
                 // Update client info
                 const client = this.connectedClients.get(socket.id);
                 if (client) {
                     this.streamingClients.set(socket.id, {
                     ...client,
-                    streamConfig: data
+                    streamConfig: { source: data.source, quality: data.quality, codec },
+                    access: { pin, inviteOnly, invites: new Set(), usedInvites: new Map(), bannedIds: new Set(), bannedIps: new Set() },
+                    talkback: data.talkback === true
                 });
                 
                 // Notify other clients
@@ -153,7 +311,8 @@ class AudioTransferServer {
                     clientName: client?.name,
                     config: {
                         source: data.source,
-                        quality: data.quality
+                        quality: data.quality,
+                        codec
                     }
                 });
                 
@@ -161,6 +320,97 @@ class AudioTransferServer {
                 }
             });
 
+            // Adaptive bitrate: the streamer changed its format mid-stream
+            socket.on('updateStreamConfig', (config) => {
+                const streamInfo = this.streamingClients.get(socket.id);
+                if (!streamInfo || !config || typeof config !== 'object') return;
+                
+                const validQualities = ['low', 'medium', 'high', 'ultra'];
+                const { quality, channels, sampleRate } = config;
+                if (!validQualities.includes(quality) || ![1, 2].includes(channels) ||
+                    !Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 96000) {
+                    console.warn(`Invalid stream config update from ${socket.id}`);
+                    return;
+                }
+                
+                streamInfo.streamConfig = { ...streamInfo.streamConfig, quality, channels, sampleRate };
+                this.io.emit('streamConfigChanged', {
+                    sourceId: socket.id,
+                    quality,
+                    channels,
+                    sampleRate,
+                    reason: typeof config.reason === 'string' ? config.reason.substring(0, 50) : undefined
+                });
+            });
+
+            // Mute / push-to-talk state of a streamer; the stream itself keeps running with silence markers
+            socket.on('streamMuted', (state) => {
+                const streamInfo = this.streamingClients.get(socket.id);
+                if (!streamInfo || !state || typeof state.muted !== 'boolean') return;
+                if (streamInfo.muted === state.muted) return;
+                
+                streamInfo.muted = state.muted;
+                this.io.emit('streamMuted', {
+                    sourceId: socket.id,
+                    muted: state.muted,
+                    pushToTalk: !!state.pushToTalk
+                });
+            });
+
+            // Track metadata of a streamer (title, artist, album, status, artwork); the latest value is kept for late joiners.
+            // An update without `artwork` keeps the cached image, so it is only sent when it changes.
+            // Updates inside the interval are merged into the cache and sent once when the interval ends.
+            socket.on('nowPlaying', (track) => {
+                const streamInfo = this.streamingClients.get(socket.id);
+                if (!streamInfo || (track !== null && typeof track !== 'object')) return;
+                
+                streamInfo.nowPlaying = this.sanitizeNowPlaying(track, streamInfo.nowPlaying);
+                if (streamInfo.nowPlayingTimer) return;
+                
+                const wait = (streamInfo.nowPlayingAt || 0) + this.minNowPlayingIntervalMs - Date.now();
+                const flush = () => {
+                    streamInfo.nowPlayingTimer = null;
+                    if (this.streamingClients.get(socket.id) !== streamInfo) return; // stopped or restarted meanwhile
+                    streamInfo.nowPlayingAt = Date.now();
+                    this.emitNowPlaying(socket.id, streamInfo.nowPlaying);
+                };
+                if (wait > 0) streamInfo.nowPlayingTimer = setTimeout(flush, wait);
+                else flush();
+            });
+
+            // Listener receive stats, forwarded to the streamer for adaptive bitrate (local streams only)
+            socket.on('receiverStats', (stats) => {
+                const client = this.connectedClients.get(socket.id);
+                if (!client || !stats || !client.subscriptions.has(stats.sourceId)) return;
+                if (!this.streamingClients.has(stats.sourceId)) return;
+                
+                const now = Date.now();
+                if (now - (client.statsReportedAt.get(stats.sourceId) || 0) < 1000) return;
+                client.statsReportedAt.set(stats.sourceId, now);
+                
+                const count = (v) => Number.isFinite(v) && v >= 0 ? Math.min(Math.round(v), 100000) : 0;
+                this.io.to(stats.sourceId).emit('listenerStats', {
+                    listenerId: socket.id,
+                    packets: count(stats.packets),
+                    lost: count(stats.lost),
+                    late: count(stats.late),
+                    recovered: count(stats.recovered),
+                    underruns: count(stats.underruns),
+                    queueMs: count(stats.queueMs)
+                });
+            });
+
+            socket.on('setDeviceName', (deviceName) => {
+                const name = this.applyDeviceName(socket.id, deviceName);
+                if (!name) {
+                    socket.emit('deviceNameRejected', { error: 'Invalid device name' });
+                    return;
+                }
+                
+                socket.emit('deviceNameUpdated', { name, deviceType: this.connectedClients.get(socket.id)?.deviceType });
+                this.broadcastDeviceList();
+            });
+
             socket.on('stopStreaming', () => {
                 console.log(`Client ${socket.id} stopped streaming`);
 
@@ -170,7 +420,12 @@ class AudioTransferServer {
                     delete client.streamConfig;
                 }
 
+                clearTimeout(this.streamingClients.get(socket.id)?.nowPlayingTimer);
                 this.streamingClients.delete(socket.id);
+                this.stopRecording(socket.id);
+                this.roomMix.removeInput(socket.id);
+                this.tierTranscoder.removeSource(socket.id);
+                this.endTalkbackTo(socket.id);
 
                 // Notify other clients
                 socket.broadcast.emit('streamStopped', {
@@ -182,60 +437,18 @@ class AudioTransferServer {
             });
 
             socket.on('audioData', (data) => {
-                // Rate limiting for audio data
-                const clientId = socket.id;
-                const now = Date.now();
-                
-                if (!this.audioDataRateLimit.has(clientId)) {
-                    this.audioDataRateLimit.set(clientId, { count: 0, lastReset: now });
-                }
-                
-                const rateData = this.audioDataRateLimit.get(clientId);
-                
-                // Reset counter every second
-                if (now - rateData.lastReset > 1000) {
-                    rateData.count = 0;
-                    rateData.lastReset = now;
-                }
-                
-                // Check rate limit
-                if (rateData.count > this.maxAudioPacketsPerSecond) {
-                    // Send warning to client instead of spamming console
-                    if (!this.rateLimitWarnings.has(clientId) || 
-                        now - this.rateLimitWarnings.get(clientId) > 5000) {
-                        socket.emit('rateLimitWarning');
-                        this.rateLimitWarnings.set(clientId, now);
-                    }
-                    return;
-                }
-                
-                rateData.count++;
+                if (!this.allowAudioPacket(socket, 'count', this.maxAudioPacketsPerSecond)) return;
                 
-                // Validate and normalize audio data (accept Buffer/TypedArray/ArrayBuffer/Array)
+                // Validate and normalize audio data (accept Buffer/TypedArray/ArrayBuffer/Array).
+                // Encoded frames (pcm16/adpcm/opus) are only re-wrapped, never transcoded.
+                // Silence markers (muted / no voice) carry no samples and go out with codec 'silence'.
                 if (!data || data.data == null) {
                     return; // Silently drop invalid data instead of logging
                 }
-                let normalizedArrayBuffer = null;
-                try {
-                    const payload = data.data;
-                    if (payload instanceof ArrayBuffer) {
-                        normalizedArrayBuffer = payload;
-                    } else if (Array.isArray(payload)) {
-                        // array of numbers -> Float32Array -> ArrayBuffer
-                        const f32 = new Float32Array(payload);
-                        normalizedArrayBuffer = f32.buffer;
-                    } else if (Buffer.isBuffer(payload)) {
-                        // Node Buffer -> slice underlying ArrayBuffer to exact view
-                        normalizedArrayBuffer = payload.buffer.slice(payload.byteOffset, payload.byteOffset + payload.byteLength);
-                    } else if (ArrayBuffer.isView(payload)) {
-                        // TypedArray/DataView -> normalize to ArrayBuffer slice
-                        normalizedArrayBuffer = payload.buffer.slice(payload.byteOffset, payload.byteOffset + payload.byteLength);
-                    } else {
-                        return; // unsupported type
-                    }
-                } catch (e) {
-                    return;
-                }
+                const normalizedArrayBuffer = this.normalizeAudioPayload(data.data);
+                if (!normalizedArrayBuffer) return;
+                if (data.silence && !(Number.isInteger(data.frameSamples) &&
+                    data.frameSamples > 0 && data.frameSamples <= this.maxSilenceFrameSamples)) return;
                 
                 // Relay audio data to all listening clients with improved metadata
                 const streamInfo = this.streamingClients.get(socket.id);
@@ -246,6 +459,7 @@ class AudioTransferServer {
                         sourceName: this.connectedClients.get(socket.id)?.name,
                         timestamp: data.timestamp || Date.now(),
                         quality: streamInfo.streamConfig?.quality,
+                        codec: data.silence ? 'silence' : streamInfo.streamConfig?.codec || 'f32',
                         channel: data.channel || 0,
                         seq: data.seq,
                         sampleIndex: data.sampleIndex,
@@ -254,56 +468,265 @@ class AudioTransferServer {
                         sampleRate: data.sampleRate || 48000,
                         data: normalizedArrayBuffer
                     };
-                    for (const [clientId, clientInfo] of this.connectedClients.entries()) {
-                        if (clientInfo.listeningTo === socket.id) {
-                            this.io.to(clientId).emit('audioStream', payload);
-                        }
+                    if (data.silence) {
+                        // comfort-noise level in dBFS, or null for digital silence
+                        payload.noiseLevel = Number.isFinite(data.noiseLevel) ? Math.max(-100, Math.min(-40, data.noiseLevel)) : null;
                     }
+                    this.relayToListeners(socket.id, payload);
+                    this.recorders.get(socket.id)?.write(payload);
+                    if (!this.isAccessRestricted(streamInfo)) this.roomMix.write(payload);
                 }
             });
 
-            socket.on('joinAsListener', (sourceId) => {
+            // FEC parity for the last group of audioData packets; relayed as-is, never recorded or mixed
+            socket.on('audioParity', (parity) => {
+                const streamInfo = this.streamingClients.get(socket.id);
+                if (!streamInfo || !parity || !Array.isArray(parity.members)) return;
+                if (!this.allowAudioPacket(socket, 'parity', this.maxParityPacketsPerSecond)) return;
+                
+                const members = parity.members;
+                if (members.length < this.minFecGroup || members.length > this.maxFecGroup) return;
+                if (!members.every(m => m && Number.isInteger(m.seq) && Number.isInteger(m.length) && m.length >= 0)) return;
+                const data = this.normalizeAudioPayload(parity.data);
+                if (!data || data.byteLength < Math.max(...members.map(m => m.length))) return;
+                
+                this.relayToListeners(socket.id, {
+                    sourceId: socket.id,
+                    codec: streamInfo.streamConfig?.codec || 'f32',
+                    members: members.map(m => ({
+                        seq: m.seq,
+                        length: m.length,
+                        sampleIndex: m.sampleIndex,
+                        frameSamples: m.frameSamples,
+                        timestamp: m.timestamp,
+                        channels: m.channels || 1,
+                        sampleRate: m.sampleRate || 48000
+                    })),
+                    data
+                }, 'audioParity');
+            });
+
+            socket.on('createInvite', () => {
+                const streamInfo = this.streamingClients.get(socket.id);
+                if (!streamInfo) {
+                    socket.emit('inviteError', { error: 'Start streaming before creating an invite' });
+                    return;
+                }
+                
+                const token = randomBytes(8).toString('hex');
+                streamInfo.access.invites.add(token);
+                socket.emit('inviteCreated', { sourceId: socket.id, token });
+            });
+
+            // The streamer records its own stream; no PIN needed, and only this socket can start or stop it
+            socket.on('startRecording', async (options) => {
+                const format = typeof options?.format === 'string' ? options.format : 'wav';
+                const result = await this.startRecording(socket.id, format);
+                if (result.status >= 400) socket.emit('recordingError', { error: result.body.error });
+            });
+
+            socket.on('stopRecording', () => {
+                if (this.recorders.has(socket.id)) this.stopRecording(socket.id);
+            });
+
+            // joinAsListener accepts a plain sourceId (legacy) or { sourceId, pin, invite }
+            socket.on('joinAsListener', (request) => {
+                const { sourceId, pin, invite, tier } = typeof request === 'object' && request !== null ?
+                    request :
+                    { sourceId: request };
+                
+                const denied = this.checkListenerAccess(sourceId, { pin, invite }, this.connectedClients.get(socket.id));
+                if (denied) {
+                    console.log(`${socket.id} refused as listener to ${sourceId} (${denied})`);
+                    socket.emit('joinRejected', { sourceId, reason: denied });
+                    return;
+                }
+                
                 console.log(`${socket.id} joining as listener to ${sourceId}`);
                 const client = this.connectedClients.get(socket.id);
                 if (client) {
-                    // Always update the target source
+                    // Listeners may subscribe to several sources at once; rejoining keeps the original join time
                     client.type = 'listener';
-                    client.listeningTo = sourceId;
+                    if (!client.subscriptions.has(sourceId)) {
+                        client.subscriptions.set(sourceId, new Date());
+                    }
+                    client.tiers.set(sourceId, Object.hasOwn(LISTENER_TIERS, tier) ? tier : DEFAULT_TIER);
                 }
                 
                 // Notify the streaming client about new listener
-                if (this.streamingClients.has(sourceId)) {
-                    this.io.to(sourceId).emit('listenerJoined', {
-                        listenerId: socket.id,
-                        listenerName: client?.name
-                    });
+                if (client && this.streamingClients.has(sourceId)) {
+                    this.io.to(sourceId).emit('listenerJoined', this.describeListener(client, sourceId));
                 }
                 
                 socket.emit('joinedAsListener', {
                     sourceId: sourceId,
-                    sourceName: this.connectedClients.get(sourceId)?.name
+                    sourceName: this.connectedClients.get(sourceId)?.name ||
+                        this.findRemoteDevice(sourceId)?.name ||
+                        (sourceId === ROOM_MIX_ID ? this.roomMix.name : undefined),
+                    config: this.streamingClients.get(sourceId)?.streamConfig ||
+                        this.findRemoteDevice(sourceId)?.link.relays.get(sourceId)?.config,
+                    muted: !!this.streamingClients.get(sourceId)?.muted,
+                    talkback: !!this.streamingClients.get(sourceId)?.talkback,
+                    nowPlaying: this.streamingClients.get(sourceId)?.nowPlaying ||
+                        this.findRemoteDevice(sourceId)?.link.relays.get(sourceId)?.nowPlaying || null,
+                    tier: client?.tiers.get(sourceId) || DEFAULT_TIER
                 });
 
+                this.updateRemoteSubscriptions();
+
                 // 🔸 update everyone with new listener counts
                 broadcastListenerCounts();
             });
 
-            socket.on('leaveAsListener', () => {
+            // Change the quality tier of an existing subscription without rejoining
+            socket.on('setListenerTier', (request) => {
                 const client = this.connectedClients.get(socket.id);
-                if (client && client.listeningTo) {
-                    // Notify the streaming client
-                    this.io.to(client.listeningTo).emit('listenerLeft', {
-                        listenerId: socket.id,
-                        listenerName: client.name
-                    });
-                    delete client.listeningTo;
-                    client.type = 'unknown';
+                const { sourceId, tier } = request || {};
+                if (!client || !client.subscriptions.has(sourceId)) return;
+                if (!Object.hasOwn(LISTENER_TIERS, tier)) {
+                    socket.emit('tierRejected', { sourceId, error: `Unknown tier: ${tier}` });
+                    return;
                 }
+                client.tiers.set(sourceId, tier);
+                socket.emit('tierChanged', { sourceId, tier });
+            });
+
+            // leaveAsListener(sourceId) leaves one source; without an argument it leaves all of them
+            socket.on('leaveAsListener', (sourceId) => {
+                const client = this.connectedClients.get(socket.id);
+                if (client) {
+                    this.detachListener(client, typeof sourceId === 'string' ? sourceId : undefined);
+                }
+
+                this.updateRemoteSubscriptions();
 
                 // 🔸 update everyone with new listener counts
                 broadcastListenerCounts();
             });
 
+            // Talkback: a listener opens or closes its microphone towards a stream it listens to.
+            // { sourceId, to: 'streamer' | 'all', active } -> 'talkbackState' for everyone who will hear it
+            socket.on('talkbackState', (state) => {
+                const client = this.connectedClients.get(socket.id);
+                if (!client || !state || typeof state !== 'object') return;
+                if (!state.active) {
+                    this.endTalkback(client);
+                    return;
+                }
+                
+                const { sourceId, to } = state;
+                if (!this.streamingClients.get(sourceId)?.talkback || !client.subscriptions.has(sourceId) ||
+                    !this.talkbackTargets.includes(to)) {
+                    socket.emit('talkbackRejected', { sourceId, error: 'Talkback is not enabled for this stream' });
+                    return;
+                }
+                if (client.talkback && client.talkback.sourceId !== sourceId) this.endTalkback(client);
+                client.talkback = { sourceId, to };
+                this.emitTalkback(client, 'talkbackState', { active: true });
+            });
+
+            // Talkback audio, routed like talkbackState; never recorded, mixed or transcoded
+            socket.on('talkbackData', (data) => {
+                const client = this.connectedClients.get(socket.id);
+                if (!client?.talkback || !data || data.data == null) return;
+                if (!this.allowAudioPacket(socket, 'talkback', this.maxAudioPacketsPerSecond)) return;
+                if (!this.talkbackCodecs.includes(data.codec)) return;
+                if (!Number.isInteger(data.sampleRate) || data.sampleRate < 8000 || data.sampleRate > 96000) return;
+                const payload = this.normalizeAudioPayload(data.data);
+                if (!payload) return;
+                
+                this.emitTalkback(client, 'talkbackStream', {
+                    codec: data.codec,
+                    seq: data.seq,
+                    frameSamples: Number.isInteger(data.frameSamples) ? data.frameSamples : undefined,
+                    channels: data.channels === 2 ? 2 : 1,
+                    sampleRate: data.sampleRate,
+                    data: payload
+                });
+            });
+
+            // Streamer-side listener management
+            socket.on('getListeners', () => {
+                socket.emit('listenerList', this.getListeners(socket.id));
+            });
+
+            const removeListener = (listenerId, ban) => {
+                const streamInfo = this.streamingClients.get(socket.id);
+                const listener = this.connectedClients.get(listenerId);
+                if (!streamInfo || !listener || !listener.subscriptions.has(socket.id)) {
+                    socket.emit('listenerActionFailed', { listenerId, error: 'Not listening to your stream' });
+                    return;
+                }
+                
+                if (ban) {
+                    streamInfo.access.bannedIds.add(listener.id);
+                    streamInfo.access.bannedIps.add(listener.ip);
+                }
+                console.log(`${socket.id} ${ban ? 'banned' : 'kicked'} listener ${listenerId}`);
+                
+                this.detachListener(listener, socket.id);
+                this.io.to(listenerId).emit('kicked', { sourceId: socket.id, banned: ban });
+                this.updateRemoteSubscriptions();
+                broadcastListenerCounts();
+            };
+
+            socket.on('kickListener', (listenerId) => removeListener(listenerId, false));
+            socket.on('banListener', (listenerId) => removeListener(listenerId, true));
+
+            // NTP-style clock sync: clients estimate their offset to server time from the round trip
+            socket.on('clockPing', (ping) => {
+                socket.emit('clockPong', {
+                    t0: ping?.t0,
+                    serverTime: Date.now(),
+                    targetDelay: this.syncTargetDelay
+                });
+            });
+
+            // WebRTC signaling: forward SDP / ICE between a streamer and one of its listeners
+            socket.on('rtcSignal', (signal) => {
+                if (!signal || typeof signal.to !== 'string' || typeof signal.sourceId !== 'string') return;
+                const { to, sourceId } = signal;
+                const from = this.connectedClients.get(socket.id);
+                const target = this.connectedClients.get(to);
+                const allowed = from && target && this.streamingClients.has(sourceId) && (
+                    (to === sourceId && from.subscriptions.has(sourceId)) || // listener -> streamer
+                    (socket.id === sourceId && target.subscriptions.has(sourceId)) // streamer -> listener
+                );
+                if (!allowed) {
+                    socket.emit('rtcError', { sourceId, peerId: to, error: 'Peer not available' });
+                    return;
+                }
+                if (signal.description && (typeof signal.description.sdp !== 'string' || signal.description.sdp.length > this.maxSdpLength)) {
+                    return;
+                }
+                
+                this.io.to(to).emit('rtcSignal', {
+                    from: socket.id,
+                    sourceId,
+                    description: signal.description,
+                    candidate: signal.candidate,
+                    declined: signal.declined === true
+                });
+            });
+
+            // Listener reports whether a subscription is currently served peer-to-peer
+            socket.on('rtcState', (state) => {
+                const client = this.connectedClients.get(socket.id);
+                if (!client || !state || !client.subscriptions.has(state.sourceId)) return;
+                if (state.connected) client.p2pSources.add(state.sourceId);
+                else client.p2pSources.delete(state.sourceId);
+            });
+
+            // Room mix configuration (same shape as PUT /api/mix)
+            socket.on('getMixConfig', () => {
+                socket.emit('mixConfig', this.describeMix());
+            });
+
+            socket.on('configureMix', (config) => {
+                const result = this.configureMix(config);
+                if (result.status !== 200) socket.emit('mixConfigError', result.body);
+            });
+
             socket.on('discoverDevices', () => {
                 // Send device list directly without logging
                 socket.emit('deviceList', this.getDeviceList());
@@ -337,13 +760,29 @@ class AudioTransferServer {
                 }
             });
 
-            socket.on('manualConnect', (connectionInfo) => {
+            socket.on('manualConnect', async (connectionInfo) => {
                 console.log(`Manual connection attempt:`, connectionInfo);
-                // For now, just simulate a connection
-                socket.emit('connectionResult', {
-                    success: false,
-                    error: 'Manual connection not implemented yet'
-                });
+                if (!this.canManageFederation(this.getClientIP(socket))) {
+                    socket.emit('connectionResult', { success: false, error: 'Only federation admins can link servers' });
+                    return;
+                }
+                const result = await this.linkServer(connectionInfo);
+                socket.emit('connectionResult', result);
+            });
+
+            // unlinkServer({ ip, port }) removes a link made with manualConnect
+            socket.on('unlinkServer', (connectionInfo) => {
+                if (!this.canManageFederation(this.getClientIP(socket))) {
+                    socket.emit('unlinkResult', { success: false, error: 'Only federation admins can remove server links' });
+                    return;
+                }
+                const address = this.parseLinkAddress(connectionInfo);
+                const linkId = address && `${address.host}:${address.port}`;
+                if (!linkId || !this.unlinkServer(linkId)) {
+                    socket.emit('unlinkResult', { success: false, error: 'Not linked to that server' });
+                    return;
+                }
+                socket.emit('unlinkResult', { success: true, id: linkId });
             });
 
             socket.on('disconnect', () => {
@@ -351,6 +790,8 @@ class AudioTransferServer {
                 
                 const client = this.connectedClients.get(socket.id);
                 if (client) {
+                    this.detachListener(client);
+                    
                     // Notify other clients if this was a streaming client
                     if (this.streamingClients.has(socket.id)) {
                         socket.broadcast.emit('streamStopped', {
@@ -366,10 +807,16 @@ class AudioTransferServer {
                     });
                 }
                 
+                if (this.streamingClients.has(socket.id)) this.endTalkbackTo(socket.id);
                 this.connectedClients.delete(socket.id);
+                clearTimeout(this.streamingClients.get(socket.id)?.nowPlayingTimer);
                 this.streamingClients.delete(socket.id);
+                this.stopRecording(socket.id);
+                this.roomMix.removeInput(socket.id);
+                this.tierTranscoder.removeSource(socket.id);
                 this.audioDataRateLimit.delete(socket.id); // Clean up rate limiting data
                 this.rateLimitWarnings.delete(socket.id); // Clean up warning tracking
+                this.updateRemoteSubscriptions();
                 this.broadcastDeviceList();
 
                 // 🔸 update everyone with new listener counts
@@ -379,16 +826,704 @@ class AudioTransferServer {
     }
 
     getDeviceList() {
-        return Array.from(this.connectedClients.values()).map(client => ({
+        const localDevices = Array.from(this.connectedClients.values()).map(client => ({
             id: client.id,
             name: client.name,
             ip: client.ip,
             port: this.port,
             type: client.type,
+            deviceType: client.deviceType,
             status: 'online',
             isStreaming: this.streamingClients.has(client.id),
+            isRecording: this.recorders.has(client.id),
+            isProtected: !!this.streamingClients.get(client.id)?.access.pin,
+            inviteOnly: !!this.streamingClients.get(client.id)?.access.inviteOnly,
             connectedAt: client.connectedAt
         }));
+
+        // Streamers on linked servers, labelled with the server they come from
+        const remoteDevices = [];
+        for (const link of this.federatedServers.values()) {
+            for (const device of link.devices.values()) {
+                remoteDevices.push(device);
+            }
+        }
+
+        // The room mix is advertised like any other streamer while it is enabled
+        const mixDevices = [];
+        if (this.roomMix.enabled) {
+            mixDevices.push({
+                id: ROOM_MIX_ID,
+                name: this.roomMix.name,
+                ip: this.getLocalIP(),
+                port: this.port,
+                type: 'mix',
+                deviceType: 'mix',
+                status: 'online',
+                isStreaming: true,
+                isRecording: false,
+                isProtected: false,
+                inviteOnly: false,
+                connectedAt: this.roomMix.enabledAt,
+                // members the mix can't include, so listeners know why someone is missing
+                excludedInputs: this.describeMix().inputs
+                    .filter(input => input.member && input.excludedReason)
+                    .map(({ name, excludedReason }) => ({ name, reason: excludedReason }))
+            });
+        }
+
+        return localDevices.concat(mixDevices, remoteDevices);
+    }
+
+    // Returns null when the listener may join, otherwise a rejection reason
+    checkListenerAccess(sourceId, credentials, client) {
+        const streamInfo = this.streamingClients.get(sourceId);
+        if (!streamInfo) return null; // not streaming (or remote): nothing to protect
+        
+        const { pin, inviteOnly, invites, usedInvites, bannedIds, bannedIps } = streamInfo.access;
+        
+        // Bans last for the rest of this stream session, invites don't override them
+        if (client && (bannedIds.has(client.id) || bannedIps.has(client.ip))) return 'banned';
+        
+        // A valid invite admits the listener and is consumed. The same device (IP) may use it again for the rest
+        // of this stream session, so a reconnect or reload doesn't need a new link; anyone else can't.
+        if (typeof credentials.invite === 'string') {
+            if (invites.has(credentials.invite)) {
+                invites.delete(credentials.invite);
+                usedInvites.set(credentials.invite, client?.ip);
+                return null;
+            }
+            if (client && usedInvites.get(credentials.invite) === client.ip) return null;
+        }
+        if (inviteOnly) return 'invite_required';
+        
+        if (pin) {
+            if (typeof credentials.pin !== 'string' || !credentials.pin) return 'pin_required';
+            if (client && this.isPinLockedOut(client.ip)) return 'too_many_attempts';
+            if (credentials.pin.trim() !== pin) {
+                if (client) this.notePinFailure(client.ip);
+                return 'invalid_pin';
+            }
+            if (client) this.pinFailures.delete(client.ip);
+        }
+        
+        return null;
+    }
+
+    isPinLockedOut(ip) {
+        const failures = this.pinFailures.get(ip);
+        return !!failures && failures.lockedUntil > Date.now();
+    }
+
+    // Counts reset after a quiet period as long as the longest lockout
+    notePinFailure(ip) {
+        const now = Date.now();
+        let failures = this.pinFailures.get(ip);
+        for (const [key, entry] of this.pinFailures.entries()) {
+            if (now - entry.lastFailure > this.maxPinLockoutMs && entry.lockedUntil <= now) this.pinFailures.delete(key);
+        }
+        if (!failures || now - failures.lastFailure > this.maxPinLockoutMs) {
+            failures = { count: 0, lastFailure: now, lockedUntil: 0 };
+            this.pinFailures.set(ip, failures);
+        }
+        failures.count++;
+        failures.lastFailure = now;
+        if (failures.count >= this.maxPinFailures) {
+            const lockout = this.pinLockoutMs * 2 ** (failures.count - this.maxPinFailures);
+            failures.lockedUntil = now + Math.min(lockout, this.maxPinLockoutMs);
+            console.warn(`🔒 ${ip} locked out of PIN entry after ${failures.count} wrong PINs`);
+        }
+    }
+
+    // REST recording control: open streams are fair game, PIN streams need the PIN, invite-only streams are the streamer's alone
+    checkRecordingAccess(sourceId, pin, ip) {
+        const streamInfo = this.streamingClients.get(sourceId);
+        if (!streamInfo || !this.isAccessRestricted(streamInfo)) return null;
+        const { pin: streamPin, inviteOnly } = streamInfo.access;
+        if (this.isPinLockedOut(ip)) return { status: 429, body: { error: 'Too many wrong PINs, try again later' } };
+        if (inviteOnly || typeof pin !== 'string' || pin.trim() !== streamPin) {
+            if (!inviteOnly && typeof pin === 'string') this.notePinFailure(ip);
+            return { status: 403, body: { error: 'This stream is protected; only its streamer or a valid PIN can control recording' } };
+        }
+        return null;
+    }
+
+    // Files without a .key sidecar are open; the others need the matching key
+    async checkRecordingKey(file, key) {
+        let expected;
+        try {
+            expected = (await fsp.readFile(`${file}.key`, 'utf8')).trim();
+        } catch (error) {
+            return true;
+        }
+        if (typeof key !== 'string' || key.length !== expected.length) return false;
+        return timingSafeEqual(Buffer.from(key), Buffer.from(expected));
+    }
+
+    describeListener(client, sourceId) {
+        return {
+            listenerId: client?.id,
+            listenerName: client?.name,
+            listenerIp: client?.ip,
+            joinedAt: client?.subscriptions.get(sourceId),
+            tier: client?.tiers.get(sourceId) || DEFAULT_TIER
+        };
+    }
+
+    getListeners(sourceId) {
+        return Array.from(this.connectedClients.values())
+            .filter(client => client.subscriptions.has(sourceId))
+            .map(client => this.describeListener(client, sourceId));
+    }
+
+    // Drop one subscription (or all of them when sourceId is omitted) and tell each streamer the client left
+    detachListener(client, sourceId) {
+        const sourceIds = sourceId === undefined ? Array.from(client.subscriptions.keys()) : [sourceId];
+        if (client.talkback && sourceIds.includes(client.talkback.sourceId)) this.endTalkback(client);
+        for (const id of sourceIds) {
+            client.p2pSources.delete(id);
+            client.statsReportedAt.delete(id);
+            client.tiers.delete(id);
+            if (!client.subscriptions.delete(id)) continue;
+            this.io.to(id).emit('listenerLeft', {
+                listenerId: client.id,
+                listenerName: client.name
+            });
+        }
+        if (client.type === 'listener' && client.subscriptions.size === 0) {
+            client.type = 'unknown';
+        }
+    }
+
+    // Talkback goes to the streamer and, with to: 'all', to the stream's other listeners as well
+    emitTalkback(client, event, payload) {
+        const { sourceId, to } = client.talkback;
+        const message = { ...payload, sourceId, fromId: client.id, fromName: client.name, to };
+        this.io.to(sourceId).emit(event, message);
+        if (to !== 'all') return;
+        for (const [clientId, clientInfo] of this.connectedClients.entries()) {
+            if (clientId !== client.id && clientId !== sourceId && clientInfo.subscriptions.has(sourceId)) {
+                this.io.to(clientId).emit(event, message);
+            }
+        }
+    }
+
+    endTalkback(client) {
+        if (!client.talkback) return;
+        this.emitTalkback(client, 'talkbackState', { active: false });
+        client.talkback = null;
+    }
+
+    // The stream went away: close every talkback aimed at it
+    endTalkbackTo(sourceId) {
+        for (const client of this.connectedClients.values()) {
+            if (client.talkback?.sourceId === sourceId) this.endTalkback(client);
+        }
+    }
+
+    relayToListeners(sourceId, payload, event = 'audioStream') {
+        const variants = new Map(); // tier -> payload; each tier is transcoded once per packet
+        for (const [clientId, clientInfo] of this.connectedClients.entries()) {
+            // listeners receiving this source over WebRTC don't need the relayed copy
+            if (!clientInfo.subscriptions.has(sourceId) || clientInfo.p2pSources.has(sourceId)) continue;
+            const tier = clientInfo.tiers.get(sourceId) || DEFAULT_TIER;
+            if (event !== 'audioStream') {
+                // FEC parity covers the original bytes, which transcoded listeners never see
+                if (tier === DEFAULT_TIER || !TRANSCODABLE_CODECS.includes(payload.codec || 'f32')) {
+                    this.io.to(clientId).emit(event, payload);
+                }
+                continue;
+            }
+            if (!variants.has(tier)) variants.set(tier, this.tierTranscoder.transcode(payload, tier));
+            this.io.to(clientId).emit(event, variants.get(tier));
+        }
+    }
+
+    // Per-client, per-second packet budget; `kind` is the counter to charge ('count' for audio, 'parity' for FEC)
+    allowAudioPacket(socket, kind, limit) {
+        const clientId = socket.id;
+        const now = Date.now();
+        
+        if (!this.audioDataRateLimit.has(clientId)) {
+            this.audioDataRateLimit.set(clientId, { count: 0, parity: 0, talkback: 0, lastReset: now });
+        }
+        
+        const rateData = this.audioDataRateLimit.get(clientId);
+        
+        // Reset counters every second
+        if (now - rateData.lastReset > 1000) {
+            rateData.count = 0;
+            rateData.parity = 0;
+            rateData.talkback = 0;
+            rateData.lastReset = now;
+        }
+        
+        // Check rate limit
+        if (rateData[kind] > limit) {
+            // Send warning to client instead of spamming console
+            if (!this.rateLimitWarnings.has(clientId) || 
+                now - this.rateLimitWarnings.get(clientId) > 5000) {
+                socket.emit('rateLimitWarning');
+                this.rateLimitWarnings.set(clientId, now);
+            }
+            return false;
+        }
+        
+        rateData[kind]++;
+        return true;
+    }
+
+    // Accept Buffer/TypedArray/ArrayBuffer/Array and return an ArrayBuffer (null if unusable)
+    normalizeAudioPayload(payload) {
+        try {
+            if (payload instanceof ArrayBuffer) {
+                return payload;
+            } else if (Array.isArray(payload)) {
+                // array of numbers -> Float32Array -> ArrayBuffer
+                return new Float32Array(payload).buffer;
+            } else if (Buffer.isBuffer(payload) || ArrayBuffer.isView(payload)) {
+                // Node Buffer / TypedArray / DataView -> slice underlying ArrayBuffer to exact view
+                return payload.buffer.slice(payload.byteOffset, payload.byteOffset + payload.byteLength);
+            }
+        } catch (e) {
+            // fall through
+        }
+        return null;
+    }
+
+    isAccessRestricted(streamInfo) {
+        return !!(streamInfo.access.pin || streamInfo.access.inviteOnly);
+    }
+
+    // ---------------- ROOM MIX ----------------
+
+    describeMix() {
+        const inputs = Array.from(this.streamingClients.values()).map(streamInfo => {
+            const codec = streamInfo.streamConfig?.codec || 'f32';
+            // Opus can't be decoded here and protected streams must not leak into an open mix
+            const excludedReason = !MIXABLE_CODECS.includes(codec) ? `${codec === 'opus' ? 'Opus' : codec} can't be decoded on the server` :
+                this.isAccessRestricted(streamInfo) ? 'protected by a PIN or invites' : null;
+            return {
+                sourceId: streamInfo.id,
+                name: this.connectedClients.get(streamInfo.id)?.name || streamInfo.name,
+                codec,
+                member: this.roomMix.isMember(streamInfo.id),
+                gain: this.roomMix.gainFor(streamInfo.id),
+                mixable: !excludedReason,
+                excludedReason,
+                active: this.roomMix.inputs.has(streamInfo.id)
+            };
+        });
+        return { ...this.roomMix.describe(), inputs };
+    }
+
+    configureMix(config) {
+        const wasEnabled = this.roomMix.enabled;
+        const error = this.roomMix.configure(config);
+        if (error) return { status: 400, body: { error } };
+
+        if (wasEnabled !== this.roomMix.enabled) {
+            console.log(`🎚️ Room mix ${this.roomMix.enabled ? 'enabled' : 'disabled'}`);
+            if (!this.roomMix.enabled) this.tierTranscoder.removeSource(ROOM_MIX_ID);
+            this.io.emit(this.roomMix.enabled ? 'streamStarted' : 'streamStopped', {
+                clientId: ROOM_MIX_ID,
+                clientName: this.roomMix.name
+            });
+        }
+        this.broadcastDeviceList();
+
+        const state = this.describeMix();
+        this.io.emit('mixConfig', state);
+        return { status: 200, body: state };
+    }
+
+    // ---------------- RECORDING ----------------
+
+    async startRecording(sourceId, format) {
+        const streamInfo = this.streamingClients.get(sourceId);
+        if (!streamInfo) return { status: 404, body: { error: 'Source is not streaming' } };
+        if (this.recorders.has(sourceId) || this.pendingRecordings.has(sourceId)) {
+            return { status: 409, body: { error: 'Already recording this source' } };
+        }
+        if (!RECORDING_FORMATS.includes(format)) return { status: 400, body: { error: 'Unsupported format' } };
+
+        const codec = streamInfo.streamConfig?.codec || 'f32';
+        if (!RECORDABLE_CODECS.includes(codec)) {
+            return { status: 415, body: { error: `Streams using ${codec} cannot be recorded on the server` } };
+        }
+
+        const name = (this.connectedClients.get(sourceId)?.name || 'stream').replace(/[^\w-]+/g, '_');
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const file = `${name}-${stamp}.${format}`;
+        // a protected stream's recording gets a key that only its streamer learns (recordingSaved)
+        const key = this.isAccessRestricted(streamInfo) ? randomBytes(16).toString('hex') : null;
+
+        // hold the slot across the awaits so a concurrent start can't create a second, orphaned recorder
+        this.pendingRecordings.add(sourceId);
+        try {
+            await fsp.mkdir(this.recordingsDir, { recursive: true });
+            if (key) await fsp.writeFile(join(this.recordingsDir, `${file}.key`), key, { mode: 0o600 });
+        } catch (error) {
+            console.error(`❌ Cannot prepare recording ${file}:`, error.message);
+            return { status: 500, body: { error: 'Cannot write to the recordings directory' } };
+        } finally {
+            this.pendingRecordings.delete(sourceId);
+        }
+        if (!this.streamingClients.has(sourceId)) {
+            // the stream ended while the directory was being prepared
+            if (key) await fsp.unlink(join(this.recordingsDir, `${file}.key`)).catch(() => { });
+            return { status: 404, body: { error: 'Source is not streaming' } };
+        }
+
+        const recorder = new StreamRecorder({
+            path: join(this.recordingsDir, file),
+            file,
+            format,
+            sourceId,
+            sourceName: this.connectedClients.get(sourceId)?.name,
+            onError: (error) => {
+                console.error(`❌ Recording ${file} failed:`, error.message);
+                this.io.to(sourceId).emit('recordingError', { error: `Recording stopped: ${error.code || error.message}` });
+                if (this.recorders.get(sourceId) === recorder) this.stopRecording(sourceId);
+            }
+        });
+        recorder.key = key;
+        this.recorders.set(sourceId, recorder);
+        console.log(`⏺️  Recording ${sourceId} to ${file}`);
+
+        this.io.emit('recordingState', { sourceId, recording: true, file });
+        this.broadcastDeviceList();
+        return { status: 201, body: recorder.describe() };
+    }
+
+    async stopRecording(sourceId) {
+        const recorder = this.recorders.get(sourceId);
+        if (!recorder) return null;
+
+        this.recorders.delete(sourceId);
+        try {
+            await recorder.close();
+        } catch (error) {
+            console.error(`❌ Failed to finalize recording ${recorder.file}:`, error);
+        }
+        console.log(`⏹️  Stopped recording ${sourceId} (${recorder.file})`);
+
+        this.io.emit('recordingState', { sourceId, recording: false, file: recorder.file });
+        if (recorder.writer && !recorder.failed) {
+            this.io.to(sourceId).emit('recordingSaved', { file: recorder.file, key: recorder.key });
+        } else if (recorder.key) {
+            // no audio arrived, so no file was created: drop its key as well
+            await fsp.unlink(join(this.recordingsDir, `${recorder.file}.key`)).catch(() => { });
+        }
+        this.broadcastDeviceList();
+        return recorder.describe();
+    }
+
+    async listRecordings() {
+        let entries = [];
+        try {
+            entries = await fsp.readdir(this.recordingsDir);
+        } catch (error) {
+            return []; // no recordings yet
+        }
+
+        const files = [];
+        for (const file of entries) {
+            if (!this.recordingPath(file)) continue;
+            const stat = await fsp.stat(join(this.recordingsDir, file));
+            files.push({ file, size: stat.size, modifiedAt: stat.mtime, protected: entries.includes(`${file}.key`) });
+        }
+        return files.sort((a, b) => b.modifiedAt - a.modifiedAt);
+    }
+
+    // Resolve a recording file name inside recordingsDir, refusing anything that could escape it
+    recordingPath(file) {
+        if (typeof file !== 'string' || !/^[\w-]+(\.[\w-]+)*\.(wav|flac)$/.test(file)) return null;
+        return join(this.recordingsDir, file);
+    }
+
+    // ---------------- FEDERATION ----------------
+
+    // Loopback is always allowed; IPv4 clients may show up as IPv4-mapped IPv6 addresses
+    canManageFederation(ip) {
+        const address = typeof ip === 'string' ? ip.replace(/^::ffff:/, '') : '';
+        return address === '::1' || address.startsWith('127.') || this.federationAdmins.includes(address);
+    }
+
+    // { ip, port } from a client -> { host, port }, or null when it isn't a usable address
+    parseLinkAddress(connectionInfo) {
+        if (!connectionInfo || typeof connectionInfo !== 'object') return null;
+        const host = typeof connectionInfo.ip === 'string' ? connectionInfo.ip.trim() : '';
+        const port = parseInt(connectionInfo.port, 10) || 3001;
+        if (!/^[a-zA-Z0-9.-]+$/.test(host) || port < 1 || port > 65535) return null;
+        return { host, port };
+    }
+
+    async linkServer(connectionInfo) {
+        const address = this.parseLinkAddress(connectionInfo);
+        if (!address) {
+            return { success: false, error: 'Invalid address' };
+        }
+
+        const { host, port } = address;
+        const linkId = `${host}:${port}`;
+        const existing = this.federatedServers.get(linkId);
+        if (existing) {
+            return { success: true, device: { id: linkId, name: linkId, ip: host, port } };
+        }
+        // a second request while the first is still connecting shares its outcome instead of opening another link
+        if (this.pendingLinks.has(linkId)) return this.pendingLinks.get(linkId);
+
+        const pending = this.openLink(linkId, host, port);
+        this.pendingLinks.set(linkId, pending);
+        try {
+            return await pending;
+        } finally {
+            this.pendingLinks.delete(linkId);
+        }
+    }
+
+    async openLink(linkId, host, port) {
+        const url = `http://${linkId}`;
+        const socket = ioClient(url, {
+            transports: ['websocket', 'polling'],
+            timeout: this.federationTimeout,
+            reconnection: true,
+            reconnectionAttempts: this.maxLinkReconnects,
+            auth: { role: 'federation' }
+        });
+
+        // the remote greets federation connections with its server id; anything else isn't a server we can link
+        let serverId;
+        try {
+            serverId = await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error('no serverHello')), this.federationTimeout);
+                socket.once('serverHello', (info) => {
+                    clearTimeout(timer);
+                    resolve(info?.serverId);
+                });
+                socket.once('connect_error', (error) => {
+                    clearTimeout(timer);
+                    reject(error);
+                });
+            });
+        } catch (error) {
+            socket.close();
+            console.warn(`Federation link to ${linkId} failed: ${error.message}`);
+            return { success: false, error: `Could not reach server at ${linkId}` };
+        }
+
+        // the host string can't tell: this server has several names and addresses
+        if (serverId === this.serverId) {
+            socket.close();
+            return { success: false, error: 'Cannot link a server to itself' };
+        }
+        const twin = Array.from(this.federatedServers.values()).find(link => link.serverId === serverId);
+        if (twin) {
+            socket.close();
+            return { success: false, error: `Already linked to this server as ${twin.id}` };
+        }
+
+        const link = {
+            id: linkId,
+            serverId,
+            url,
+            socket,
+            linkedAt: new Date(),
+            devices: new Map(), // local device id -> device list entry
+            relays: new Map() // local device id -> relay socket
+        };
+        this.federatedServers.set(linkId, link);
+        console.log(`🔗 Linked to server ${linkId}`);
+
+        socket.on('deviceList', (devices) => this.updateRemoteDevices(link, devices));
+
+        socket.on('streamStarted', () => socket.emit('discoverDevices'));
+        socket.on('streamStopped', () => socket.emit('discoverDevices'));
+
+        socket.on('connect', () => {
+            console.log(`🔗 Federation link to ${linkId} restored`);
+            socket.emit('discoverDevices');
+        });
+
+        socket.on('disconnect', (reason) => {
+            console.log(`Federation link to ${linkId} dropped: ${reason}`);
+            this.updateRemoteDevices(link, []);
+        });
+
+        socket.io.on('reconnect_failed', () => {
+            console.warn(`Federation link to ${linkId} gave up after ${this.maxLinkReconnects} reconnect attempts`);
+            this.unlinkServer(linkId);
+        });
+
+        socket.emit('discoverDevices');
+
+        return {
+            success: true,
+            device: { id: linkId, name: linkId, ip: host, port }
+        };
+    }
+
+    unlinkServer(linkId) {
+        const link = this.federatedServers.get(linkId);
+        if (!link) return false;
+
+        this.federatedServers.delete(linkId);
+        this.updateRemoteDevices(link, []);
+        for (const relay of link.relays.values()) relay.close();
+        link.relays.clear();
+        link.socket.close();
+        console.log(`Unlinked server ${linkId}`);
+        return true;
+    }
+
+    updateRemoteDevices(link, devices) {
+        const next = new Map();
+        if (Array.isArray(devices)) {
+            for (const device of devices) {
+                // Only import the remote server's own public streamers; never re-export its links.
+                // Protected streams stay private to the server they were started on.
+                if (!device || !device.isStreaming || device.origin) continue;
+                if (device.isProtected || device.inviteOnly) continue;
+                if (typeof device.id !== 'string' || !device.id) continue;
+                // the linked server is not trusted any more than a client: clean what gets shown locally
+                const localId = `${link.id}/${device.id}`;
+                const word = (value) => typeof value === 'string' && /^[a-z]{1,20}$/.test(value) ? value : 'unknown';
+                next.set(localId, {
+                    id: localId,
+                    remoteId: device.id,
+                    name: this.sanitizeDeviceName(device.name) || 'Remote device',
+                    ip: typeof device.ip === 'string' && isIP(device.ip) ? device.ip : null,
+                    port: Number.isInteger(device.port) && device.port > 0 && device.port < 65536 ? device.port : null,
+                    type: word(device.type),
+                    deviceType: word(device.deviceType),
+                    status: 'online',
+                    isStreaming: true,
+                    origin: link.id,
+                    connectedAt: device.connectedAt
+                });
+            }
+        }
+
+        let changed = next.size !== link.devices.size;
+        for (const [localId, device] of link.devices.entries()) {
+            if (!next.has(localId)) {
+                changed = true;
+                this.tierTranscoder.removeSource(localId);
+                this.io.emit('streamStopped', { clientId: localId, clientName: device.name });
+            }
+        }
+
+        link.devices = next;
+        this.updateRemoteSubscriptions();
+        if (changed) this.broadcastDeviceList();
+    }
+
+    findRemoteDevice(deviceId) {
+        for (const link of this.federatedServers.values()) {
+            const device = link.devices.get(deviceId);
+            if (device) return { link, ...device };
+        }
+        return null;
+    }
+
+    // Keep exactly one relay connection open per remote streamer that has local listeners
+    updateRemoteSubscriptions() {
+        const wanted = new Set();
+        for (const client of this.connectedClients.values()) {
+            for (const sourceId of client.subscriptions.keys()) {
+                if (this.findRemoteDevice(sourceId)) wanted.add(sourceId);
+            }
+        }
+
+        for (const link of this.federatedServers.values()) {
+            for (const [localId, relay] of link.relays.entries()) {
+                if (!wanted.has(localId)) {
+                    relay.close();
+                    link.relays.delete(localId);
+                }
+            }
+        }
+
+        for (const localId of wanted) {
+            const remote = this.findRemoteDevice(localId);
+            if (remote.link.relays.has(localId)) continue;
+            remote.link.relays.set(localId, this.openRelay(remote.link, remote));
+        }
+    }
+
+    openRelay(link, device) {
+        const relay = ioClient(link.url, {
+            transports: ['websocket'],
+            timeout: this.federationTimeout,
+            forceNew: true,
+            auth: { role: 'federation' }
+        });
+
+        relay.on('connect', () => relay.emit('joinAsListener', device.remoteId));
+
+        relay.on('audioStream', (streamData) => {
+            if (!streamData || streamData.sourceId !== device.remoteId) return;
+            this.relayToListeners(device.id, {
+                ...streamData,
+                sourceId: device.id,
+                sourceName: device.name,
+                origin: link.id,
+                data: this.normalizeAudioPayload(streamData.data) // Buffer -> ArrayBuffer for tier transcoding
+            });
+        });
+
+        relay.on('audioParity', (parity) => {
+            if (!parity || parity.sourceId !== device.remoteId) return;
+            this.relayToListeners(device.id, { ...parity, sourceId: device.id }, 'audioParity');
+        });
+
+        relay.on('streamMuted', (state) => {
+            if (!state || state.sourceId !== device.remoteId) return;
+            this.io.emit('streamMuted', { ...state, sourceId: device.id });
+        });
+
+        // the remote stream's format arrives with the join and with each adaptive change; kept for local late joiners
+        const updateConfig = (config) => {
+            if (!config || typeof config !== 'object') return null;
+            const { quality, channels, sampleRate, codec } = config;
+            relay.config = {
+                ...relay.config,
+                ...(['low', 'medium', 'high', 'ultra'].includes(quality) && { quality }),
+                ...([1, 2].includes(channels) && { channels }),
+                ...(Number.isInteger(sampleRate) && sampleRate >= 8000 && sampleRate <= 96000 && { sampleRate }),
+                ...(['f32', 'pcm16', 'adpcm', 'opus'].includes(codec) && { codec })
+            };
+            return relay.config;
+        };
+        relay.on('streamConfigChanged', (info) => {
+            if (!info || info.sourceId !== device.remoteId || !updateConfig(info)) return;
+            const { quality, channels, sampleRate } = relay.config;
+            this.io.emit('streamConfigChanged', {
+                sourceId: device.id,
+                quality,
+                channels,
+                sampleRate,
+                reason: typeof info.reason === 'string' ? info.reason.substring(0, 50) : undefined
+            });
+        });
+
+        // the remote server's latest track arrives with the join and with each change; kept for local late joiners
+        const updateNowPlaying = (track) => {
+            relay.nowPlaying = this.sanitizeNowPlaying(track, relay.nowPlaying);
+            this.emitNowPlaying(device.id, relay.nowPlaying);
+        };
+        relay.on('joinedAsListener', (info) => {
+            if (!info || info.sourceId !== device.remoteId) return;
+            // the relay opens with the first local listener, who joined before the format was known
+            if (updateConfig(info.config)) this.io.emit('streamConfigChanged', { ...relay.config, sourceId: device.id });
+            if (info.nowPlaying) updateNowPlaying(info.nowPlaying);
+        });
+        relay.on('nowPlaying', (info) => {
+            if (info && info.sourceId === device.remoteId) updateNowPlaying(info.track);
+        });
+
+        return relay;
     }
 
     broadcastDeviceList() {
@@ -396,6 +1531,37 @@ class AudioTransferServer {
         this.io.emit('deviceList', deviceList);
     }
 
+    // { title, artist, album, status, artwork } with short plain-text strings, or null when there is nothing to show.
+    // `artwork` is { type, data: ArrayBuffer } or null; when the update leaves it out, the previous image is kept.
+    sanitizeNowPlaying(track, previous = null) {
+        if (!track) return null;
+        const text = (value) => typeof value === 'string' ? value.replace(/[<>]/g, '').trim().substring(0, 200) : '';
+        const clean = {
+            title: text(track.title),
+            artist: text(track.artist),
+            album: text(track.album),
+            status: text(track.status),
+            artwork: track.artwork === undefined ? previous?.artwork || null : this.sanitizeArtwork(track.artwork)
+        };
+        return clean.title || clean.artist || clean.album || clean.status || clean.artwork ? clean : null;
+    }
+
+    sanitizeArtwork(artwork) {
+        if (!artwork || !this.artworkTypes.includes(artwork.type)) return null;
+        const { data } = artwork;
+        const bytes = data instanceof ArrayBuffer ? data :
+            ArrayBuffer.isView(data) ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : null;
+        if (!bytes || !bytes.byteLength || bytes.byteLength > this.maxArtworkBytes) return null;
+        return { type: artwork.type, data: bytes };
+    }
+
+    // Metadata goes to the stream's listeners only, since it may carry an image
+    emitNowPlaying(sourceId, track) {
+        for (const [clientId, clientInfo] of this.connectedClients.entries()) {
+            if (clientInfo.subscriptions.has(sourceId)) this.io.to(clientId).emit('nowPlaying', { sourceId, track });
+        }
+    }
+
     sanitizeDeviceName(deviceName) {
         if (!deviceName || typeof deviceName !== 'string') return null;
         
@@ -406,6 +1572,39 @@ class AudioTransferServer {
             .substring(0, 50); // Limit length
     }
 
+    // Sanitize, classify and de-duplicate a client's chosen name. Returns the name actually assigned.
+    applyDeviceName(clientId, deviceName) {
+        const client = this.connectedClients.get(clientId);
+        const sanitized = this.sanitizeDeviceName(deviceName);
+        if (!client || !sanitized) return null;
+        
+        const name = this.uniqueDeviceName(sanitized, clientId);
+        client.name = name;
+        client.deviceType = this.detectDeviceType(sanitized);
+        
+        // streamingClients holds a snapshot of the client; keep its name in step
+        const streamInfo = this.streamingClients.get(clientId);
+        if (streamInfo) {
+            streamInfo.name = name;
+            streamInfo.deviceType = client.deviceType;
+        }
+        
+        return name;
+    }
+
+    uniqueDeviceName(name, clientId) {
+        const taken = new Set();
+        for (const client of this.connectedClients.values()) {
+            if (client.id !== clientId) taken.add(client.name.toLowerCase());
+        }
+        
+        if (!taken.has(name.toLowerCase())) return name;
+        
+        let n = 2;
+        while (taken.has(`${name} (${n})`.toLowerCase())) n++;
+        return `${name} (${n})`;
+    }
+
     detectDeviceType(deviceName) {
         if (!deviceName) return 'unknown';
         
@@ -455,9 +1654,16 @@ class AudioTransferServer {
         // Graceful shutdown
         process.on('SIGINT', () => {
             console.log('\\n🛑 Shutting down server...');
-            this.server.close(() => {
-                console.log('✅ Server shutdown complete');
-                process.exit(0);
+            for (const linkId of Array.from(this.federatedServers.keys())) {
+                this.unlinkServer(linkId);
+            }
+            this.roomMix.stop();
+            const recordings = Array.from(this.recorders.keys()).map(sourceId => this.stopRecording(sourceId));
+            Promise.all(recordings).finally(() => {
+                this.server.close(() => {
+                    console.log('✅ Server shutdown complete');
+                    process.exit(0);
+                });
             });
         });
 
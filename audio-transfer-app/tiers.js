@@ -0,0 +1,102 @@
+import { decodePacketToInt16, conformSamples, RECORDABLE_CODECS } from './recording.js';
+
+// Quality tiers a listener can ask for; 'full' is the streamer's payload as sent.
+// Tiers only ever reduce: a source already below a tier's channels/rate keeps its own.
+export const LISTENER_TIERS = {
+    full: null,
+    high: { channels: 2, sampleRate: 48000 },
+    medium: { channels: 1, sampleRate: 32000 },
+    low: { channels: 1, sampleRate: 16000 }
+};
+export const DEFAULT_TIER = 'full';
+
+// Opus can't be decoded on the server, so those streams always go out as sent
+export const TRANSCODABLE_CODECS = RECORDABLE_CODECS;
+
+/**
+ * Produces reduced pcm16 copies of relayed audioStream payloads for listeners on a lower tier.
+ * Each packet is decoded, downmixed, low-passed and resampled per tier. The anti-alias filter keeps
+ * its state per source and tier, so the caller must transcode every packet exactly once per tier
+ * (see AudioTransferServer.relayToListeners) for the filter to stay continuous across packets.
+ */
+export class TierTranscoder {
+    constructor() {
+        this.filters = new Map(); // `${sourceId}/${tier}` -> { key, coeffs, state }
+    }
+
+    // Returns the payload for `tier`; the original packet when the tier wouldn't make it smaller
+    transcode(packet, tier) {
+        const target = LISTENER_TIERS[tier];
+        const codec = packet.codec || 'f32';
+        if (!target || !TRANSCODABLE_CODECS.includes(codec) || !(packet.data instanceof ArrayBuffer)) return packet;
+
+        const channels = packet.channels || 1;
+        const sampleRate = packet.sampleRate || 48000;
+        const outChannels = Math.min(channels, target.channels);
+        const outRate = Math.min(sampleRate, target.sampleRate);
+
+        const samples = decodePacketToInt16(codec, packet.data, channels, packet.frameSamples);
+        if (!samples || !samples.length) return packet;
+
+        let out = conformSamples(samples, channels, sampleRate, outChannels, sampleRate);
+        if (outRate < sampleRate) {
+            this.lowpass(out, outChannels, sampleRate, outRate * 0.45, `${packet.sourceId}/${tier}`);
+            out = conformSamples(out, outChannels, sampleRate, outChannels, outRate);
+        }
+        if (out.byteLength >= packet.data.byteLength) return packet;
+
+        return {
+            ...packet,
+            codec: 'pcm16',
+            channels: outChannels,
+            sampleRate: outRate,
+            frameSamples: out.length / outChannels,
+            sampleIndex: typeof packet.sampleIndex === 'number' ?
+                Math.round(packet.sampleIndex * outRate / sampleRate) : packet.sampleIndex,
+            tier,
+            data: out.buffer
+        };
+    }
+
+    // In-place 2nd-order Butterworth low-pass (RBJ biquad), state carried between packets
+    lowpass(samples, channels, sampleRate, cutoff, filterId) {
+        const key = `${channels}/${sampleRate}/${cutoff}`;
+        let filter = this.filters.get(filterId);
+        if (!filter || filter.key !== key) {
+            const w0 = 2 * Math.PI * cutoff / sampleRate;
+            const alpha = Math.sin(w0) / Math.SQRT2;
+            const cos = Math.cos(w0);
+            const a0 = 1 + alpha;
+            filter = {
+                key,
+                coeffs: {
+                    b0: (1 - cos) / 2 / a0,
+                    b1: (1 - cos) / a0,
+                    b2: (1 - cos) / 2 / a0,
+                    a1: -2 * cos / a0,
+                    a2: (1 - alpha) / a0
+                },
+                state: Array.from({ length: channels }, () => ({ x1: 0, x2: 0, y1: 0, y2: 0 }))
+            };
+            this.filters.set(filterId, filter);
+        }
+        const { b0, b1, b2, a1, a2 } = filter.coeffs;
+        const frames = samples.length / channels;
+        for (let c = 0; c < channels; c++) {
+            const s = filter.state[c];
+            for (let i = 0, k = c; i < frames; i++, k += channels) {
+                const x = samples[k];
+                const y = b0 * x + b1 * s.x1 + b2 * s.x2 - a1 * s.y1 - a2 * s.y2;
+                s.x2 = s.x1; s.x1 = x;
+                s.y2 = s.y1; s.y1 = y;
+                samples[k] = Math.max(-32768, Math.min(32767, Math.round(y)));
+            }
+        }
+    }
+
+    removeSource(sourceId) {
+        for (const filterId of this.filters.keys()) {
+            if (filterId.startsWith(`${sourceId}/`)) this.filters.delete(filterId);
+        }
+    }
+}